@@ -0,0 +1,96 @@
+// scripts/benchmark-detection.js
+// Scores every pupil detector against a labelled ground-truth dataset, headless:
+//   npm run benchmark -- path/to/pupil-groundtruth.json [--by <tag>] [--json]
+//   npm run benchmark -- --synthetic [--by radius|noise|eyelid|glint|minorRatio] [--json]
+// --synthetic renders eyes with known pupils (utils/syntheticEye.js) instead of
+// reading a labelled dataset; --by breaks the results down by a frame tag.
+// Tests can import loadOpenCVNode and pair it with runDetectionBenchmark directly.
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { groupFramesByTag, parseGroundTruthJSON } from '../src/utils/groundTruth.js';
+import { runDetectionBenchmark } from '../src/utils/detectionBenchmark.js';
+import { createSyntheticDataset } from '../src/utils/syntheticEye.js';
+
+const require = createRequire(import.meta.url);
+
+// Resolves to { cv } once the wasm runtime is up. Never resolves *with* the
+// module: Emscripten modules are thenables (see utils/dependencyLoader.js).
+export const loadOpenCVNode = () => new Promise((resolve, reject) => {
+  let cv;
+  try {
+    cv = require('@techstark/opencv-js');
+  } catch (err) {
+    reject(err);
+    return;
+  }
+  if (cv.Mat) {
+    resolve({ cv });
+    return;
+  }
+  const previous = cv.onRuntimeInitialized;
+  cv.onRuntimeInitialized = () => {
+    if (typeof previous === 'function') previous();
+    resolve({ cv });
+  };
+});
+
+const formatNumber = (value, digits = 2, suffix = '') => (value != null ? `${value.toFixed(digits)}${suffix}` : '—');
+const formatRate = (value) => formatNumber(value != null ? value * 100 : null, 0, '%');
+
+export function formatBenchmarkTable(report) {
+  const header = ['method', 'detect', 'hit', 'false+', 'diam |err| px', 'median', 'bias', '|err| %', 'centre px', 'median', 'ms'];
+  const rows = report.methods.map(method => [
+    method.key,
+    formatRate(method.detectionRate),
+    formatRate(method.hitRate),
+    formatRate(method.falsePositiveRate),
+    formatNumber(method.diameterError.meanAbsPx),
+    formatNumber(method.diameterError.medianAbsPx),
+    formatNumber(method.diameterError.biasPx),
+    formatNumber(method.diameterError.meanAbsPercent, 1),
+    formatNumber(method.centerError.meanPx),
+    formatNumber(method.centerError.medianPx),
+    formatNumber(method.meanMs, 2)
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = (cells) => cells.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+
+  return [
+    `${report.samples} labelled eyes (${report.withPupil} with a visible pupil, ${report.withoutPupil} without)`,
+    '',
+    line(header),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+async function main(args) {
+  const byIndex = args.indexOf('--by');
+  const tag = byIndex >= 0 ? args[byIndex + 1] : null;
+  const path = args.find((arg, i) => !arg.startsWith('--') && (byIndex < 0 || i !== byIndex + 1));
+  const synthetic = args.includes('--synthetic');
+  if ((!path && !synthetic) || (byIndex >= 0 && !tag)) {
+    console.error('Usage: npm run benchmark -- <ground-truth.json> | --synthetic [--by <tag>] [--json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataset = synthetic ? createSyntheticDataset() : parseGroundTruthJSON(await readFile(path, 'utf8'));
+  const { cv } = await loadOpenCVNode();
+  const groups = tag ? groupFramesByTag(dataset, tag) : [[null, dataset]];
+  const reports = groups.map(([value, subset]) => ({ [tag || 'all']: value, ...runDetectionBenchmark(cv, subset) }));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(tag ? reports : reports[0], null, 2));
+    return;
+  }
+  console.log(reports.map(report => (tag ? `${tag} = ${report[tag]}\n${formatBenchmarkTable(report)}` : formatBenchmarkTable(report))).join('\n\n'));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error('[benchmark-detection]', err.message);
+    process.exitCode = 1;
+  });
+}
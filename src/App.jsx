@@ -1,58 +1,350 @@
 // App.jsx
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useRef, useMemo, useEffect } from "react";
 import "./index.css";
 import VideoPlayer from "./components/VideoPlayer";
 import Header from "./components/Header";
 import GraphView from "./components/GraphView";
 import RecorderControls from "./components/RecorderControls";
+import PLRSettings from "./components/PLRSettings";
+import FlashStimulus from "./components/FlashStimulus";
+import PLRMetricsPanel from "./components/PLRMetricsPanel";
+import SessionExportControls from "./components/SessionExportControls";
+import SessionBrowser from "./components/SessionBrowser";
+import BlinkPanel from "./components/BlinkPanel";
+import FilterSettings from "./components/FilterSettings";
+import SaccadeStimulus from "./components/SaccadeStimulus";
+import EyeMovementPanel from "./components/EyeMovementPanel";
+import NystagmusPanel from "./components/NystagmusPanel";
+import AsymmetryPanel from "./components/AsymmetryPanel";
+import TimingPanel from "./components/TimingPanel";
+import ResampleSettings from "./components/ResampleSettings";
+import HeadPoseSettings from "./components/HeadPoseSettings";
+import QualityPanel from "./components/QualityPanel";
+import RAPDStimulus from "./components/RAPDStimulus";
+import MarkerControls from "./components/MarkerControls";
+import AnnotationPanel from "./components/AnnotationPanel";
+import { usePupilTracking } from "./contexts/PupilTrackingContext";
+import usePLRProtocol, { DEFAULT_PLR_CONFIG } from "./hooks/usePLRProtocol";
+import useSaccadeProtocol from "./hooks/useSaccadeProtocol";
+import useRAPDProtocol from "./hooks/useRAPDProtocol";
+import { DEFAULT_IRIS_DIAMETER_MM } from "./utils/calibration";
+import { now } from "./utils/clock";
+import { fillBlinkGaps } from "./utils/blinks";
+import { DEFAULT_FILTER_PIPELINE } from "./utils/filterPipeline";
+import { detectEyeMovements } from "./utils/eyeMovements";
+import { createAsymmetryMonitor, DEFAULT_ASYMMETRY_OPTIONS } from "./utils/anisocoria";
+import { DEFAULT_RESAMPLE_OPTIONS, resampleHistory } from "./utils/resample";
+import { DEFAULT_HEAD_POSE_OPTIONS } from "./utils/headPose";
+import { DEFAULT_QUALITY_OPTIONS, assessQuality } from "./utils/signalQuality";
+import { createAnnotation, isAnnotation, replaceAnnotations } from "./utils/annotations";
+import { createHistoryEntry, createSession, getDeviceInfo } from "./utils/session";
+import { saveSession, updateSessionEvents } from "./utils/sessionStore";
 
 const App = () => {
   const [pupilHistory, setPupilHistory] = useState([]);
   const [isRecording, setIsRecording] = useState(false);
   const [currentPupilData, setCurrentPupilData] = useState(null);
+  const [irisDiameterMm, setIrisDiameterMm] = useState(DEFAULT_IRIS_DIAMETER_MM);
+  const [stimulusEvents, setStimulusEvents] = useState([]);
+  // User markers for the live recording; editable once it stops
+  const [annotations, setAnnotations] = useState([]);
+  const [plrConfig, setPlrConfig] = useState(DEFAULT_PLR_CONFIG);
+  const [sessionMeta, setSessionMeta] = useState(null);
+  const [subjectInfo, setSubjectInfo] = useState({ subjectId: '', notes: '' });
+  const [fillBlinks, setFillBlinks] = useState(false);
+  const [filterConfig, setFilterConfig] = useState(DEFAULT_FILTER_PIPELINE);
+  // 'pupil' runs full detection; 'nystagmus' records landmark eye position only, at the full frame rate
+  const [trackingMode, setTrackingMode] = useState('pupil');
+  const [asymmetryOptions, setAsymmetryOptions] = useState(DEFAULT_ASYMMETRY_OPTIONS);
+  // Uniform-grid resampling, applied separately to the graph and to exports
+  const [resampleOptions, setResampleOptions] = useState({ ...DEFAULT_RESAMPLE_OPTIONS, graph: false, export: false });
+  const [headPoseOptions, setHeadPoseOptions] = useState(DEFAULT_HEAD_POSE_OPTIONS);
+  // Live quality from the video player, and the thresholds that can gate recording
+  const [qualityReport, setQualityReport] = useState({ summary: null, lighting: null, face: null });
+  const [qualityOptions, setQualityOptions] = useState(DEFAULT_QUALITY_OPTIONS);
+  const [asymmetryStatus, setAsymmetryStatus] = useState(null);
+  const asymmetryMonitor = useRef(null);
+  if (!asymmetryMonitor.current) asymmetryMonitor.current = createAsymmetryMonitor(DEFAULT_ASYMMETRY_OPTIONS);
+  const asymmetryFaceRef = useRef(null);
+  const { state: trackingState, dispatch } = usePupilTracking();
+  const savingRef = useRef(false);
+  // A recording follows one face: the first one it hears from
+  const recordingFaceRef = useRef(null);
+  // Sample clock of the latest frame, for stamping markers on file playback
+  const lastSampleTimeRef = useRef(null);
+
+  // Latest capture settings, snapshotted into the metadata when recording starts
+  const captureSettings = useRef({ video: null, irisDiameterMm, subjectInfo, filterConfig, trackingMode });
+  captureSettings.current.irisDiameterMm = irisDiameterMm;
+  captureSettings.current.subjectInfo = subjectInfo;
+  captureSettings.current.filterConfig = filterConfig;
+  captureSettings.current.trackingMode = trackingMode;
+  captureSettings.current.asymmetryOptions = asymmetryOptions;
+  captureSettings.current.headPoseOptions = headPoseOptions;
+  captureSettings.current.quality = { options: qualityOptions, summary: qualityReport.summary };
+
+  useEffect(() => {
+    asymmetryMonitor.current.configure(asymmetryOptions);
+  }, [asymmetryOptions]);
+
+  const handleVideoSettings = useCallback((settings) => {
+    captureSettings.current.video = settings;
+  }, []);
 
   // Handle new pupil data from VideoPlayer
   const handlePupilData = useCallback((data) => {
     setCurrentPupilData(data);
+    // Stamped with the frame's capture time (media time for files); arrival time only as a fallback
+    const timestamp = data.timestamp ?? now();
+    lastSampleTimeRef.current = timestamp;
+    if (data.faceId !== asymmetryFaceRef.current) {
+      asymmetryMonitor.current.reset();
+      asymmetryFaceRef.current = data.faceId;
+    }
+    setAsymmetryStatus(asymmetryMonitor.current.update(data.left?.sizeMm, data.right?.sizeMm, timestamp));
     
-    // If recording, add to history
-    if (isRecording) {
-      const timestamp = Date.now();
-      const entry = {
-        timestamp,
-        left: data.left?.size || null,
-        right: data.right?.size || null,
-        leftConfidence: data.left?.confidence || null,
-        rightConfidence: data.right?.confidence || null,
-      };
-      
-      setPupilHistory(prev => [...prev, entry]);
+    // If recording, add to history; samples dropped for head motion leave a gap
+    if (isRecording && !data.headPose?.rejected) {
+      if (data.faceId != null) {
+        if (recordingFaceRef.current === null) {
+          recordingFaceRef.current = data.faceId;
+          setSessionMeta(prev => prev && { ...prev, faceId: data.faceId });
+        } else if (data.faceId !== recordingFaceRef.current) {
+          // Someone else has become the subject: never mix their samples in
+          return;
+        }
+      }
+      const entry = createHistoryEntry(timestamp, data);
+      setPupilHistory(prev => {
+        // Seeking back in a file replays frames that are already recorded
+        const last = prev[prev.length - 1];
+        if (last && entry.timestamp <= last.timestamp) return prev;
+        return [...prev, entry];
+      });
     }
   }, [isRecording]);
 
-  // Recording controls
-  const startRecording = () => {
+  // Recording controls. beginRecording starts unconditionally; every live entry point
+  // goes through startRecording or startProtocol, which honour the quality gate.
+  const beginRecording = useCallback(() => {
+    const {
+      video, irisDiameterMm: irisMm, subjectInfo: subject, filterConfig: filters, trackingMode: mode, asymmetryOptions: asymmetry,
+      headPoseOptions: headPose, quality
+    } = captureSettings.current;
+    dispatch({ type: 'CLOSE_SESSION' });
     setIsRecording(true);
+    recordingFaceRef.current = null;
     setPupilHistory([]);
-  };
+    setStimulusEvents([]);
+    setAnnotations([]);
+    setSessionMeta({
+      source: 'live',
+      mode,
+      subjectId: subject.subjectId.trim(),
+      notes: subject.notes,
+      startedAt: now(),
+      device: getDeviceInfo(video?.camera),
+      video: video?.resolution || null,
+      // Requested format and image controls, and what the camera actually ran at
+      camera: video?.cameraSettings || null,
+      eyeMode: video?.eyeMode || null,
+      zoom: video?.zoom || null,
+      input: video?.input || null,
+      calibration: { irisDiameterMm: irisMm },
+      // Nystagmus recordings bypass the filters entirely
+      filters: mode === 'pupil' ? filters : null,
+      asymmetry,
+      headPose,
+      // Quality thresholds and the rolling readings at the moment recording started
+      quality: { ...quality.options, atStart: quality.summary }
+    });
+  }, [dispatch]);
+
+  // Read through the ref so the protocols' callbacks see the latest readings.
+  // File batches skip the gate: they analyse footage that already exists, and
+  // its quality is still stored with the session (quality.atStart).
+  const isRecordingBlocked = useCallback(() => {
+    const { options, summary } = captureSettings.current.quality;
+    return options.blockRecording && !assessQuality(summary, options).acceptable;
+  }, []);
 
-  const stopRecording = () => {
+  const startRecording = useCallback(() => {
+    if (isRecordingBlocked()) {
+      console.warn('[App] Recording blocked by signal quality');
+      return;
+    }
+    beginRecording();
+  }, [isRecordingBlocked, beginRecording]);
+
+  // Markers share the samples' clock: wall time for the camera, media time for files
+  const addAnnotation = useCallback((label) => {
+    const input = captureSettings.current.video?.input;
+    const timestamp = input?.type === 'file' ? (lastSampleTimeRef.current ?? now()) : now();
+    setAnnotations(prev => [...prev, createAnnotation(label, timestamp)]);
+  }, []);
+
+  const stopRecording = useCallback(() => {
     setIsRecording(false);
+    setSessionMeta(prev => prev && { ...prev, endedAt: now() });
+  }, []);
+
+  // Imported and stored sessions are reviewed through the shared context
+  const handleImport = useCallback((imported) => {
+    dispatch({ type: 'LOAD_SESSION', payload: { ...imported, metadata: { ...imported.metadata, source: 'import' } } });
+  }, [dispatch]);
+
+  // Fixations, saccades and pursuit are classified once the recording is complete
+  const movementEvents = useMemo(
+    () => (isRecording ? [] : detectEyeMovements(pupilHistory, stimulusEvents)),
+    [isRecording, pupilHistory, stimulusEvents]
+  );
+
+  const liveSession = useMemo(() => createSession({
+    history: pupilHistory,
+    events: [...stimulusEvents, ...annotations, ...movementEvents].sort((a, b) => a.timestamp - b.timestamp),
+    metadata: sessionMeta || {}
+  }), [pupilHistory, stimulusEvents, annotations, movementEvents, sessionMeta]);
+
+  const reviewSession = isRecording ? null : trackingState.loadedSession;
+  const session = reviewSession || liveSession;
+
+  const storeSession = useCallback(async (toStore) => {
+    const summary = await saveSession(toStore);
+    dispatch({ type: 'SESSION_SAVED', payload: summary });
+    return summary;
+  }, [dispatch]);
+
+  // Every finished live recording goes straight into IndexedDB
+  useEffect(() => {
+    if (isRecording || savingRef.current) return;
+    if (sessionMeta?.source !== 'live' || !sessionMeta.endedAt || sessionMeta.storedId) return;
+    if (liveSession.history.length === 0) return;
+
+    savingRef.current = true;
+    storeSession(liveSession)
+      .then(summary => setSessionMeta(prev => ({ ...prev, storedId: summary.id, name: summary.name })))
+      .catch(err => {
+        console.error('[App] Failed to save session:', err);
+        dispatch({ type: 'SET_ERROR', payload: err.message });
+      })
+      .finally(() => { savingRef.current = false; });
+  }, [isRecording, sessionMeta, liveSession, storeSession, dispatch]);
+
+  const saveImportedSession = async () => {
+    try {
+      const summary = await storeSession(reviewSession);
+      dispatch({
+        type: 'LOAD_SESSION',
+        payload: { ...reviewSession, metadata: { ...reviewSession.metadata, source: 'stored', storedId: summary.id, name: summary.name } }
+      });
+    } catch (err) {
+      console.error('[App] Failed to save imported session:', err);
+      dispatch({ type: 'SET_ERROR', payload: err.message });
+    }
+  };
+
+  const shownHistory = session.history;
+  const shownEvents = session.events;
+  const shownAnnotations = useMemo(() => shownEvents.filter(isAnnotation), [shownEvents]);
+
+  // Marker edits after the recording; a stored session is updated in place
+  const handleAnnotationsChange = async (next) => {
+    const events = replaceAnnotations(session.events, next);
+    const storedId = session.metadata.storedId;
+    if (reviewSession) {
+      dispatch({ type: 'LOAD_SESSION', payload: { ...reviewSession, events } });
+    } else {
+      setAnnotations(next);
+    }
+    if (storedId == null) return;
+    try {
+      const summary = await updateSessionEvents(storedId, events);
+      dispatch({ type: 'SESSION_UPDATED', payload: summary });
+    } catch (err) {
+      console.error('[App] Failed to save markers:', err);
+      dispatch({ type: 'SET_ERROR', payload: err.message });
+    }
+  };
+  const hasFlashes = shownEvents.some(e => e.type === 'flash');
+  // Graph and PLR metrics can read through blinks; the stored session stays as recorded
+  const analysisHistory = useMemo(
+    () => (fillBlinks ? fillBlinkGaps(shownHistory) : shownHistory),
+    [fillBlinks, shownHistory]
+  );
+  // Resampling a growing recording every frame isn't worth it; the graph shows raw samples until it stops
+  const graphHistory = useMemo(
+    () => (resampleOptions.graph && !isRecording ? resampleHistory(analysisHistory, resampleOptions) : analysisHistory),
+    [resampleOptions, isRecording, analysisHistory]
+  );
+
+  // PLR protocol records for its whole run and stamps each flash into the session
+  const plr = usePLRProtocol({
+    onBegin: (config) => {
+      beginRecording();
+      setSessionMeta(prev => ({ ...prev, protocol: { type: 'plr', ...config } }));
+    },
+    onStimulus: (event) => setStimulusEvents(prev => [...prev, event]),
+    onComplete: stopRecording
+  });
+
+  const saccadeTest = useSaccadeProtocol({
+    onBegin: (config) => {
+      beginRecording();
+      setSessionMeta(prev => ({ ...prev, protocol: { type: 'saccade', ...config } }));
+    },
+    onStimulus: (event) => setStimulusEvents(prev => [...prev, event]),
+    onComplete: stopRecording
+  });
+
+  // Swinging-flashlight test: light alternates between the eyes while recording
+  const rapdTest = useRAPDProtocol({
+    onBegin: (config) => {
+      beginRecording();
+      setSessionMeta(prev => ({ ...prev, protocol: { type: 'rapd', ...config } }));
+    },
+    onStimulus: (event) => setStimulusEvents(prev => [...prev, event]),
+    onComplete: stopRecording
+  });
+
+  const qualityAssessment = useMemo(
+    () => assessQuality(qualityReport.summary, qualityOptions),
+    [qualityReport, qualityOptions]
+  );
+  const recordingBlocked = qualityOptions.blockRecording && !qualityAssessment.acceptable;
+
+  // Protocols record from their onBegin, so the gate is checked before they start
+  const startProtocol = (protocol, config) => {
+    if (isRecordingBlocked()) {
+      console.warn('[App] Protocol blocked by signal quality');
+      return;
+    }
+    protocol.start(config);
   };
 
   // Calculate average pupil sizes for display
   const getAverageSizes = () => {
-    if (pupilHistory.length === 0) return { left: 0, right: 0 };
-    
-    const leftSizes = pupilHistory.filter(h => h.left !== null).map(h => h.left);
-    const rightSizes = pupilHistory.filter(h => h.right !== null).map(h => h.right);
-    
-    const avgLeft = leftSizes.length > 0 ? leftSizes.reduce((a, b) => a + b, 0) / leftSizes.length : 0;
-    const avgRight = rightSizes.length > 0 ? rightSizes.reduce((a, b) => a + b, 0) / rightSizes.length : 0;
-    
-    return { left: avgLeft, right: avgRight };
+    const average = (key) => {
+      const sizes = shownHistory.filter(h => h[key] != null).map(h => h[key]);
+      return sizes.length > 0 ? sizes.reduce((a, b) => a + b, 0) / sizes.length : 0;
+    };
+
+    return {
+      left: average('left'),
+      right: average('right'),
+      leftPx: average('leftPx'),
+      rightPx: average('rightPx')
+    };
   };
 
+  const handleIrisDiameterChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value > 0) {
+      setIrisDiameterMm(value);
+    }
+  };
+
+  const formatMm = (mm) => (mm != null ? `${mm.toFixed(2)} mm` : '-- mm');
+
   const averages = getAverageSizes();
 
   return (
@@ -61,26 +353,226 @@ const App = () => {
       
       <div className="container mx-auto px-4 py-8">
         {/* Main Video Player */}
-        <VideoPlayer onPupilData={handlePupilData} />
+        <VideoPlayer
+          onPupilData={handlePupilData}
+          onSettingsChange={handleVideoSettings}
+          onQualityChange={setQualityReport}
+          onBatchStart={beginRecording}
+          onBatchEnd={stopRecording}
+          irisDiameterMm={irisDiameterMm}
+          filters={filterConfig}
+          trackingMode={trackingMode}
+          headPose={headPoseOptions}
+          isRecording={isRecording}
+        />
+
+        <div className="mt-6">
+          <QualityPanel
+            report={qualityReport}
+            assessment={qualityAssessment}
+            options={qualityOptions}
+            onOptionsChange={setQualityOptions}
+            isRecording={isRecording}
+          />
+        </div>
+
+        {/* Millimetre Calibration */}
+        <div className="mt-6 flex items-center justify-center space-x-3 text-sm">
+          <label htmlFor="iris-diameter" className="text-gray-300">
+            Subject iris diameter (mm):
+          </label>
+          <input
+            id="iris-diameter"
+            type="number"
+            min="9"
+            max="14"
+            step="0.1"
+            value={irisDiameterMm}
+            onChange={handleIrisDiameterChange}
+            disabled={isRecording}
+            className="w-20 px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          />
+          <button
+            onClick={() => setIrisDiameterMm(DEFAULT_IRIS_DIAMETER_MM)}
+            disabled={isRecording || irisDiameterMm === DEFAULT_IRIS_DIAMETER_MM}
+            className="px-3 py-1 rounded bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+          >
+            Default ({DEFAULT_IRIS_DIAMETER_MM})
+          </button>
+        </div>
         
+        {/* Tracking Mode */}
+        <div className="mt-4 flex items-center justify-center space-x-2 text-sm">
+          <span className="text-gray-300">Mode:</span>
+          {[['pupil', 'Pupil'], ['nystagmus', 'Nystagmus']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setTrackingMode(mode)}
+              disabled={isRecording}
+              className={`px-3 py-1 rounded text-sm font-medium transition-colors disabled:opacity-50 ${
+                trackingMode === mode
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         {/* Recording Controls */}
         <div className="mt-6">
           <RecorderControls
             onStart={startRecording}
             onStop={stopRecording}
+            onStartPLR={() => startProtocol(plr, plrConfig)}
+            onStartSaccades={() => startProtocol(saccadeTest)}
+            onStartRAPD={() => startProtocol(rapdTest)}
             isRecording={isRecording}
+            blockedReason={recordingBlocked ? `signal quality (${qualityAssessment.reasons.join(', ')})` : null}
           />
         </div>
 
+        <div className="mt-4">
+          <MarkerControls onMark={addAnnotation} isRecording={isRecording} />
+        </div>
+
+        <div className="mt-4">
+          <SessionExportControls
+            session={session}
+            resample={resampleOptions.export ? resampleOptions : null}
+            onImport={handleImport}
+            disabled={isRecording}
+          />
+        </div>
+
+        {reviewSession && (
+          <div className="mt-4 bg-blue-900 rounded-lg p-3 text-sm flex items-center justify-between">
+            <span>
+              {reviewSession.metadata.source === 'import'
+                ? `Reviewing imported session${reviewSession.metadata.importedFrom ? ` "${reviewSession.metadata.importedFrom}"` : ''}`
+                : `Reviewing "${reviewSession.metadata.name}"`}
+              {reviewSession.metadata.subjectId && ` • subject ${reviewSession.metadata.subjectId}`}
+              {reviewSession.metadata.startedAt && ` • recorded ${new Date(reviewSession.metadata.startedAt).toLocaleString()}`}
+              {reviewSession.metadata.calibration?.irisDiameterMm && ` • iris ${reviewSession.metadata.calibration.irisDiameterMm} mm`}
+            </span>
+            <span className="flex space-x-2">
+              {reviewSession.metadata.source === 'import' && (
+                <button onClick={saveImportedSession} className="px-3 py-1 rounded bg-green-600 hover:bg-green-700">
+                  Save to library
+                </button>
+              )}
+              <button
+                onClick={() => dispatch({ type: 'CLOSE_SESSION' })}
+                className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500"
+              >
+                Close
+              </button>
+            </span>
+          </div>
+        )}
+
+        {/* Subject details saved with the next recording */}
+        <div className="mt-6 bg-gray-800 rounded-lg p-4 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+          <label className="flex flex-col">
+            <span className="text-gray-400 mb-1">Subject ID</span>
+            <input
+              value={subjectInfo.subjectId}
+              onChange={(e) => setSubjectInfo({ ...subjectInfo, subjectId: e.target.value })}
+              disabled={isRecording}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+          <label className="flex flex-col md:col-span-2">
+            <span className="text-gray-400 mb-1">Notes</span>
+            <input
+              value={subjectInfo.notes}
+              onChange={(e) => setSubjectInfo({ ...subjectInfo, notes: e.target.value })}
+              disabled={isRecording}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+        </div>
+
+        <div className="mt-6">
+          <PLRSettings config={plrConfig} onChange={setPlrConfig} disabled={isRecording} />
+        </div>
+
+        <div className="mt-6">
+          <ResampleSettings options={resampleOptions} onChange={setResampleOptions} disabled={isRecording} />
+        </div>
+
+        <div className="mt-6">
+          <HeadPoseSettings options={headPoseOptions} onChange={setHeadPoseOptions} disabled={isRecording} />
+        </div>
+
+        <div className="mt-6">
+          <FilterSettings config={filterConfig} onChange={setFilterConfig} disabled={isRecording} />
+        </div>
+
+        {plr.isRunning && (
+          <FlashStimulus
+            phase={plr.phase}
+            trial={plr.trial}
+            totalTrials={plr.totalTrials}
+            brightness={plr.config.flashBrightness}
+            onFlashShown={plr.markFlashOnset}
+            onAbort={plr.abort}
+          />
+        )}
+
+        {saccadeTest.isRunning && (
+          <SaccadeStimulus
+            phase={saccadeTest.phase}
+            trial={saccadeTest.trial}
+            totalTrials={saccadeTest.totalTrials}
+            direction={saccadeTest.direction}
+            amplitude={saccadeTest.config.amplitude}
+            onTargetShown={saccadeTest.markTargetOnset}
+            onAbort={saccadeTest.abort}
+          />
+        )}
+
+        {rapdTest.isRunning && (
+          <RAPDStimulus
+            phase={rapdTest.phase}
+            swing={rapdTest.swing}
+            totalSwings={rapdTest.totalSwings}
+            eye={rapdTest.eye}
+            brightness={rapdTest.config.brightness}
+            onSwingShown={rapdTest.markSwingOnset}
+            onAbort={rapdTest.abort}
+          />
+        )}
+
+        {/* Sustained anisocoria */}
+        {asymmetryStatus?.alert && (
+          <div className="mt-6 bg-red-900 border border-red-600 rounded-lg p-3 text-sm">
+            <span className="font-semibold">Anisocoria:</span>{' '}
+            L − R {asymmetryStatus.asymmetry ? formatMm(asymmetryStatus.asymmetry.absolute) : 'n/a'}
+            {asymmetryStatus.asymmetry?.relative != null && ` (${asymmetryStatus.asymmetry.relative.toFixed(0)}%)`}
+            {' '}above {asymmetryOptions.thresholdMm} mm for the last{' '}
+            {Math.round(asymmetryStatus.duration / 1000)} s
+          </div>
+        )}
+
         {/* Current Measurements Display */}
         {currentPupilData && (
           <div className="mt-6 bg-gray-800 rounded-lg p-4">
-            <h3 className="text-lg font-semibold mb-3">Current Measurements</h3>
+            <h3 className="text-lg font-semibold mb-3">
+              Current Measurements
+              {['left', 'right'].filter(eye => currentPupilData.blinks?.[eye]?.isBlinking).map(eye => (
+                <span key={eye} className="ml-2 px-2 py-0.5 rounded text-xs bg-yellow-600">
+                  {eye === 'left' ? 'L' : 'R'} blink
+                </span>
+              ))}
+            </h3>
             <div className="grid grid-cols-2 gap-4">
               {currentPupilData.left && (
                 <div className="bg-blue-900 p-3 rounded">
                   <h4 className="font-medium text-blue-300">Left Eye</h4>
-                  <p className="text-xl font-bold">{currentPupilData.left.size.toFixed(1)} px</p>
+                  <p className="text-xl font-bold">{formatMm(currentPupilData.left.sizeMm)}</p>
+                  <p className="text-sm text-gray-300">{currentPupilData.left.sizePx.toFixed(1)} px</p>
                   <p className="text-sm text-gray-300">
                     Confidence: {(currentPupilData.left.confidence * 100).toFixed(0)}%
                   </p>
@@ -93,7 +585,8 @@ const App = () => {
               {currentPupilData.right && (
                 <div className="bg-purple-900 p-3 rounded">
                   <h4 className="font-medium text-purple-300">Right Eye</h4>
-                  <p className="text-xl font-bold">{currentPupilData.right.size.toFixed(1)} px</p>
+                  <p className="text-xl font-bold">{formatMm(currentPupilData.right.sizeMm)}</p>
+                  <p className="text-sm text-gray-300">{currentPupilData.right.sizePx.toFixed(1)} px</p>
                   <p className="text-sm text-gray-300">
                     Confidence: {(currentPupilData.right.confidence * 100).toFixed(0)}%
                   </p>
@@ -103,6 +596,15 @@ const App = () => {
                 </div>
               )}
             </div>
+            {currentPupilData.gaze && (
+              <p className="mt-3 text-sm text-gray-300 font-mono">
+                {['left', 'right'].filter(eye => currentPupilData.gaze[eye]).map(eye => (
+                  <span key={eye} className="mr-4">
+                    {eye === 'left' ? 'L' : 'R'}: H {currentPupilData.gaze[eye].horizontal.toFixed(1)}° V {currentPupilData.gaze[eye].vertical.toFixed(1)}°
+                  </span>
+                ))}
+              </p>
+            )}
           </div>
         )}
 
@@ -114,40 +616,100 @@ const App = () => {
               <span className="font-semibold">Recording...</span>
             </div>
             <p className="text-sm">Samples collected: {pupilHistory.length}</p>
+            {recordingFaceRef.current !== null && currentPupilData?.faceId != null &&
+              currentPupilData.faceId !== recordingFaceRef.current && (
+              <p className="text-sm text-orange-300">
+                Paused: face {currentPupilData.faceId} is being tracked, this recording follows face {recordingFaceRef.current}
+              </p>
+            )}
+            {stimulusEvents.length > 0 && (
+              <p className="text-sm">Stimuli delivered: {stimulusEvents.length}</p>
+            )}
+            {annotations.length > 0 && (
+              <p className="text-sm">
+                Markers: {annotations.length} (last: {annotations[annotations.length - 1].label})
+              </p>
+            )}
           </div>
         )}
 
         {/* Session Statistics */}
-        {pupilHistory.length > 0 && (
+        {shownHistory.length > 0 && (
           <div className="mt-6 bg-gray-800 rounded-lg p-4">
             <h3 className="text-lg font-semibold mb-3">Session Statistics</h3>
             <div className="grid grid-cols-3 gap-4 text-center">
               <div>
                 <p className="text-sm text-gray-400">Samples</p>
-                <p className="text-xl font-bold">{pupilHistory.length}</p>
+                <p className="text-xl font-bold">{shownHistory.length}</p>
               </div>
               <div>
                 <p className="text-sm text-gray-400">Avg Left</p>
                 <p className="text-xl font-bold text-blue-400">
-                  {averages.left.toFixed(1)} px
+                  {averages.left.toFixed(2)} mm
                 </p>
+                <p className="text-xs text-gray-400">{averages.leftPx.toFixed(1)} px</p>
               </div>
               <div>
                 <p className="text-sm text-gray-400">Avg Right</p>
                 <p className="text-xl font-bold text-purple-400">
-                  {averages.right.toFixed(1)} px
+                  {averages.right.toFixed(2)} mm
                 </p>
+                <p className="text-xs text-gray-400">{averages.rightPx.toFixed(1)} px</p>
               </div>
             </div>
           </div>
         )}
 
+        {shownHistory.length > 2 && !isRecording && (
+          <TimingPanel data={shownHistory} />
+        )}
+
+        {/* Blink Statistics */}
+        {shownHistory.length > 1 && !isRecording && (
+          <BlinkPanel data={shownHistory} fillGaps={fillBlinks} onFillGapsChange={setFillBlinks} />
+        )}
+
+        {/* Summaries wait for the recording to end; the thresholds stay visible */}
+        <AsymmetryPanel
+          data={isRecording ? [] : analysisHistory}
+          events={isRecording ? [] : shownEvents}
+          options={asymmetryOptions}
+          onOptionsChange={setAsymmetryOptions}
+          disabled={isRecording}
+        />
+
+        {session.metadata?.mode === 'nystagmus' && !isRecording && (
+          <NystagmusPanel data={shownHistory} />
+        )}
+
+        {shownHistory.length > 2 && !isRecording && (
+          <EyeMovementPanel data={shownHistory} events={shownEvents} />
+        )}
+
         {/* Graph View */}
-        {pupilHistory.length > 1 && (
-          <div className="mt-6">
-            <GraphView data={pupilHistory} />
+        {shownHistory.length > 1 && (
+          <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className={hasFlashes && !isRecording ? 'lg:col-span-2' : 'lg:col-span-3'}>
+              <GraphView data={graphHistory} events={shownEvents} asymmetryThresholdMm={asymmetryOptions.thresholdMm} />
+            </div>
+            {hasFlashes && !isRecording && (
+              <PLRMetricsPanel data={analysisHistory} events={shownEvents} />
+            )}
           </div>
         )}
+
+        {shownHistory.length > 0 && !isRecording && (
+          <AnnotationPanel
+            annotations={shownAnnotations}
+            startTime={shownHistory[0].timestamp}
+            onChange={handleAnnotationsChange}
+          />
+        )}
+
+        {/* Stored Sessions */}
+        <div className="mt-6">
+          <SessionBrowser disabled={isRecording} />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,77 @@
+// App.test.jsx - smoke test with FaceMesh, OpenCV and IndexedDB stubbed out
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { PupilTrackingProvider } from './contexts/PupilTrackingContext';
+import { DependencyInitError, loadOpenCV } from './utils/dependencyLoader';
+
+vi.mock('./utils/dependencyLoader', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadOpenCV: vi.fn(async () => ({ cv: {} })),
+  loadFaceMeshScript: vi.fn(async () => ''),
+  createFaceMesh: vi.fn(async () => ({
+    onResults: () => {},
+    send: async () => {},
+    close: () => {}
+  }))
+}));
+
+vi.mock('./utils/sessionStore', () => ({
+  listSessions: vi.fn(async () => []),
+  loadSession: vi.fn(),
+  saveSession: vi.fn(async () => {}),
+  updateSession: vi.fn(async () => {}),
+  updateSessionEvents: vi.fn(async () => {}),
+  deleteSession: vi.fn(async () => {})
+}));
+
+describe('App', () => {
+  it('renders and starts and stops a recording', async () => {
+    render(
+      <PupilTrackingProvider>
+        <App />
+      </PupilTrackingProvider>
+    );
+
+    const start = screen.getByText('Start Recording');
+    const stop = screen.getByText('Stop Recording');
+    await waitFor(() => expect(start.disabled).toBe(false));
+    expect(stop.disabled).toBe(true);
+
+    fireEvent.click(start);
+    expect(start.disabled).toBe(true);
+    expect(stop.disabled).toBe(false);
+
+    fireEvent.click(stop);
+    expect(start.disabled).toBe(false);
+  });
+
+  it('loads OpenCV on the main thread when workers are unavailable', () => {
+    // jsdom has no Worker, so detection falls back to the main thread straight away
+    loadOpenCV.mockClear();
+    render(
+      <PupilTrackingProvider>
+        <App />
+      </PupilTrackingProvider>
+    );
+    expect(loadOpenCV).toHaveBeenCalled();
+  });
+
+  it('shows the error screen when OpenCV fails to load, and retries from it', async () => {
+    loadOpenCV.mockClear();
+    loadOpenCV.mockRejectedValueOnce(new DependencyInitError('OpenCV failed to initialize: abort', { dependency: 'opencv' }));
+    render(
+      <PupilTrackingProvider>
+        <App />
+      </PupilTrackingProvider>
+    );
+
+    expect(await screen.findByText('Detection libraries failed to start')).toBeTruthy();
+    expect(screen.getByText('OpenCV failed to initialize: abort')).toBeTruthy();
+
+    fireEvent.click(screen.getByText('Retry'));
+    await waitFor(() => expect(screen.queryByText('Detection libraries failed to start')).toBeNull());
+    expect(loadOpenCV).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+// components/AnnotationPanel.jsx - Review and edit a session's markers after recording
+import React, { useEffect, useState } from 'react';
+import { createAnnotation, removeAnnotation, updateAnnotation } from '../utils/annotations';
+
+// One marker; edits are kept locally and committed on blur or Enter
+function AnnotationRow({ annotation, startTime, onUpdate, onRemove, disabled }) {
+  const [label, setLabel] = useState(annotation.label);
+  const [seconds, setSeconds] = useState(((annotation.timestamp - startTime) / 1000).toFixed(2));
+
+  useEffect(() => {
+    setLabel(annotation.label);
+    setSeconds(((annotation.timestamp - startTime) / 1000).toFixed(2));
+  }, [annotation, startTime]);
+
+  const commit = () => {
+    const parsed = parseFloat(seconds);
+    const changes = {};
+    if (label.trim() && label.trim() !== annotation.label) changes.label = label.trim();
+    if (!isNaN(parsed) && parsed >= 0) {
+      const timestamp = startTime + parsed * 1000;
+      if (Math.abs(timestamp - annotation.timestamp) >= 1) changes.timestamp = timestamp;
+    }
+    if (Object.keys(changes).length > 0) onUpdate(annotation.id, changes);
+    else {
+      setLabel(annotation.label);
+      setSeconds(((annotation.timestamp - startTime) / 1000).toFixed(2));
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+  };
+
+  return (
+    <tr className="border-t border-gray-700">
+      <td className="py-1 pr-2">
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={seconds}
+          onChange={(e) => setSeconds(e.target.value)}
+          onBlur={commit}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          className="w-24 px-2 py-1 rounded bg-gray-700 text-white font-mono disabled:opacity-50"
+        />
+      </td>
+      <td className="py-1 pr-2">
+        <input
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          onBlur={commit}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          className="w-full px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+        />
+      </td>
+      <td className="py-1 text-right">
+        <button
+          onClick={() => onRemove(annotation.id)}
+          disabled={disabled}
+          className="px-2 py-1 rounded bg-red-700 hover:bg-red-600 text-xs disabled:opacity-50"
+        >
+          Delete
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+function AnnotationPanel({ annotations, startTime, onChange, disabled }) {
+  const handleUpdate = (id, changes) => onChange(updateAnnotation(annotations, id, changes));
+  const handleRemove = (id) => onChange(removeAnnotation(annotations, id));
+  const handleAdd = () => {
+    const last = annotations[annotations.length - 1];
+    onChange([...annotations, createAnnotation('Marker', last ? last.timestamp + 1000 : startTime)]);
+  };
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Markers</h3>
+        <button
+          onClick={handleAdd}
+          disabled={disabled}
+          className="px-3 py-1 rounded bg-gray-600 text-gray-200 hover:bg-gray-500 text-sm disabled:opacity-50"
+        >
+          Add marker
+        </button>
+      </div>
+      {annotations.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          No markers. Stamp them while recording with the marker buttons or keys 1-4 and M.
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="font-normal pb-1">Time (s)</th>
+              <th className="font-normal pb-1">Label</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {annotations.map(annotation => (
+              <AnnotationRow
+                key={annotation.id}
+                annotation={annotation}
+                startTime={startTime}
+                onUpdate={handleUpdate}
+                onRemove={handleRemove}
+                disabled={disabled}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default AnnotationPanel;
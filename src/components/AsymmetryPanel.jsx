@@ -0,0 +1,98 @@
+// components/AsymmetryPanel.jsx - Anisocoria settings, session asymmetry and RAPD result
+import React, { useMemo } from 'react';
+import { analyzeRAPD, summarizeAsymmetry } from '../utils/anisocoria';
+
+const format = (value, decimals, unit) => (value != null ? `${value.toFixed(decimals)} ${unit}` : '—');
+
+const FIELDS = [
+  { key: 'thresholdMm', label: 'Alert threshold (mm)', min: 0.1, step: 0.1, scale: 1 },
+  { key: 'sustainMs', label: 'Sustained for (s)', min: 0.5, step: 0.5, scale: 1000 }
+];
+
+function AsymmetryPanel({ data, events = [], options, onOptionsChange, disabled }) {
+  const summary = useMemo(() => summarizeAsymmetry(data || [], options), [data, options]);
+  const rapd = useMemo(() => analyzeRAPD(data || [], events), [data, events]);
+
+  const handleChange = (field, value) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < field.min) return;
+    onOptionsChange({ ...options, [field.key]: parsed * field.scale });
+  };
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <h3 className="text-lg font-semibold mb-3">Pupil Asymmetry</h3>
+
+      <div className="grid grid-cols-2 gap-3 text-sm mb-4">
+        {FIELDS.map(field => (
+          <label key={field.key} className="flex flex-col">
+            <span className="text-gray-400 mb-1">{field.label}</span>
+            <input
+              type="number"
+              min={field.min}
+              step={field.step}
+              value={options[field.key] / field.scale}
+              onChange={(e) => handleChange(field, e.target.value)}
+              disabled={disabled}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+        ))}
+      </div>
+
+      {summary && (
+        <table className="w-full text-sm">
+          <tbody>
+            {[
+              ['Mean L − R', format(summary.meanAbsolute, 2, 'mm')],
+              ['Mean relative', format(summary.meanRelative, 1, '%')],
+              ['Largest L − R', format(summary.maxAbsolute, 2, 'mm')],
+              ['Time above threshold', format(summary.aboveThreshold * 100, 0, '%')],
+              ['Sustained episodes', String(summary.episodes.length)]
+            ].map(([label, value]) => (
+              <tr key={label} className="border-t border-gray-700">
+                <td className="py-1 text-gray-300">{label}</td>
+                <td className="py-1 text-right font-mono">{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {rapd && (
+        <div className="mt-4">
+          <h4 className="font-medium mb-2">Swinging-flashlight test</h4>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left font-medium pb-1">Light on</th>
+                <th className="text-right font-medium pb-1">Swings</th>
+                <th className="text-right font-medium pb-1">Mean constriction</th>
+                <th className="text-right font-medium pb-1">Dilations</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[['left', 'Left eye', 'text-blue-400'], ['right', 'Right eye', 'text-purple-400']].map(([eye, label, color]) => (
+                <tr key={eye} className="border-t border-gray-700">
+                  <td className={`py-1 ${color}`}>{label}</td>
+                  <td className="py-1 text-right font-mono">{rapd[eye].swings}</td>
+                  <td className="py-1 text-right font-mono">{format(rapd[eye].meanAmplitude, 2, 'mm')}</td>
+                  <td className="py-1 text-right font-mono">{rapd[eye].dilations}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className={`mt-2 text-sm ${rapd.suspected ? 'text-red-400' : 'text-gray-300'}`}>
+            Asymmetry index {format(rapd.index, 2, '')}
+            {rapd.suspected ? ` • possible RAPD, ${rapd.suspected} eye` : ' • no RAPD detected'}
+          </p>
+          <p className="mt-1 text-xs text-gray-500">
+            Screening aid only. Positive index: weaker response when the right eye is lit.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AsymmetryPanel;
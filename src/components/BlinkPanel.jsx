@@ -0,0 +1,54 @@
+// components/BlinkPanel.jsx - Blink statistics and gap filling for the shown session
+import React, { useMemo } from 'react';
+import { analyzeBlinks } from '../utils/blinks';
+
+const formatStat = (value, decimals, unit) => (value != null ? `${value.toFixed(decimals)} ${unit}` : '—');
+
+function BlinkPanel({ data, fillGaps, onFillGapsChange }) {
+  const stats = useMemo(() => analyzeBlinks(data), [data]);
+
+  if (!stats.left && !stats.right) return null;
+
+  const rows = [
+    { label: 'Blinks', value: s => (s ? String(s.count) : '—') },
+    { label: 'Rate', value: s => formatStat(s?.ratePerMin, 1, '/min') },
+    { label: 'Mean duration', value: s => formatStat(s?.meanDurationMs, 0, 'ms') }
+  ];
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Blinks</h3>
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={fillGaps}
+            onChange={(e) => onFillGapsChange(e.target.checked)}
+          />
+          <span>Interpolate across blinks</span>
+        </label>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-medium pb-2"></th>
+            <th className="text-right font-medium pb-2 text-blue-400">Left</th>
+            <th className="text-right font-medium pb-2 text-purple-400">Right</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label} className="border-t border-gray-700">
+              <td className="py-1 text-gray-300">{row.label}</td>
+              <td className="py-1 text-right font-mono">{row.value(stats.left)}</td>
+              <td className="py-1 text-right font-mono">{row.value(stats.right)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default BlinkPanel;
@@ -0,0 +1,156 @@
+// components/CameraControls.jsx - Camera picker, capture format and image controls
+import React from 'react';
+import {
+  CAMERA_CONTROLS,
+  CAMERA_MODES,
+  FRAME_RATE_OPTIONS,
+  RESOLUTION_OPTIONS
+} from '../utils/cameraSettings';
+
+const MODE_LABELS = {
+  exposureMode: 'Exposure',
+  focusMode: 'Focus',
+  whiteBalanceMode: 'White balance'
+};
+
+function CameraControls({
+  devices,
+  deviceId,
+  onDeviceChange,
+  settings,
+  onChange,
+  capabilities,
+  trackSettings,
+  disabled
+}) {
+  const controls = settings.controls;
+
+  const setControl = (definition, value) => {
+    const next = { ...controls, [definition.key]: value };
+    // Moving a manual-only slider switches its mode to manual
+    if (definition.mode && capabilities?.[definition.mode]?.includes('manual')) next[definition.mode] = 'manual';
+    onChange({ ...settings, controls: next });
+  };
+
+  // Hand everything back to the camera's automatic modes
+  const resetControls = () => {
+    const next = {};
+    CAMERA_MODES.forEach(mode => {
+      if (capabilities?.[mode]?.includes('continuous')) next[mode] = 'continuous';
+    });
+    onChange({ ...settings, controls: next });
+  };
+
+  const modes = CAMERA_MODES.filter(mode => capabilities?.[mode]?.length > 0);
+  const ranges = CAMERA_CONTROLS.filter(({ key }) => capabilities?.[key]?.min != null);
+
+  return (
+    <div className="bg-gray-800 p-3 rounded-lg text-sm space-y-3 w-full max-w-3xl">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center space-x-2">
+          <span className="font-medium">Camera:</span>
+          <select
+            value={deviceId || ''}
+            onChange={(e) => onDeviceChange(e.target.value || null)}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          >
+            {!deviceId && <option value="">Default</option>}
+            {devices.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-300">Resolution</span>
+          <select
+            value={settings.resolution}
+            onChange={(e) => onChange({ ...settings, resolution: e.target.value })}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          >
+            {RESOLUTION_OPTIONS.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-300">Frame rate</span>
+          <select
+            value={settings.frameRate ?? ''}
+            onChange={(e) => onChange({ ...settings, frameRate: e.target.value ? parseInt(e.target.value, 10) : null })}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          >
+            {FRAME_RATE_OPTIONS.map(fps => (
+              <option key={fps ?? 'auto'} value={fps ?? ''}>{fps ? `${fps} fps` : 'Auto'}</option>
+            ))}
+          </select>
+        </label>
+        {trackSettings && (
+          <span className="text-xs text-gray-400 font-mono">
+            Running at {trackSettings.width}×{trackSettings.height}
+            {trackSettings.frameRate ? ` @ ${Math.round(trackSettings.frameRate)} fps` : ''}
+          </span>
+        )}
+      </div>
+
+      {(modes.length > 0 || ranges.length > 0) && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+          {modes.map(mode => (
+            <label key={mode} className="flex items-center justify-between space-x-2">
+              <span className="text-gray-300">{MODE_LABELS[mode]} mode</span>
+              <select
+                value={controls[mode] ?? trackSettings?.[mode] ?? ''}
+                onChange={(e) => onChange({ ...settings, controls: { ...controls, [mode]: e.target.value } })}
+                disabled={disabled}
+                className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+              >
+                {capabilities[mode].map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {ranges.map(definition => {
+            const range = capabilities[definition.key];
+            const value = controls[definition.key] ?? trackSettings?.[definition.key] ?? range.min;
+            return (
+              <label key={definition.key} className="flex items-center justify-between space-x-2">
+                <span className="text-gray-300">{definition.label}</span>
+                <span className="flex items-center space-x-2">
+                  <input
+                    type="range"
+                    min={range.min}
+                    max={range.max}
+                    step={range.step || (range.max - range.min) / 100}
+                    value={value}
+                    onChange={(e) => setControl(definition, parseFloat(e.target.value))}
+                    disabled={disabled}
+                    className="w-32"
+                  />
+                  <span className="w-14 text-right font-mono text-xs">{Number(value.toFixed(2))}</span>
+                </span>
+              </label>
+            );
+          })}
+          <div className="md:col-span-2 flex justify-end">
+            <button
+              onClick={resetControls}
+              disabled={disabled}
+              className="px-3 py-1 rounded text-sm font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+            >
+              Auto
+            </button>
+          </div>
+        </div>
+      )}
+
+      {trackSettings && !capabilities && (
+        <p className="text-xs text-gray-500">This browser doesn't expose camera image controls.</p>
+      )}
+    </div>
+  );
+}
+
+export default CameraControls;
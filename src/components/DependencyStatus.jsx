@@ -0,0 +1,69 @@
+// components/DependencyStatus.jsx - Loading progress and load failures for OpenCV / FaceMesh
+import React from 'react';
+
+const ERROR_TITLES = {
+  DependencyNetworkError: 'Could not download detection libraries',
+  DependencyTimeoutError: 'Loading timed out',
+  DependencyInitError: 'Detection libraries failed to start',
+  DependencyUnsupportedError: 'This browser is not supported'
+};
+
+const ERROR_HINTS = {
+  DependencyNetworkError: 'Check the network connection. If this machine is offline, open the app once while online so it can be installed for offline use.',
+  DependencyTimeoutError: 'The connection may be slow or blocked by a proxy. Retrying often helps.',
+  DependencyInitError: 'Try reloading the page. If it keeps failing, clear the site data and load again.',
+  DependencyUnsupportedError: 'Use a current version of Chrome, Edge, Firefox or Safari with WebAssembly enabled.'
+};
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+function DependencyStatus({ error, progress, status, onRetry }) {
+  if (error) {
+    const attempts = error.attempts || [];
+    return (
+      <div className="w-full max-w-3xl mx-auto bg-red-900 bg-opacity-60 border border-red-700 rounded-lg p-6 text-white">
+        <h3 className="text-lg font-semibold mb-2">{ERROR_TITLES[error.name] || 'Face detection failed to load'}</h3>
+        <p className="text-sm mb-2">{error.message}</p>
+        <p className="text-sm text-red-200 mb-4">{ERROR_HINTS[error.name] || 'Try reloading the page.'}</p>
+
+        {attempts.length > 0 && (
+          <details className="mb-4 text-xs text-red-200">
+            <summary className="cursor-pointer">Sources tried ({attempts.length})</summary>
+            <ul className="mt-2 space-y-1 font-mono">
+              {attempts.map((a, i) => (
+                <li key={i}>
+                  {a.source} (attempt {a.attempt}): {a.error.name} – {a.error.message}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
+        {onRetry && (
+          <button onClick={onRetry} className="px-4 py-2 bg-red-600 rounded hover:bg-red-700">
+            Retry
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="absolute inset-0 flex flex-col items-center justify-center bg-gray-900 bg-opacity-90" style={{ zIndex: 30 }}>
+      <p className="text-sm text-gray-200 mb-3">{status?.message || 'Preparing face detection…'}</p>
+      <div className="w-64 h-2 bg-gray-700 rounded overflow-hidden">
+        <div
+          className="h-full bg-blue-500 transition-all duration-200"
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        {progress}%
+        {status?.stage === 'download' && status.loaded > 0 &&
+          ` • ${formatBytes(status.loaded)}${status.total ? ` of ${formatBytes(status.total)}` : ''}`}
+      </p>
+    </div>
+  );
+}
+
+export default DependencyStatus;
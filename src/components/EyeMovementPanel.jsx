@@ -0,0 +1,75 @@
+// components/EyeMovementPanel.jsx - Fixation, saccade and pursuit summary for the shown session
+import React, { useMemo } from 'react';
+import { MOVEMENT_EVENT_TYPES, detectEyeMovements, summarizeEyeMovements } from '../utils/eyeMovements';
+
+const format = (value, decimals, unit) => (value != null ? `${value.toFixed(decimals)} ${unit}` : '—');
+
+function EyeMovementPanel({ data, events = [] }) {
+  // Stored sessions carry their movement events; older ones are classified here
+  const movements = useMemo(() => {
+    const recorded = events.filter(e => MOVEMENT_EVENT_TYPES.includes(e.type));
+    return recorded.length > 0 ? recorded : detectEyeMovements(data, events);
+  }, [data, events]);
+
+  const summary = useMemo(() => summarizeEyeMovements(movements), [movements]);
+  const saccades = movements.filter(e => e.type === 'saccade');
+
+  if (movements.length === 0) return null;
+
+  const rows = [
+    ['Fixations', `${summary.fixations.count}`, `mean ${format(summary.fixations.meanDurationMs, 0, 'ms')}`],
+    ['Saccades', `${summary.saccades.count}`, `mean ${format(summary.saccades.meanAmplitude, 1, '°')}`],
+    ['Peak velocity', format(summary.saccades.meanPeakVelocity, 0, '°/s'), `max ${format(summary.saccades.maxPeakVelocity, 0, '°/s')}`],
+    ['Latency', format(summary.saccades.meanLatencyMs, 0, 'ms'), `${summary.saccades.responses} responses`],
+    ['Smooth pursuit', format(summary.pursuit.totalMs / 1000, 1, 's'), `mean ${format(summary.pursuit.meanVelocity, 1, '°/s')}`]
+  ];
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <h3 className="text-lg font-semibold mb-3">Eye Movements</h3>
+
+      <table className="w-full text-sm">
+        <tbody>
+          {rows.map(([label, value, detail]) => (
+            <tr key={label} className="border-t border-gray-700">
+              <td className="py-1 text-gray-300">{label}</td>
+              <td className="py-1 text-right font-mono">{value}</td>
+              <td className="py-1 text-right text-gray-400 text-xs">{detail}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {saccades.some(s => s.latency != null) && (
+        <div className="mt-4 max-h-40 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left font-medium pb-1">Trial</th>
+                <th className="text-right font-medium pb-1">Latency</th>
+                <th className="text-right font-medium pb-1">Amplitude</th>
+                <th className="text-right font-medium pb-1">Peak velocity</th>
+              </tr>
+            </thead>
+            <tbody>
+              {saccades.filter(s => s.latency != null).map(s => (
+                <tr key={s.timestamp} className="border-t border-gray-700">
+                  <td className="py-1">{s.trial}</td>
+                  <td className="py-1 text-right font-mono">{format(s.latency, 0, 'ms')}</td>
+                  <td className="py-1 text-right font-mono">{format(s.amplitude, 1, '°')}</td>
+                  <td className="py-1 text-right font-mono">{format(s.peakVelocity, 0, '°/s')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="mt-3 text-xs text-gray-500">
+        Peak velocities are limited by the camera frame rate and read low for short saccades.
+      </p>
+    </div>
+  );
+}
+
+export default EyeMovementPanel;
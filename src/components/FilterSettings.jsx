@@ -0,0 +1,105 @@
+// components/FilterSettings.jsx - Order, enable and tune the live filter pipeline
+import React from 'react';
+import { FILTER_STAGES, DEFAULT_FILTER_PIPELINE } from '../utils/filterPipeline';
+
+function FilterSettings({ config, onChange, disabled }) {
+  const updateStage = (index, changes) => {
+    onChange(config.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+  };
+
+  const handleParam = (index, key, value) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) return;
+    updateStage(index, { params: { ...config[index].params, [key]: parsed } });
+  };
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= config.length) return;
+    const next = [...config];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Signal Filters</h3>
+        <button
+          onClick={() => onChange(DEFAULT_FILTER_PIPELINE)}
+          disabled={disabled}
+          className="px-3 py-1 rounded text-sm font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="space-y-2 text-sm">
+        {config.map((stage, index) => {
+          const definition = FILTER_STAGES[stage.type];
+          if (!definition) return null;
+
+          return (
+            <div key={stage.type} className="bg-gray-700 rounded p-2">
+              <div className="flex items-center justify-between">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={stage.enabled}
+                    onChange={(e) => updateStage(index, { enabled: e.target.checked })}
+                    disabled={disabled}
+                  />
+                  <span className={stage.enabled ? 'text-white' : 'text-gray-400'}>{definition.label}</span>
+                </label>
+                <div className="flex space-x-1">
+                  <button
+                    onClick={() => move(index, -1)}
+                    disabled={disabled || index === 0}
+                    className="px-2 rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-30"
+                    title="Run earlier"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => move(index, 1)}
+                    disabled={disabled || index === config.length - 1}
+                    className="px-2 rounded bg-gray-600 hover:bg-gray-500 disabled:opacity-30"
+                    title="Run later"
+                  >
+                    ↓
+                  </button>
+                </div>
+              </div>
+
+              {stage.enabled && (
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mt-2">
+                  {definition.params.map(param => (
+                    <label key={param.key} className="flex flex-col">
+                      <span className="text-gray-400 mb-1 text-xs">{param.label}</span>
+                      <input
+                        type="number"
+                        min={param.min}
+                        max={param.max}
+                        step={param.step}
+                        value={stage.params[param.key] ?? param.default}
+                        onChange={(e) => handleParam(index, param.key, e.target.value)}
+                        disabled={disabled}
+                        className="px-2 py-1 rounded bg-gray-800 text-white disabled:opacity-50"
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Stages run top to bottom on every frame. Raw readings are recorded alongside the filtered ones.
+      </p>
+    </div>
+  );
+}
+
+export default FilterSettings;
@@ -0,0 +1,54 @@
+// components/FlashStimulus.jsx - Full-screen dark field and light stimulus for PLR tests
+import React, { useEffect } from 'react';
+
+const PHASE_LABELS = {
+  baseline: 'Dark baseline',
+  flash: 'Flash',
+  recovery: 'Recovery',
+  interval: 'Inter-stimulus interval'
+};
+
+function FlashStimulus({ phase, trial, totalTrials, brightness = 1, onFlashShown, onAbort }) {
+  const isFlash = phase === 'flash';
+
+  // Effects run after commit, so this frame is the one that paints the flash
+  useEffect(() => {
+    if (!isFlash || !onFlashShown) return;
+    const id = requestAnimationFrame((timestamp) => onFlashShown(timestamp));
+    return () => cancelAnimationFrame(id);
+  }, [isFlash, trial, onFlashShown]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape' && onAbort) onAbort();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onAbort]);
+
+  return (
+    <div className="fixed inset-0 bg-black" style={{ zIndex: 50 }}>
+      {isFlash && (
+        <div className="absolute inset-0 bg-white" style={{ opacity: brightness }} />
+      )}
+
+      {/* Kept very dim so the status text doesn't act as a light source */}
+      {!isFlash && (
+        <div className="absolute bottom-4 left-0 right-0 flex items-center justify-center space-x-4 text-xs text-gray-700">
+          <span>
+            {PHASE_LABELS[phase] || phase}
+            {trial > 0 && ` • Trial ${trial}/${totalTrials}`}
+          </span>
+          <button
+            onClick={onAbort}
+            className="px-2 py-1 rounded border border-gray-800 hover:text-gray-500"
+          >
+            Abort (Esc)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlashStimulus;
@@ -1,257 +1,788 @@
 // components/GraphView.jsx
-import React from "react";
-
-function GraphView({ data }) {
-  if (!data || data.length === 0) return null;
-
-  const width = 600;
-  const height = 300;
-  const margin = { top: 20, right: 80, bottom: 40, left: 60 };
-  const chartWidth = width - margin.left - margin.right;
-  const chartHeight = height - margin.top - margin.bottom;
-
-  // Extract pupil sizes
-  const leftSizes = data.map(d => d.left).filter(size => size !== null);
-  const rightSizes = data.map(d => d.right).filter(size => size !== null);
-  const allSizes = [...leftSizes, ...rightSizes];
-
-  if (allSizes.length === 0) return null;
-
-  const minSize = Math.min(...allSizes);
-  const maxSize = Math.max(...allSizes);
-  const range = maxSize - minSize;
-  const padding = range * 0.1;
-
-  const yMin = Math.max(0, minSize - padding);
-  const yMax = maxSize + padding;
-
-  // Create scale functions
-  const xScale = (index) => (index / (data.length - 1)) * chartWidth;
-  const yScale = (value) => chartHeight - ((value - yMin) / (yMax - yMin)) * chartHeight;
-
-  // Generate path data for left eye
-  const leftPath = data
-    .map((d, i) => d.left !== null ? `${xScale(i)},${yScale(d.left)}` : null)
-    .filter(point => point !== null)
-    .join(' L');
-
-  // Generate path data for right eye
-  const rightPath = data
-    .map((d, i) => d.right !== null ? `${xScale(i)},${yScale(d.right)}` : null)
-    .filter(point => point !== null)
-    .join(' L');
-
-  // Generate Y-axis ticks
-  const yTicks = [];
-  const tickCount = 5;
-  for (let i = 0; i <= tickCount; i++) {
-    const value = yMin + (yMax - yMin) * (i / tickCount);
-    yTicks.push({
-      value: value,
-      y: yScale(value),
-      label: value.toFixed(1)
-    });
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { MOVEMENT_EVENT_TYPES } from "../utils/eyeMovements";
+import { pupilAsymmetry } from "../utils/anisocoria";
+import { isAnnotation } from "../utils/annotations";
+
+// History entries store filtered millimetres in left/right and pixels in leftPx/rightPx,
+// with the unfiltered readings alongside
+const UNIT_KEYS = {
+  mm: { left: 'left', right: 'right', rawLeft: 'leftRawMm', rawRight: 'rightRawMm', decimals: 2 },
+  px: { left: 'leftPx', right: 'rightPx', rawLeft: 'leftRawPx', rawRight: 'rightRawPx', decimals: 1 }
+};
+
+// Asymmetry views plot one L − R series instead of the two eyes
+const ASYMMETRY_VIEWS = [
+  { key: 'absolute', label: 'L−R', title: 'Plot the left − right difference' },
+  { key: 'relative', label: 'L−R %', title: 'Plot the left − right difference as % of the mean size' }
+];
+
+const SERIES_TOGGLES = [
+  { key: 'filtered', label: 'filtered', title: 'Filtered pupil size' },
+  { key: 'raw', label: 'raw', title: 'Unfiltered readings' },
+  { key: 'confidence', label: 'conf', title: 'Detection confidence (right axis, 0–1)' },
+  { key: 'events', label: 'events', title: 'Stimulus markers' },
+  { key: 'annotations', label: 'notes', title: 'User markers' }
+];
+
+// Series drawn per toggle, bottom to top
+const SERIES = [
+  { key: 'leftConfidence', toggle: 'confidence', color: '#22d3ee', width: 1, alpha: 0.5, axis: 'confidence', label: 'L conf' },
+  { key: 'rightConfidence', toggle: 'confidence', color: '#f472b6', width: 1, alpha: 0.5, axis: 'confidence', label: 'R conf' },
+  { key: 'rawLeft', toggle: 'raw', color: '#93c5fd', width: 1, alpha: 0.6, dash: [2, 2], label: 'L raw' },
+  { key: 'rawRight', toggle: 'raw', color: '#d8b4fe', width: 1, alpha: 0.6, dash: [2, 2], label: 'R raw' },
+  { key: 'left', toggle: 'filtered', color: '#3b82f6', width: 2, alpha: 1, label: 'L' },
+  { key: 'right', toggle: 'filtered', color: '#a855f7', width: 2, alpha: 1, label: 'R' }
+];
+
+const HEIGHT = 320;
+const BRUSH_HEIGHT = 56;
+const MARGIN = { top: 16, right: 48, bottom: 36, left: 56 };
+const MIN_SPAN_MS = 100;
+
+const markerLabel = (event) => {
+  if (event.type === 'swing') return `${event.eye === 'left' ? 'L' : 'R'}${event.cycle}`;
+  if (event.trial != null) return `${event.type === 'target' ? 'T' : 'F'}${event.trial}`;
+  return event.type;
+};
+
+// First index with times[i] >= t
+const lowerBound = (times, t) => {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < t) lo = mid + 1;
+    else hi = mid;
   }
+  return lo;
+};
 
-  // Generate X-axis ticks (time-based)
-  const xTicks = [];
-  const xTickCount = Math.min(10, data.length);
-  for (let i = 0; i < xTickCount; i++) {
-    const index = Math.floor(i * (data.length - 1) / (xTickCount - 1));
-    if (index < data.length) {
-      const timestamp = data[index].timestamp;
-      const time = new Date(timestamp).toLocaleTimeString();
-      xTicks.push({
-        x: xScale(index),
-        label: time.split(':').slice(1).join(':') // Show MM:SS
-      });
+// 1/2/5 × 10^k step giving about `count` ticks over span
+const niceStep = (span, count) => {
+  const raw = span / Math.max(1, count);
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const fraction = raw / power;
+  return (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+};
+
+// Elapsed time since the start of the recording, as m:ss or seconds
+const formatElapsed = (ms, stepMs = 1000) => {
+  const decimals = stepMs >= 1000 ? 0 : stepMs >= 100 ? 1 : 2;
+  const seconds = ms / 1000;
+  if (Math.abs(seconds) < 60) return `${seconds.toFixed(decimals)}s`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+  return `${minutes}:${rest}`;
+};
+
+// Line segments for samples i0..i1: every sample while they fit, otherwise the min
+// and max of each pixel column so spikes survive. Missing samples break the line.
+const traceSegments = (times, values, i0, i1, toX, pixelWidth) => {
+  const segments = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) segments.push(current);
+    current = [];
+  };
+
+  if (i1 - i0 <= pixelWidth * 2) {
+    for (let i = i0; i < i1; i++) {
+      if (Number.isNaN(values[i])) flush();
+      else current.push([toX(times[i]), values[i]]);
     }
+    flush();
+    return segments;
   }
 
+  let column = null;
+  let min = 0, max = 0, minFirst = true;
+  const emit = () => {
+    if (column === null) return;
+    if (min === max) current.push([column, min]);
+    else if (minFirst) current.push([column, min], [column, max]);
+    else current.push([column, max], [column, min]);
+    column = null;
+  };
+  for (let i = i0; i < i1; i++) {
+    const v = values[i];
+    if (Number.isNaN(v)) {
+      emit();
+      flush();
+      continue;
+    }
+    const x = Math.floor(toX(times[i]));
+    if (x !== column) {
+      emit();
+      column = x;
+      min = v;
+      max = v;
+      minFirst = true;
+    } else if (v < min) {
+      min = v;
+      minFirst = false;
+    } else if (v > max) {
+      max = v;
+    }
+  }
+  emit();
+  flush();
+  return segments;
+};
+
+const seriesRange = (values, i0, i1) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = i0; i < i1; i++) {
+    const v = values[i];
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? [min, max] : null;
+};
+
+// Canvas sized for the device pixel ratio, drawn in CSS pixels
+const prepareCanvas = (canvas, width, height) => {
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return ctx;
+};
+
+const strokeSegments = (ctx, segments, toY) => {
+  ctx.beginPath();
+  segments.forEach(segment => {
+    segment.forEach(([x, v], i) => {
+      if (i === 0) ctx.moveTo(x, toY(v));
+      else ctx.lineTo(x, toY(v));
+    });
+    // A lone sample still gets a dot
+    if (segment.length === 1) ctx.lineTo(segment[0][0] + 1, toY(segment[0][1]));
+  });
+  ctx.stroke();
+};
+
+function GraphView({ data, events = [], asymmetryThresholdMm = null }) {
+  const [unit, setUnit] = useState('mm');
+  const [asymmetryView, setAsymmetryView] = useState(null);
+  const [shown, setShown] = useState({ filtered: true, raw: false, confidence: false, events: true, annotations: true });
+  // Visible window in ms since the first sample; null shows everything
+  const [domain, setDomain] = useState(null);
+  const [hover, setHover] = useState(null);
+  const [width, setWidth] = useState(600);
+  const showAsymmetry = asymmetryView !== null;
+
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+  const brushRef = useRef(null);
+  const gestureRef = useRef({ pointers: new Map(), drag: null, pinch: null, brush: null });
+
+  // Columnar copy of the history: relative times and NaN for missing values
+  const model = useMemo(() => {
+    if (!data || data.length === 0) return null;
+    const keys = UNIT_KEYS[unit];
+    const n = data.length;
+    const t0 = data[0].timestamp;
+    const times = new Float64Array(n);
+    for (let i = 0; i < n; i++) times[i] = data[i].timestamp - t0;
+
+    const column = (get) => {
+      const values = new Float64Array(n);
+      for (let i = 0; i < n; i++) {
+        const v = get(data[i]);
+        values[i] = v == null ? NaN : v;
+      }
+      return values;
+    };
+    const difference = (a, b) => (d) => pupilAsymmetry(d[a] ?? null, d[b] ?? null)?.[asymmetryView];
+    const empty = new Float64Array(n).fill(NaN);
+
+    return {
+      t0,
+      times,
+      total: Math.max(1, times[n - 1]),
+      series: {
+        left: showAsymmetry ? column(difference(keys.left, keys.right)) : column(d => d[keys.left]),
+        right: showAsymmetry ? empty : column(d => d[keys.right]),
+        rawLeft: showAsymmetry ? column(difference(keys.rawLeft, keys.rawRight)) : column(d => d[keys.rawLeft]),
+        rawRight: showAsymmetry ? empty : column(d => d[keys.rawRight]),
+        leftConfidence: column(d => d.leftConfidence),
+        rightConfidence: column(d => d.rightConfidence)
+      }
+    };
+  }, [data, unit, asymmetryView, showAsymmetry]);
+
+  const markers = useMemo(() => (model
+    ? events
+      // Stimuli only; classified eye movements would bury them
+      .filter(e => !MOVEMENT_EVENT_TYPES.includes(e.type) && !isAnnotation(e) && e.timestamp != null)
+      .map(e => ({ start: e.timestamp - model.t0, end: (e.offset ?? e.timestamp) - model.t0, label: markerLabel(e) }))
+      .filter(m => m.end >= 0 && m.start <= model.total)
+    : []), [events, model]);
+
+  const notes = useMemo(() => (model
+    ? events
+      .filter(isAnnotation)
+      .map(e => ({ time: e.timestamp - model.t0, label: e.label }))
+    : []), [events, model]);
+
+  // Keep the window when new data arrives, but not past the end of a shorter session
+  useEffect(() => {
+    setDomain(current => (current && model && current[0] < model.total ? current : null));
+  }, [model]);
+
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    if (!wrapper || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(entries => {
+      setWidth(Math.max(300, Math.floor(entries[0].contentRect.width)));
+    });
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, []);
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const view = domain || (model ? [0, model.total] : [0, 1]);
+
+  const clampDomain = useCallback((start, end) => {
+    const total = model.total;
+    let span = Math.min(total, Math.max(Math.min(MIN_SPAN_MS, total), end - start));
+    let from = Math.max(0, Math.min(start, total - span));
+    if (from <= 0 && span >= total) return null;
+    return [from, from + span];
+  }, [model]);
+
+  // Index range and y scale for the visible window
+  const layout = useMemo(() => {
+    if (!model) return null;
+    const i0 = Math.max(0, lowerBound(model.times, view[0]) - 1);
+    const i1 = Math.min(model.times.length, lowerBound(model.times, view[1]) + 1);
+
+    let min = Infinity;
+    let max = -Infinity;
+    SERIES.filter(s => !s.axis && shown[s.toggle]).forEach(s => {
+      const range = seriesRange(model.series[s.key], i0, i1);
+      if (range) {
+        min = Math.min(min, range[0]);
+        max = Math.max(max, range[1]);
+      }
+    });
+    if (asymmetryView === 'absolute' && unit === 'mm' && asymmetryThresholdMm != null) {
+      min = Math.min(min, -asymmetryThresholdMm);
+      max = Math.max(max, asymmetryThresholdMm);
+    }
+    if (min > max) {
+      min = 0;
+      max = 1;
+    }
+    const padding = (max - min) * 0.1 || 0.5;
+    return {
+      i0,
+      i1,
+      yMin: showAsymmetry ? min - padding : Math.max(0, min - padding),
+      yMax: max + padding
+    };
+  }, [model, view, shown, showAsymmetry, asymmetryView, unit, asymmetryThresholdMm]);
+
+  const toX = useCallback((t) => MARGIN.left + ((t - view[0]) / (view[1] - view[0])) * plotWidth, [view, plotWidth]);
+  const toTime = useCallback((x) => view[0] + ((x - MARGIN.left) / plotWidth) * (view[1] - view[0]), [view, plotWidth]);
+
+  const decimals = asymmetryView === 'relative' ? 1 : UNIT_KEYS[unit].decimals;
+  const axisUnit = asymmetryView === 'relative' ? '%' : unit;
+
+  // Main chart
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !model || !layout) return;
+    const ctx = prepareCanvas(canvas, width, HEIGHT);
+    const { i0, i1, yMin, yMax } = layout;
+    const toY = (v) => MARGIN.top + plotHeight - ((v - yMin) / (yMax - yMin)) * plotHeight;
+    const toConfidenceY = (v) => MARGIN.top + plotHeight - v * plotHeight;
+
+    ctx.fillStyle = '#1f2937';
+    ctx.fillRect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+
+    // Grid and axes
+    const yStep = niceStep(yMax - yMin, 5);
+    // Enough decimals to tell neighbouring ticks apart
+    const tickDecimals = Math.max(0, -Math.floor(Math.log10(yStep)));
+    ctx.strokeStyle = 'rgba(75, 85, 99, 0.5)';
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let v = Math.ceil(yMin / yStep) * yStep; v <= yMax; v += yStep) {
+      const y = Math.round(toY(v)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(MARGIN.left, y);
+      ctx.lineTo(MARGIN.left + plotWidth, y);
+      ctx.stroke();
+      ctx.fillText(v.toFixed(tickDecimals), MARGIN.left - 6, y);
+    }
+    const xStep = niceStep(view[1] - view[0], Math.max(2, Math.floor(plotWidth / 90)));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let t = Math.ceil(view[0] / xStep) * xStep; t <= view[1]; t += xStep) {
+      const x = Math.round(toX(t)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, MARGIN.top);
+      ctx.lineTo(x, MARGIN.top + plotHeight);
+      ctx.stroke();
+      ctx.fillText(formatElapsed(t, xStep), x, MARGIN.top + plotHeight + 6);
+    }
+    ctx.fillText('Time', MARGIN.left + plotWidth / 2, HEIGHT - 14);
+    ctx.save();
+    ctx.translate(14, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`${showAsymmetry ? 'L − R' : 'Pupil Size'} (${axisUnit})`, 0, 0);
+    ctx.restore();
+    if (shown.confidence) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      [0, 0.5, 1].forEach(v => ctx.fillText(v.toFixed(1), MARGIN.left + plotWidth + 6, toConfidenceY(v)));
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+    ctx.clip();
+
+    // Stimulus markers
+    if (shown.events) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      markers.forEach(marker => {
+        if (marker.end < view[0] || marker.start > view[1]) return;
+        const x1 = toX(marker.start);
+        const x2 = toX(marker.end);
+        ctx.fillStyle = 'rgba(250, 204, 21, 0.25)';
+        ctx.fillRect(x1, MARGIN.top, Math.max(1, x2 - x1), plotHeight);
+        ctx.strokeStyle = '#facc15';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x1, MARGIN.top);
+        ctx.lineTo(x1, MARGIN.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#facc15';
+        ctx.fillText(marker.label, x1 + 3, MARGIN.top + 2);
+      });
+    }
+
+    // User markers: a solid line with the label along the bottom
+    if (shown.annotations) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      notes.forEach(note => {
+        if (note.time < view[0] || note.time > view[1]) return;
+        const x = Math.round(toX(note.time)) + 0.5;
+        ctx.strokeStyle = '#34d399';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, MARGIN.top);
+        ctx.lineTo(x, MARGIN.top + plotHeight);
+        ctx.stroke();
+        const textWidth = ctx.measureText(note.label).width;
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.8)';
+        ctx.fillRect(x + 2, MARGIN.top + plotHeight - 16, textWidth + 6, 14);
+        ctx.fillStyle = '#34d399';
+        ctx.fillText(note.label, x + 5, MARGIN.top + plotHeight - 4);
+      });
+    }
+
+    // Anisocoria alert threshold; it's in mm, so only on the absolute mm view
+    if (asymmetryView === 'absolute' && unit === 'mm' && asymmetryThresholdMm != null) {
+      ctx.strokeStyle = 'rgba(239, 68, 68, 0.7)';
+      ctx.setLineDash([4, 3]);
+      [asymmetryThresholdMm, -asymmetryThresholdMm].forEach(v => {
+        ctx.beginPath();
+        ctx.moveTo(MARGIN.left, toY(v));
+        ctx.lineTo(MARGIN.left + plotWidth, toY(v));
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
+    SERIES.filter(s => shown[s.toggle]).forEach(s => {
+      ctx.strokeStyle = s.color;
+      ctx.lineWidth = s.width;
+      ctx.globalAlpha = s.alpha;
+      ctx.lineJoin = 'round';
+      ctx.setLineDash(s.dash || []);
+      const segments = traceSegments(model.times, model.series[s.key], i0, i1, toX, plotWidth);
+      strokeSegments(ctx, segments, s.axis === 'confidence' ? toConfidenceY : toY);
+    });
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+
+    // Hover crosshair
+    if (hover) {
+      const x = toX(model.times[hover.index]);
+      ctx.strokeStyle = 'rgba(229, 231, 235, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, MARGIN.top);
+      ctx.lineTo(x, MARGIN.top + plotHeight);
+      ctx.moveTo(MARGIN.left, hover.y);
+      ctx.lineTo(MARGIN.left + plotWidth, hover.y);
+      ctx.stroke();
+      SERIES.filter(s => shown[s.toggle]).forEach(s => {
+        const v = model.series[s.key][hover.index];
+        if (Number.isNaN(v)) return;
+        ctx.fillStyle = s.color;
+        ctx.beginPath();
+        ctx.arc(x, s.axis === 'confidence' ? toConfidenceY(v) : toY(v), 3, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+    }
+    ctx.restore();
+
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(MARGIN.left + 0.5, MARGIN.top + 0.5, plotWidth - 1, plotHeight - 1);
+  }, [model, layout, width, plotWidth, plotHeight, view, toX, shown, markers, notes, hover, axisUnit,
+    showAsymmetry, asymmetryView, unit, asymmetryThresholdMm]);
+
+  // Brush overview: the whole session, with the visible window highlighted
+  useEffect(() => {
+    const canvas = brushRef.current;
+    if (!canvas || !model) return;
+    const ctx = prepareCanvas(canvas, width, BRUSH_HEIGHT);
+    const n = model.times.length;
+    const overviewX = (t) => MARGIN.left + (t / model.total) * plotWidth;
+
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(MARGIN.left, 0, plotWidth, BRUSH_HEIGHT);
+
+    let min = Infinity;
+    let max = -Infinity;
+    ['left', 'right'].forEach(key => {
+      const range = seriesRange(model.series[key], 0, n);
+      if (range) {
+        min = Math.min(min, range[0]);
+        max = Math.max(max, range[1]);
+      }
+    });
+    if (min <= max) {
+      const span = max - min || 1;
+      const toY = (v) => BRUSH_HEIGHT - 4 - ((v - min) / span) * (BRUSH_HEIGHT - 8);
+      [['left', '#3b82f6'], ['right', '#a855f7']].forEach(([key, color]) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        strokeSegments(ctx, traceSegments(model.times, model.series[key], 0, n, overviewX, plotWidth), toY);
+      });
+    }
+
+    ctx.strokeStyle = '#34d399';
+    notes.forEach(note => {
+      const x = Math.round(overviewX(note.time)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, BRUSH_HEIGHT);
+      ctx.stroke();
+    });
+
+    const x1 = overviewX(view[0]);
+    const x2 = overviewX(view[1]);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(MARGIN.left, 0, x1 - MARGIN.left, BRUSH_HEIGHT);
+    ctx.fillRect(x2, 0, MARGIN.left + plotWidth - x2, BRUSH_HEIGHT);
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.strokeRect(x1 + 0.5, 0.5, Math.max(1, x2 - x1 - 1), BRUSH_HEIGHT - 1);
+  }, [model, width, plotWidth, view, notes]);
+
+  const zoomAround = useCallback((anchor, factor) => {
+    const start = anchor - (anchor - view[0]) * factor;
+    const end = anchor + (view[1] - anchor) * factor;
+    setDomain(clampDomain(start, end));
+  }, [view, clampDomain]);
+
+  // Wheel zoom (trackpad pinch arrives as ctrl+wheel). Registered natively so it can preventDefault.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !model) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        const shift = (e.deltaX / plotWidth) * (view[1] - view[0]);
+        setDomain(clampDomain(view[0] + shift, view[1] + shift));
+        return;
+      }
+      const factor = Math.exp(e.deltaY * (e.ctrlKey ? 0.01 : 0.0015));
+      zoomAround(toTime(e.clientX - rect.left), factor);
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [model, view, plotWidth, clampDomain, zoomAround, toTime]);
+
+  const localX = (e) => e.clientX - e.currentTarget.getBoundingClientRect().left;
+  const localY = (e) => e.clientY - e.currentTarget.getBoundingClientRect().top;
+
+  // Drag to pan; two pointers pinch-zoom
+  const handlePointerDown = (e) => {
+    const gesture = gestureRef.current;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.pointers.set(e.pointerId, localX(e));
+    if (gesture.pointers.size === 2) {
+      const [a, b] = [...gesture.pointers.values()];
+      gesture.drag = null;
+      gesture.pinch = { distance: Math.abs(a - b) || 1, view, anchor: toTime((a + b) / 2) };
+    } else {
+      gesture.drag = { x: localX(e), view };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!model) return;
+    const gesture = gestureRef.current;
+    const x = localX(e);
+    if (gesture.pointers.has(e.pointerId)) gesture.pointers.set(e.pointerId, x);
+
+    if (gesture.pinch && gesture.pointers.size === 2) {
+      const [a, b] = [...gesture.pointers.values()];
+      const { distance, view: startView, anchor } = gesture.pinch;
+      const factor = distance / (Math.abs(a - b) || 1);
+      setDomain(clampDomain(anchor - (anchor - startView[0]) * factor, anchor + (startView[1] - anchor) * factor));
+      return;
+    }
+    if (gesture.drag) {
+      const { x: startX, view: startView } = gesture.drag;
+      const shift = -((x - startX) / plotWidth) * (startView[1] - startView[0]);
+      setDomain(clampDomain(startView[0] + shift, startView[1] + shift));
+      setHover(null);
+      return;
+    }
+
+    if (x < MARGIN.left || x > MARGIN.left + plotWidth) {
+      setHover(null);
+      return;
+    }
+    // Nearest sample to the cursor
+    const t = toTime(x);
+    let index = lowerBound(model.times, t);
+    if (index >= model.times.length || (index > 0 && t - model.times[index - 1] < model.times[index] - t)) index -= 1;
+    setHover({ index, x, y: Math.min(Math.max(localY(e), MARGIN.top), MARGIN.top + plotHeight) });
+  };
+
+  const handlePointerUp = (e) => {
+    const gesture = gestureRef.current;
+    gesture.pointers.delete(e.pointerId);
+    if (gesture.pointers.size < 2) gesture.pinch = null;
+    gesture.drag = null;
+  };
+
+  // Brush: drag the window to move it, drag elsewhere to select a new one, click to centre on a point
+  const brushTime = (e) => ((localX(e) - MARGIN.left) / plotWidth) * model.total;
+
+  const handleBrushDown = (e) => {
+    if (!model) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const t = brushTime(e);
+    gestureRef.current.brush = t >= view[0] && t <= view[1]
+      ? { mode: 'move', start: t, view }
+      : { mode: 'select', start: t, moved: false };
+  };
+
+  const handleBrushMove = (e) => {
+    const brush = gestureRef.current.brush;
+    if (!brush) return;
+    const t = brushTime(e);
+    if (brush.mode === 'move') {
+      const shift = t - brush.start;
+      setDomain(clampDomain(brush.view[0] + shift, brush.view[1] + shift));
+    } else {
+      brush.moved = true;
+      setDomain(clampDomain(Math.min(brush.start, t), Math.max(brush.start, t)));
+    }
+  };
+
+  const handleBrushUp = (e) => {
+    const brush = gestureRef.current.brush;
+    gestureRef.current.brush = null;
+    if (brush?.mode === 'select' && !brush.moved) {
+      const span = view[1] - view[0];
+      setDomain(clampDomain(brushTime(e) - span / 2, brushTime(e) + span / 2));
+    }
+  };
+
+  const toggleSeries = (key) => setShown(current => ({ ...current, [key]: !current[key] }));
+
+  // Whole-session statistics, without spreading 100k values into Math.min
+  const stats = useMemo(() => {
+    if (!model) return null;
+    const n = model.times.length;
+    return {
+      left: seriesRange(model.series.left, 0, n),
+      right: seriesRange(model.series.right, 0, n)
+    };
+  }, [model]);
+
+  if (!model) return null;
+
+  const formatRange = (range) => (range
+    ? `${range[0].toFixed(decimals)} - ${range[1].toFixed(decimals)} ${axisUnit}`
+    : 'N/A');
+
+  const hoverEntry = hover ? data[hover.index] : null;
+  const hoverMarker = hover
+    ? markers.find(m => model.times[hover.index] >= m.start && model.times[hover.index] <= m.end)
+    : null;
+  // Notes within a few pixels of the cursor
+  const hoverNotes = hover && shown.annotations
+    ? notes.filter(note => Math.abs(toX(note.time) - hover.x) <= 4)
+    : [];
+
   return (
     <div className="my-8 bg-gray-800 p-4 rounded-lg">
-      <h2 className="text-lg font-semibold mb-4 text-center">Pupil Size Over Time</h2>
-      
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-semibold">Pupil Size Over Time</h2>
+        <div className="flex flex-wrap gap-1">
+          {SERIES_TOGGLES.map(toggle => (
+            <button
+              key={toggle.key}
+              onClick={() => toggleSeries(toggle.key)}
+              className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                shown[toggle.key]
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+              }`}
+              title={toggle.title}
+            >
+              {toggle.label}
+            </button>
+          ))}
+          <div className="w-px bg-gray-600 mx-1"></div>
+          {ASYMMETRY_VIEWS.map(asymmetry => (
+            <button
+              key={asymmetry.key}
+              onClick={() => setAsymmetryView(current => (current === asymmetry.key ? null : asymmetry.key))}
+              className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                asymmetryView === asymmetry.key
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+              }`}
+              title={asymmetry.title}
+            >
+              {asymmetry.label}
+            </button>
+          ))}
+          <div className="w-px bg-gray-600 mx-1"></div>
+          {Object.keys(UNIT_KEYS).map(u => (
+            <button
+              key={u}
+              onClick={() => setUnit(u)}
+              className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                unit === u
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+              }`}
+            >
+              {u}
+            </button>
+          ))}
+        </div>
+      </div>
+
       {/* Statistics Bar */}
       <div className="grid grid-cols-4 gap-4 mb-4 text-sm">
         <div className="text-center">
           <p className="text-gray-400">Duration</p>
-          <p className="font-bold">
-            {data.length > 0 ? 
-              `${Math.round((data[data.length - 1].timestamp - data[0].timestamp) / 1000)}s` : 
-              '0s'
-            }
-          </p>
+          <p className="font-bold">{formatElapsed(model.total)}</p>
         </div>
         <div className="text-center">
           <p className="text-gray-400">Samples</p>
           <p className="font-bold">{data.length}</p>
         </div>
         <div className="text-center">
-          <p className="text-blue-400">Left Range</p>
-          <p className="font-bold text-blue-300">
-            {leftSizes.length > 0 ? 
-              `${Math.min(...leftSizes).toFixed(1)} - ${Math.max(...leftSizes).toFixed(1)}` : 
-              'N/A'
-            }
-          </p>
+          <p className="text-blue-400">{showAsymmetry ? 'L − R Range' : 'Left Range'}</p>
+          <p className="font-bold text-blue-300">{formatRange(stats.left)}</p>
         </div>
         <div className="text-center">
           <p className="text-purple-400">Right Range</p>
-          <p className="font-bold text-purple-300">
-            {rightSizes.length > 0 ? 
-              `${Math.min(...rightSizes).toFixed(1)} - ${Math.max(...rightSizes).toFixed(1)}` : 
-              'N/A'
-            }
-          </p>
+          <p className="font-bold text-purple-300">{formatRange(stats.right)}</p>
         </div>
       </div>
 
-      {/* SVG Chart */}
-      <div className="flex justify-center">
-        <svg width={width} height={height} className="border border-gray-600 rounded bg-gray-900">
-          {/* Chart background */}
-          <rect 
-            x={margin.left} 
-            y={margin.top} 
-            width={chartWidth} 
-            height={chartHeight} 
-            fill="#1f2937" 
-            stroke="#374151" 
-            strokeWidth="1"
-          />
-          
-          {/* Grid lines */}
-          <g transform={`translate(${margin.left}, ${margin.top})`}>
-            {/* Horizontal grid lines */}
-            {yTicks.map((tick, i) => (
-              <line
-                key={i}
-                x1={0}
-                y1={tick.y}
-                x2={chartWidth}
-                y2={tick.y}
-                stroke="#374151"
-                strokeWidth="0.5"
-                opacity="0.5"
-              />
-            ))}
-            
-            {/* Vertical grid lines */}
-            {xTicks.map((tick, i) => (
-              <line
-                key={i}
-                x1={tick.x}
-                y1={0}
-                x2={tick.x}
-                y2={chartHeight}
-                stroke="#374151"
-                strokeWidth="0.5"
-                opacity="0.5"
-              />
-            ))}
-          </g>
-
-          {/* Y-axis */}
-          <g transform={`translate(${margin.left}, ${margin.top})`}>
-            <line x1={0} y1={0} x2={0} y2={chartHeight} stroke="#9ca3af" strokeWidth="2"/>
-            {yTicks.map((tick, i) => (
-              <g key={i}>
-                <line x1={-5} y1={tick.y} x2={0} y2={tick.y} stroke="#9ca3af" strokeWidth="1"/>
-                <text x={-10} y={tick.y + 4} textAnchor="end" fontSize="10" fill="#9ca3af">
-                  {tick.label}
-                </text>
-              </g>
-            ))}
-            <text x={-40} y={chartHeight / 2} textAnchor="middle" fontSize="12" fill="#9ca3af" transform={`rotate(-90, -40, ${chartHeight / 2})`}>
-              Pupil Size (px)
-            </text>
-          </g>
-
-          {/* X-axis */}
-          <g transform={`translate(${margin.left}, ${margin.top + chartHeight})`}>
-            <line x1={0} y1={0} x2={chartWidth} y2={0} stroke="#9ca3af" strokeWidth="2"/>
-            {xTicks.map((tick, i) => (
-              <g key={i}>
-                <line x1={tick.x} y1={0} x2={tick.x} y2={5} stroke="#9ca3af" strokeWidth="1"/>
-                <text x={tick.x} y={18} textAnchor="middle" fontSize="10" fill="#9ca3af">
-                  {tick.label}
-                </text>
-              </g>
-            ))}
-            <text x={chartWidth / 2} y={35} textAnchor="middle" fontSize="12" fill="#9ca3af">
-              Time
-            </text>
-          </g>
-
-          {/* Data lines */}
-          <g transform={`translate(${margin.left}, ${margin.top})`}>
-            {/* Left eye line */}
-            {leftPath && (
-              <path
-                d={`M ${leftPath}`}
-                fill="none"
-                stroke="#3b82f6"
-                strokeWidth="2"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-              />
-            )}
-            
-            {/* Right eye line */}
-            {rightPath && (
-              <path
-                d={`M ${rightPath}`}
-                fill="none"
-                stroke="#a855f7"
-                strokeWidth="2"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-              />
-            )}
-
-            {/* Data points */}
-            {data.map((d, i) => (
-              <g key={i}>
-                {d.left !== null && (
-                  <circle
-                    cx={xScale(i)}
-                    cy={yScale(d.left)}
-                    r="3"
-                    fill="#3b82f6"
-                    stroke="#1e40af"
-                    strokeWidth="1"
-                  />
-                )}
-                {d.right !== null && (
-                  <circle
-                    cx={xScale(i)}
-                    cy={yScale(d.right)}
-                    r="3"
-                    fill="#a855f7"
-                    stroke="#7c3aed"
-                    strokeWidth="1"
-                  />
-                )}
-              </g>
-            ))}
-          </g>
-
-          {/* Legend */}
-          <g transform={`translate(${width - margin.right + 10}, ${margin.top + 20})`}>
-            <rect x={0} y={0} width={60} height={40} fill="#1f2937" stroke="#374151" rx="4"/>
-            <line x1={5} y1={10} x2={20} y2={10} stroke="#3b82f6" strokeWidth="2"/>
-            <circle cx={12.5} cy={10} r="2" fill="#3b82f6"/>
-            <text x={25} y={14} fontSize="10" fill="#3b82f6">Left</text>
-            <line x1={5} y1={25} x2={20} y2={25} stroke="#a855f7" strokeWidth="2"/>
-            <circle cx={12.5} cy={25} r="2" fill="#a855f7"/>
-            <text x={25} y={29} fontSize="10" fill="#a855f7">Right</text>
-          </g>
-        </svg>
+      <div ref={wrapperRef} className="relative w-full select-none">
+        <canvas
+          ref={canvasRef}
+          style={{ width, height: HEIGHT, touchAction: 'none', cursor: gestureRef.current.drag ? 'grabbing' : 'crosshair' }}
+          className="block rounded bg-gray-900"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={() => setHover(null)}
+          onDoubleClick={() => setDomain(null)}
+        />
+
+        {/* Hover readout */}
+        {hoverEntry && (
+          <div
+            className="absolute pointer-events-none bg-gray-900 bg-opacity-90 border border-gray-600 rounded px-2 py-1 text-xs font-mono"
+            style={{
+              top: MARGIN.top + 4,
+              ...(hover.x > width / 2 ? { right: width - hover.x + 12 } : { left: hover.x + 12 })
+            }}
+          >
+            <p className="text-gray-300">{formatElapsed(model.times[hover.index], 10)}</p>
+            {SERIES.filter(s => shown[s.toggle]).map(s => {
+              const v = model.series[s.key][hover.index];
+              if (Number.isNaN(v)) return null;
+              return (
+                <p key={s.key} style={{ color: s.color }}>
+                  {showAsymmetry && !s.axis ? s.label.replace(/^L/, 'L − R') : s.label}: {v.toFixed(s.axis ? 2 : decimals + 1)}{s.axis ? '' : ` ${axisUnit}`}
+                </p>
+              );
+            })}
+            {shown.events && hoverMarker && <p className="text-yellow-400">{hoverMarker.label}</p>}
+            {hoverNotes.map((note, i) => <p key={i} className="text-emerald-400">{note.label}</p>)}
+          </div>
+        )}
+
+        <canvas
+          ref={brushRef}
+          style={{ width, height: BRUSH_HEIGHT, touchAction: 'none' }}
+          className="block mt-2 cursor-ew-resize"
+          onPointerDown={handleBrushDown}
+          onPointerMove={handleBrushMove}
+          onPointerUp={handleBrushUp}
+          onPointerCancel={() => { gestureRef.current.brush = null; }}
+        />
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-3 mt-2 text-xs">
+        {SERIES.filter(s => shown[s.toggle] && !(showAsymmetry && (s.key === 'right' || s.key === 'rawRight')))
+          .map(s => (
+            <span key={s.key} className="flex items-center space-x-1" style={{ color: s.color }}>
+              <span className="inline-block w-4" style={{ borderTop: `${s.width}px ${s.dash ? 'dashed' : 'solid'} ${s.color}` }}></span>
+              <span>{showAsymmetry && !s.axis ? s.label.replace(/^L/, 'L − R') : s.label}</span>
+            </span>
+          ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+        <span>Scroll or pinch to zoom, drag to pan, drag the overview to select. Double-click resets.</span>
+        {domain && (
+          <button
+            onClick={() => setDomain(null)}
+            className="px-2 py-1 rounded text-xs font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500"
+          >
+            Show all
+          </button>
+        )}
       </div>
     </div>
   );
 }
 
 export default GraphView;
-
@@ -0,0 +1,90 @@
+// components/GraphView.test.jsx
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import GraphView from './GraphView';
+
+// One second at 10 Hz, the left pupil widening from 4.0 to 4.9 mm
+const history = Array.from({ length: 10 }, (_, i) => ({
+  timestamp: 1000 + i * 100,
+  left: 4 + i * 0.1,
+  right: 4.5,
+  leftPx: 20 + i,
+  rightPx: 22,
+  leftRawMm: 4 + i * 0.1 + 0.05,
+  rightRawMm: 4.45,
+  leftRawPx: 20.5 + i,
+  rightRawPx: 21.5,
+  leftConfidence: 0.9,
+  rightConfidence: 0.8
+}));
+
+const legend = () => screen.getByText('Scroll or pinch to zoom, drag to pan, drag the overview to select. Double-click resets.')
+  .parentElement.previousElementSibling;
+const legendLabels = () => [...legend().querySelectorAll('span > span:last-child')].map(span => span.textContent);
+
+describe('GraphView', () => {
+  it('renders nothing without data', () => {
+    const { container } = render(<GraphView data={[]} />);
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('summarises the history', () => {
+    render(<GraphView data={history} />);
+
+    expect(screen.getByText('10')).toBeTruthy();
+    expect(screen.getByText('4.00 - 4.90 mm')).toBeTruthy();
+    expect(screen.getByText('4.50 - 4.50 mm')).toBeTruthy();
+    expect(legendLabels()).toEqual(['L', 'R']);
+  });
+
+  it('toggles series', () => {
+    render(<GraphView data={history} />);
+
+    fireEvent.click(screen.getByText('raw'));
+    fireEvent.click(screen.getByText('conf'));
+    expect(screen.getByText('raw').className).toContain('bg-blue-600');
+    expect(legendLabels()).toEqual(['L conf', 'R conf', 'L raw', 'R raw', 'L', 'R']);
+
+    fireEvent.click(screen.getByText('filtered'));
+    fireEvent.click(screen.getByText('conf'));
+    expect(screen.getByText('filtered').className).not.toContain('bg-blue-600');
+    expect(legendLabels()).toEqual(['L raw', 'R raw']);
+  });
+
+  it('switches units', () => {
+    render(<GraphView data={history} />);
+
+    fireEvent.click(screen.getByText('px'));
+    expect(screen.getByText('20.0 - 29.0 px')).toBeTruthy();
+    expect(screen.getByText('px').className).toContain('bg-blue-600');
+  });
+
+  it('plots the left − right difference', () => {
+    render(<GraphView data={history} />);
+
+    fireEvent.click(screen.getByText('L−R'));
+    expect(screen.getByText('L − R Range')).toBeTruthy();
+    expect(legendLabels()).toEqual(['L − R']);
+  });
+
+  it('labels closely spaced y ticks distinctly', () => {
+    const labels = [];
+    const getContext = HTMLCanvasElement.prototype.getContext;
+    const spy = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function (...args) {
+      const context = getContext.apply(this, args);
+      return new Proxy(context, {
+        get: (target, prop) => (prop === 'fillText'
+          ? (text, x) => { if (x === 50) labels.push(text); }
+          : target[prop])
+      });
+    });
+
+    // A few hundredths of a millimetre across the whole trace
+    render(<GraphView data={history.map((h, i) => ({ ...h, left: 4 + i * 0.004, right: 4.01 }))} />);
+    spy.mockRestore();
+
+    expect(labels.length).toBeGreaterThan(2);
+    expect(new Set(labels).size).toBe(labels.length);
+  });
+});
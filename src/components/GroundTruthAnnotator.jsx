@@ -0,0 +1,407 @@
+// components/GroundTruthAnnotator.jsx - Step through a video file and draw the true pupil per eye
+import React, { useEffect, useRef, useState } from 'react';
+import { EYE_LANDMARKS, getEyeROI } from '../utils/pupilDetectors';
+import {
+  createGroundTruthDataset,
+  cropAroundROI,
+  decodePixels,
+  encodePixels,
+  findFrame,
+  groundTruthFilename,
+  groundTruthToJSON,
+  parseGroundTruthJSON,
+  removeFrame,
+  upsertFrame
+} from '../utils/groundTruth';
+import { runDetectionBenchmark } from '../utils/detectionBenchmark';
+import { loadOpenCV } from '../utils/dependencyLoader';
+import { downloadFile } from '../utils/sessionExport';
+
+const EYES = ['left', 'right'];
+// Longest side of an enlarged eye crop on screen
+const DISPLAY_SIZE = 240;
+
+const formatPx = (value) => (value != null ? value.toFixed(2) : '—');
+const formatRate = (value) => (value != null ? `${(value * 100).toFixed(0)}%` : '—');
+
+// Crops and ROIs for the frame on screen, from the same ROI the detectors get
+const captureEyes = (video, landmarks, canvas) => {
+  const width = video.videoWidth;
+  const height = video.videoHeight;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const eyes = {};
+
+  EYES.forEach(eye => {
+    const eyeROI = getEyeROI(landmarks, EYE_LANDMARKS[eye], width, height);
+    if (!eyeROI) return;
+    const { crop, roi } = cropAroundROI(eyeROI.roi, width, height);
+    canvas.width = crop.width;
+    canvas.height = crop.height;
+    ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+    eyes[eye] = { crop, roi, imageData: ctx.getImageData(0, 0, crop.width, crop.height) };
+  });
+  return eyes;
+};
+
+// A stored frame's own pixels, so its labels stay on the crop they were drawn on
+const storedEyes = (frame) => Object.fromEntries(Object.entries(frame.eyes).map(([eye, label]) => [eye, {
+  crop: label.crop,
+  roi: label.roi,
+  imageData: new ImageData(decodePixels(label.pixels), label.crop.width, label.crop.height)
+}]));
+
+// One enlarged eye crop: drag from the pupil centre out along its longest axis to draw it
+function EyeCanvas({ eye, capture, truth, active, onSelect, onDraw }) {
+  const canvasRef = useRef(null);
+  const dragStart = useRef(null);
+  const scale = DISPLAY_SIZE / Math.max(capture.crop.width, capture.crop.height);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    canvas.width = Math.round(capture.crop.width * scale);
+    canvas.height = Math.round(capture.crop.height * scale);
+
+    const source = document.createElement('canvas');
+    source.width = capture.crop.width;
+    source.height = capture.crop.height;
+    source.getContext('2d').putImageData(capture.imageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    // The detector ROI
+    ctx.strokeStyle = 'rgba(250, 204, 21, 0.8)';
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    ctx.strokeRect(capture.roi.x * scale, capture.roi.y * scale, capture.roi.width * scale, capture.roi.height * scale);
+    ctx.setLineDash([]);
+
+    if (truth) {
+      // Pixel centres are on whole coordinates, so pixel i is drawn centred at i + 0.5
+      const cx = (truth.cx + 0.5) * scale;
+      const cy = (truth.cy + 0.5) * scale;
+      ctx.strokeStyle = '#22c55e';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, (truth.majorAxis / 2) * scale, (truth.minorAxis / 2) * scale, (truth.angle * Math.PI) / 180, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(cx - 4, cy);
+      ctx.lineTo(cx + 4, cy);
+      ctx.moveTo(cx, cy - 4);
+      ctx.lineTo(cx, cy + 4);
+      ctx.stroke();
+    } else if (truth === null) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, canvas.height / 2 - 12, canvas.width, 24);
+      ctx.fillStyle = '#f87171';
+      ctx.font = '14px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('No pupil visible', canvas.width / 2, canvas.height / 2 + 5);
+    }
+  }, [capture, truth, scale]);
+
+  // Pointer position in crop pixels
+  const toImage = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * canvasRef.current.width;
+    const y = ((event.clientY - rect.top) / rect.height) * canvasRef.current.height;
+    return { x: x / scale - 0.5, y: y / scale - 0.5 };
+  };
+
+  const handlePointerDown = (event) => {
+    onSelect(eye);
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragStart.current = toImage(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragStart.current) return;
+    const start = dragStart.current;
+    const end = toImage(event);
+    const radius = Math.hypot(end.x - start.x, end.y - start.y);
+    if (radius < 0.5) return;
+    const roundness = truth ? truth.minorAxis / truth.majorAxis : 1;
+    const angle = ((Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI + 180) % 180;
+    onDraw(eye, { cx: start.x, cy: start.y, majorAxis: radius * 2, minorAxis: radius * 2 * roundness, angle });
+  };
+
+  const handlePointerUp = () => {
+    dragStart.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      className={`rounded cursor-crosshair touch-none border-2 ${active ? 'border-blue-500' : 'border-transparent'}`}
+    />
+  );
+}
+
+function GroundTruthAnnotator({ videoRef, landmarks, videoName, currentTime, isPlaying, stepFps, onSeek }) {
+  const [dataset, setDataset] = useState(null);
+  const [capture, setCapture] = useState(null);
+  // Per eye: an ellipse, null for "no pupil visible", undefined while unlabelled
+  const [labels, setLabels] = useState({});
+  const [activeEye, setActiveEye] = useState('left');
+  const [benchmark, setBenchmark] = useState(null);
+  const [benchmarking, setBenchmarking] = useState(false);
+  const [error, setError] = useState(null);
+  const captureCanvas = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Each paused frame's landmarks arrive after the seek; that's the moment to grab its eyes.
+  // A frame already in the dataset shows its stored crops and labels instead.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !video.paused || !video.videoWidth) return;
+    const mediaTime = video.currentTime;
+    const existing = dataset && findFrame(dataset, mediaTime);
+
+    if (existing) {
+      setCapture({ mediaTime, eyes: storedEyes(existing) });
+      setLabels(Object.fromEntries(Object.entries(existing.eyes).map(([eye, label]) => [eye, label.truth])));
+      return;
+    }
+    if (!landmarks) return;
+    try {
+      if (!captureCanvas.current) captureCanvas.current = document.createElement('canvas');
+      setCapture({ mediaTime, eyes: captureEyes(video, landmarks, captureCanvas.current) });
+      setLabels({});
+    } catch (err) {
+      console.error('[GroundTruthAnnotator] Frame capture failed:', err);
+      setError(`Could not read the frame: ${err.message}`);
+    }
+  }, [landmarks, isPlaying, dataset, videoRef]);
+
+  const step = (frames) => onSeek(currentTime + frames / stepFps);
+
+  const setLabel = (eye, truth) => setLabels(current => ({ ...current, [eye]: truth }));
+
+  const activeTruth = labels[activeEye];
+  const setRoundness = (value) => {
+    if (!activeTruth) return;
+    setLabel(activeEye, { ...activeTruth, minorAxis: activeTruth.majorAxis * value });
+  };
+
+  const labelledEyes = capture ? Object.keys(capture.eyes).filter(eye => labels[eye] !== undefined) : [];
+  const savedFrame = dataset && capture ? findFrame(dataset, capture.mediaTime) : null;
+
+  const saveFrame = (advance) => {
+    if (!capture || labelledEyes.length === 0) return;
+    const video = videoRef.current;
+    const base = dataset || createGroundTruthDataset({ name: videoName, width: video?.videoWidth, height: video?.videoHeight });
+    const eyes = Object.fromEntries(labelledEyes.map(eye => {
+      const { crop, roi, imageData } = capture.eyes[eye];
+      return [eye, { crop, roi, pixels: encodePixels(imageData.data), truth: labels[eye] }];
+    }));
+    setDataset(upsertFrame(base, { mediaTime: capture.mediaTime, eyes }));
+    setBenchmark(null);
+    if (advance) step(1);
+  };
+
+  const deleteFrame = () => {
+    if (!savedFrame) return;
+    setDataset(removeFrame(dataset, savedFrame.mediaTime));
+    setBenchmark(null);
+  };
+
+  const exportDataset = () => {
+    downloadFile(groundTruthToJSON(dataset), groundTruthFilename(dataset), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setDataset(parseGroundTruthJSON(await file.text()));
+      setBenchmark(null);
+      setError(null);
+    } catch (err) {
+      console.error('[GroundTruthAnnotator] Import failed:', err);
+      setError(err.message);
+    }
+  };
+
+  // Detection normally runs in a worker, so the main thread may not have OpenCV yet
+  const runBenchmark = async () => {
+    setBenchmarking(true);
+    try {
+      const { cv } = await loadOpenCV();
+      setBenchmark(runDetectionBenchmark(cv, dataset));
+      setError(null);
+    } catch (err) {
+      console.error('[GroundTruthAnnotator] Benchmark failed:', err);
+      setError(`Benchmark failed: ${err.message}`);
+    } finally {
+      setBenchmarking(false);
+    }
+  };
+
+  const buttonClass = 'px-3 py-1 rounded text-sm font-medium transition-colors disabled:opacity-50';
+  const neutral = `${buttonClass} bg-gray-600 text-gray-200 hover:bg-gray-500`;
+
+  return (
+    <div className="w-full max-w-3xl bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Pupil Ground Truth</h3>
+        <span className="text-xs text-gray-400">
+          {dataset ? `${dataset.frames.length} labelled frame${dataset.frames.length === 1 ? '' : 's'}` : 'No frames labelled yet'}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button onClick={() => step(-1)} disabled={isPlaying} className={neutral}>‹ Prev frame</button>
+        <button onClick={() => step(1)} disabled={isPlaying} className={neutral}>Next frame ›</button>
+        <span className="font-mono text-xs text-gray-300">
+          {capture ? `${capture.mediaTime.toFixed(3)}s` : '—'}
+          {savedFrame && <span className="ml-2 text-green-400">saved</span>}
+        </span>
+      </div>
+
+      {isPlaying ? (
+        <p className="text-sm text-gray-400">Pause the video to label the frame on screen.</p>
+      ) : !capture || Object.keys(capture.eyes).length === 0 ? (
+        <p className="text-sm text-gray-400">Waiting for a face in this frame…</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-4 mb-3">
+            {EYES.filter(eye => capture.eyes[eye]).map(eye => (
+              <div key={eye} className="flex flex-col items-center">
+                <EyeCanvas
+                  eye={eye}
+                  capture={capture.eyes[eye]}
+                  truth={labels[eye]}
+                  active={activeEye === eye}
+                  onSelect={setActiveEye}
+                  onDraw={setLabel}
+                />
+                <div className="flex items-center space-x-2 mt-2 text-xs">
+                  <span className="font-medium">{eye === 'left' ? 'Left' : 'Right'} eye</span>
+                  <button
+                    onClick={() => setLabel(eye, labels[eye] === null ? undefined : null)}
+                    className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                      labels[eye] === null ? 'bg-blue-600 text-white' : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+                    }`}
+                  >
+                    No pupil
+                  </button>
+                  <button
+                    onClick={() => setLabel(eye, undefined)}
+                    disabled={labels[eye] === undefined}
+                    className="px-2 py-1 rounded text-xs font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+            <label className="flex items-center space-x-2">
+              <span className="text-gray-400">Roundness</span>
+              <input
+                type="range"
+                min="0.4"
+                max="1"
+                step="0.01"
+                value={activeTruth ? activeTruth.minorAxis / activeTruth.majorAxis : 1}
+                onChange={(e) => setRoundness(parseFloat(e.target.value))}
+                disabled={!activeTruth}
+                className="w-32"
+              />
+            </label>
+            {activeTruth && (
+              <span className="font-mono text-xs text-gray-300">
+                {formatPx(activeTruth.majorAxis)} × {formatPx(activeTruth.minorAxis)}px @ {activeTruth.angle.toFixed(0)}°
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Drag from the pupil centre to its edge along the longest axis, then set the roundness. The dashed box is the detector's search region.
+          </p>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => saveFrame(true)}
+          disabled={isPlaying || labelledEyes.length === 0}
+          className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}
+        >
+          Save &amp; Next
+        </button>
+        <button onClick={() => saveFrame(false)} disabled={isPlaying || labelledEyes.length === 0} className={neutral}>
+          Save
+        </button>
+        <button onClick={deleteFrame} disabled={!savedFrame} className={`${buttonClass} bg-red-700 text-white hover:bg-red-600`}>
+          Remove frame
+        </button>
+
+        <div className="w-px h-6 bg-gray-600"></div>
+
+        <button onClick={exportDataset} disabled={!dataset?.frames.length} className={neutral}>Export Dataset</button>
+        <button onClick={() => fileInputRef.current?.click()} className={neutral}>Import Dataset</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+        <button
+          onClick={runBenchmark}
+          disabled={!dataset?.frames.length || benchmarking}
+          className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+        >
+          {benchmarking ? 'Running…' : 'Run Benchmark'}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+
+      {benchmark && (
+        <div className="mt-4 overflow-x-auto">
+          <p className="text-xs text-gray-400 mb-1">
+            {benchmark.samples} labelled eyes ({benchmark.withPupil} with a visible pupil). Diameter is compared with the drawn major axis.
+          </p>
+          <table className="w-full text-xs">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left py-1 pr-2">Method</th>
+                <th className="text-right pr-2">Detected</th>
+                <th className="text-right pr-2">Hit</th>
+                <th className="text-right pr-2">False +</th>
+                <th className="text-right pr-2">Diam. |err| px</th>
+                <th className="text-right pr-2">Bias px</th>
+                <th className="text-right pr-2">|err| %</th>
+                <th className="text-right pr-2">Centre px</th>
+                <th className="text-right">ms</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {benchmark.methods.map(method => (
+                <tr key={method.key} className="border-t border-gray-700">
+                  <td className="py-1 pr-2 font-sans">{method.label}</td>
+                  <td className="text-right pr-2">{formatRate(method.detectionRate)}</td>
+                  <td className="text-right pr-2">{formatRate(method.hitRate)}</td>
+                  <td className="text-right pr-2">{formatRate(method.falsePositiveRate)}</td>
+                  <td className="text-right pr-2">{formatPx(method.diameterError.meanAbsPx)}</td>
+                  <td className="text-right pr-2">{formatPx(method.diameterError.biasPx)}</td>
+                  <td className="text-right pr-2">
+                    {method.diameterError.meanAbsPercent != null ? method.diameterError.meanAbsPercent.toFixed(1) : '—'}
+                  </td>
+                  <td className="text-right pr-2">{formatPx(method.centerError.meanPx)}</td>
+                  <td className="text-right">{method.meanMs != null ? method.meanMs.toFixed(2) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GroundTruthAnnotator;
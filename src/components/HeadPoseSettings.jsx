@@ -0,0 +1,88 @@
+// components/HeadPoseSettings.jsx - Viewing-angle correction and head-motion limits
+import React from 'react';
+import { DEFAULT_HEAD_POSE_OPTIONS } from '../utils/headPose';
+
+const LIMITS = [
+  { key: 'maxAngleDeg', label: 'Max head angle (°)', step: 1 },
+  { key: 'maxRotationSpeedDegS', label: 'Max rotation (°/s)', step: 5 },
+  { key: 'maxTranslationSpeedMmS', label: 'Max movement (mm/s)', step: 10 }
+];
+
+function HeadPoseSettings({ options, onChange, disabled }) {
+  const handleNumber = (key, value) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed <= 0) return;
+    onChange({ ...options, [key]: parsed });
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Head Pose</h3>
+        <button
+          onClick={() => onChange(DEFAULT_HEAD_POSE_OPTIONS)}
+          disabled={disabled}
+          className="px-3 py-1 rounded text-sm font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-3 text-sm text-gray-300">
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={options.correctForeshortening}
+            onChange={(e) => onChange({ ...options, correctForeshortening: e.target.checked })}
+            disabled={disabled}
+          />
+          <span>Correct pupil size for viewing angle</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={options.rejectMotion}
+            onChange={(e) => onChange({ ...options, rejectMotion: e.target.checked })}
+            disabled={disabled}
+          />
+          <span>Drop samples past the limits</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        {LIMITS.map(({ key, label, step }) => (
+          <label key={key} className="flex flex-col">
+            <span className="text-gray-400 mb-1">{label}</span>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={options[key]}
+              onChange={(e) => handleNumber(key, e.target.value)}
+              disabled={disabled}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+        ))}
+        <label className="flex flex-col">
+          <span className="text-gray-400 mb-1">Focal length (× width)</span>
+          <input
+            type="number"
+            min="0.2"
+            max="3"
+            step="0.05"
+            value={options.focalLengthRatio}
+            onChange={(e) => handleNumber('focalLengthRatio', e.target.value)}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          />
+        </label>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Samples past a limit are flagged in the recording. Ellipse-fit sizes already use the unforeshortened axis and aren't corrected.
+      </p>
+    </div>
+  );
+}
+
+export default HeadPoseSettings;
@@ -0,0 +1,73 @@
+// components/MarkerControls.jsx - Stamp labelled markers into the recording
+import React, { useEffect, useRef, useState } from 'react';
+import { ANNOTATION_PRESETS } from '../utils/annotations';
+
+// Typing in a field shouldn't fire shortcuts
+const isEditable = (target) =>
+  target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+function MarkerControls({ onMark, isRecording }) {
+  const [label, setLabel] = useState('');
+  const inputRef = useRef(null);
+  // The listener is registered once per recording; read the latest label and callback through refs
+  const latest = useRef({ label, onMark });
+  latest.current = { label, onMark };
+
+  // 1-4 stamp the presets, M stamps the custom label
+  useEffect(() => {
+    if (!isRecording) return;
+    const handleKeyDown = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return;
+      const preset = ANNOTATION_PRESETS.find(p => p.key === e.key);
+      if (preset) {
+        e.preventDefault();
+        latest.current.onMark(preset.label);
+      } else if (e.key === 'm' || e.key === 'M') {
+        e.preventDefault();
+        latest.current.onMark(latest.current.label);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isRecording]);
+
+  const markCustom = () => {
+    onMark(label);
+    inputRef.current?.blur();
+  };
+
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-2 text-sm">
+      <span className="text-gray-300">Marker:</span>
+      {ANNOTATION_PRESETS.map(preset => (
+        <button
+          key={preset.key}
+          onClick={() => onMark(preset.label)}
+          disabled={!isRecording}
+          className="px-3 py-1 rounded bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+          title={`Shortcut: ${preset.key}`}
+        >
+          <span className="text-gray-400 mr-1">{preset.key}</span>{preset.label}
+        </button>
+      ))}
+      <input
+        ref={inputRef}
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter' && isRecording) markCustom(); }}
+        placeholder="Custom label"
+        className="w-40 px-2 py-1 rounded bg-gray-700 text-white"
+      />
+      <button
+        onClick={markCustom}
+        disabled={!isRecording}
+        className="px-3 py-1 rounded bg-green-700 hover:bg-green-600 disabled:opacity-50"
+        title="Shortcut: M"
+      >
+        Mark
+      </button>
+    </div>
+  );
+}
+
+export default MarkerControls;
@@ -0,0 +1,145 @@
+// components/NystagmusPanel.jsx - Eye position trace, spectrum and oscillation metrics
+import React, { useMemo } from 'react';
+import { analyzeNystagmus } from '../utils/nystagmus';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const MARGIN = { top: 10, right: 10, bottom: 25, left: 45 };
+const PLOT_W = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_H = HEIGHT - MARGIN.top - MARGIN.bottom;
+const MAX_POINTS = 1500;
+
+const SERIES = [
+  { key: 'horizontal', label: 'Horizontal', color: '#22d3ee' },
+  { key: 'vertical', label: 'Vertical', color: '#f472b6' }
+];
+
+const format = (value, decimals, unit = '') => (value != null ? `${value.toFixed(decimals)}${unit}` : '—');
+
+// Polyline points for y(x) over the given ranges, thinned to MAX_POINTS
+const toPoints = (data, getX, getY, [x0, x1], [y0, y1]) => {
+  const stride = Math.max(1, Math.ceil(data.length / MAX_POINTS));
+  return data
+    .filter((_, i) => i % stride === 0)
+    .map(d => {
+      const x = ((getX(d) - x0) / (x1 - x0 || 1)) * PLOT_W;
+      const y = PLOT_H - ((getY(d) - y0) / (y1 - y0 || 1)) * PLOT_H;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+};
+
+function Plot({ title, xLabel, yLabel, xRange, yRange, children }) {
+  return (
+    <div>
+      <p className="text-sm text-gray-400 mb-1">{title}</p>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full border border-gray-600 rounded bg-gray-900">
+        <g transform={`translate(${MARGIN.left}, ${MARGIN.top})`}>
+          <rect width={PLOT_W} height={PLOT_H} fill="#1f2937" stroke="#374151"/>
+          {children}
+          <text x={-6} y={8} textAnchor="end" fontSize="10" fill="#9ca3af">{yRange[1].toFixed(1)}</text>
+          <text x={-6} y={PLOT_H} textAnchor="end" fontSize="10" fill="#9ca3af">{yRange[0].toFixed(1)}</text>
+          <text x={0} y={PLOT_H + 14} fontSize="10" fill="#9ca3af">{xRange[0].toFixed(1)}</text>
+          <text x={PLOT_W} y={PLOT_H + 14} textAnchor="end" fontSize="10" fill="#9ca3af">{xRange[1].toFixed(1)}</text>
+          <text x={PLOT_W / 2} y={PLOT_H + 20} textAnchor="middle" fontSize="10" fill="#9ca3af">{xLabel}</text>
+          <text x={-32} y={PLOT_H / 2} textAnchor="middle" fontSize="10" fill="#9ca3af" transform={`rotate(-90, -32, ${PLOT_H / 2})`}>
+            {yLabel}
+          </text>
+        </g>
+      </svg>
+    </div>
+  );
+}
+
+function NystagmusPanel({ data }) {
+  const analysis = useMemo(() => analyzeNystagmus(data), [data]);
+
+  if (!analysis) {
+    return (
+      <div className="mt-6 bg-gray-800 rounded-lg p-4">
+        <h3 className="text-lg font-semibold mb-2">Nystagmus</h3>
+        <p className="text-sm text-gray-400">Record at least a few seconds of eye position to analyse.</p>
+      </div>
+    );
+  }
+
+  const { samples, sampleRate } = analysis.trace;
+  const t0 = samples[0].t;
+  const timeRange = [0, (samples[samples.length - 1].t - t0) / 1000];
+  const positions = samples.flatMap(s => [s.horizontal, s.vertical]);
+  const positionRange = [Math.min(...positions), Math.max(...positions)];
+
+  const maxFrequency = Math.min(15, sampleRate / 2);
+  const spectra = SERIES.map(series => ({
+    ...series,
+    bins: analysis[series.key].spectrum.filter(bin => bin.frequency <= maxFrequency)
+  }));
+  const maxPower = Math.max(...spectra.flatMap(s => s.bins.map(bin => bin.power)), 1e-9);
+
+  const metrics = [
+    ['Detected', analysis.detected ? 'Yes' : 'No'],
+    ['Type', analysis.type || '—'],
+    ['Direction', analysis.direction || analysis.axis || '—'],
+    ['Frequency', format(analysis.frequency, 2, ' Hz')],
+    ['Amplitude (p-p)', format(analysis.amplitude, 1, '°')],
+    ['Slow-phase velocity', format(analysis.slowPhaseVelocity, 1, '°/s')],
+    ['Sample rate', format(sampleRate, 1, ' Hz')]
+  ];
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Nystagmus</h3>
+        <div className="flex space-x-3 text-xs">
+          {SERIES.map(s => (
+            <span key={s.key} style={{ color: s.color }}>■ {s.label}</span>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2 space-y-3">
+          <Plot title="Eye position" xLabel="Time (s)" yLabel="deg" xRange={timeRange} yRange={positionRange}>
+            {SERIES.map(s => (
+              <polyline
+                key={s.key}
+                points={toPoints(samples, d => (d.t - t0) / 1000, d => d[s.key], timeRange, positionRange)}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="1"
+              />
+            ))}
+          </Plot>
+          <Plot title="Spectrum" xLabel="Frequency (Hz)" yLabel="power" xRange={[0, maxFrequency]} yRange={[0, maxPower]}>
+            {spectra.map(s => (
+              <polyline
+                key={s.key}
+                points={toPoints(s.bins, bin => bin.frequency, bin => bin.power, [0, maxFrequency], [0, maxPower])}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="1.5"
+              />
+            ))}
+          </Plot>
+        </div>
+
+        <table className="w-full text-sm self-start">
+          <tbody>
+            {metrics.map(([label, value]) => (
+              <tr key={label} className="border-t border-gray-700">
+                <td className="py-1 text-gray-300">{label}</td>
+                <td className="py-1 text-right font-mono">{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-3 text-xs text-gray-500">
+        Positions come straight from the iris landmarks at the camera frame rate. Frequencies above half the sample rate can't be resolved.
+      </p>
+    </div>
+  );
+}
+
+export default NystagmusPanel;
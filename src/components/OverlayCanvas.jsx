@@ -7,13 +7,18 @@ const OverlayCanvas = memo(({
   showLeftEye = true, 
   showRightEye = true, 
   pupilData,
+  headPose = null,
+  maxHeadAngle = 25,
   zoomLevel = 1,
-  isFlipped = false
+  isFlipped = false,
+  faces = null,
+  subjectFaceId = null,
+  lockedFaceId = null
 }) => {
   const canvasRef = useRef(null);
 
   useEffect(() => {
-    if (!videoRef.current || !canvasRef.current || !landmarks) return;
+    if (!videoRef.current || !canvasRef.current) return;
 
     const video = videoRef.current;
     const canvas = canvasRef.current;
@@ -43,7 +48,7 @@ const OverlayCanvas = memo(({
     const rightIrisIndices = [473, 474, 475, 476, 477];
 
     // Helper function to draw minimal pupil indicator
-    const drawMinimalPupilIndicator = (irisIndices, pupilSize, color = '#00BFFF', label = '') => {
+    const drawMinimalPupilIndicator = (irisIndices, pupilSize, color = '#00BFFF', label = '', ellipse = null) => {
       if (irisIndices.length === 0) return;
 
       // Calculate iris center using original landmark coordinates
@@ -76,7 +81,14 @@ const OverlayCanvas = memo(({
         ctx.lineWidth = extraThinLineWidth;
         ctx.globalAlpha = 0.6; // Semi-transparent
         ctx.beginPath();
-        ctx.arc(centerX, centerY, (pupilSize / 2), 0, 2 * Math.PI);
+        if (ellipse) {
+          // Fitted shape, scaled so its major axis matches the filtered size
+          const scale = pupilSize / ellipse.majorAxis;
+          ctx.ellipse(centerX, centerY, pupilSize / 2, (ellipse.minorAxis * scale) / 2,
+            (ellipse.angle * Math.PI) / 180, 0, 2 * Math.PI);
+        } else {
+          ctx.arc(centerX, centerY, (pupilSize / 2), 0, 2 * Math.PI);
+        }
         ctx.stroke();
         ctx.globalAlpha = 1.0; // Reset alpha
 
@@ -152,17 +164,30 @@ const OverlayCanvas = memo(({
       ctx.globalAlpha = 1.0;
     };
 
+    // Outline every tracked face when there's a subject to choose
+    if (faces) {
+      faces.forEach(({ id, box }) => {
+        ctx.strokeStyle = id === subjectFaceId ? '#22C55E' : '#9CA3AF';
+        ctx.lineWidth = thinLineWidth * 2;
+        ctx.globalAlpha = id === subjectFaceId ? 0.8 : 0.5;
+        ctx.setLineDash(id === lockedFaceId ? [] : [6, 4]);
+        ctx.strokeRect(box.x * canvas.width, box.y * canvas.height, box.width * canvas.width, box.height * canvas.height);
+      });
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1.0;
+    }
+
     // Draw minimal indicators
-    if (showLeftEye) {
+    if (landmarks && showLeftEye) {
       drawSubtleEyeHint(leftIrisIndices, '#00BFFF');
       const leftPupilSize = pupilData?.left?.size || null;
-      drawMinimalPupilIndicator(leftIrisIndices, leftPupilSize, '#00BFFF', 'L');
+      drawMinimalPupilIndicator(leftIrisIndices, leftPupilSize, '#00BFFF', 'L', pupilData?.left?.ellipse);
     }
     
-    if (showRightEye) {
+    if (landmarks && showRightEye) {
       drawSubtleEyeHint(rightIrisIndices, '#FF00FF');
       const rightPupilSize = pupilData?.right?.size || null;
-      drawMinimalPupilIndicator(rightIrisIndices, rightPupilSize, '#FF00FF', 'R');
+      drawMinimalPupilIndicator(rightIrisIndices, rightPupilSize, '#FF00FF', 'R', pupilData?.right?.ellipse);
     }
 
     // Restore canvas context if flipped
@@ -170,6 +195,19 @@ const OverlayCanvas = memo(({
       ctx.restore();
     }
 
+    // Face labels go on unflipped so they stay readable
+    if (faces) {
+      ctx.font = `${Math.max(10, fontSize)}px Arial`;
+      faces.forEach(({ id, box }) => {
+        const left = isFlipped ? 1 - box.x - box.width : box.x;
+        const label = `Face ${id}${id === lockedFaceId ? ' (locked)' : id === subjectFaceId ? ' (subject)' : ''}`;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(left * canvas.width, box.y * canvas.height - 16, ctx.measureText(label).width + 8, 16);
+        ctx.fillStyle = id === subjectFaceId ? '#22C55E' : '#D1D5DB';
+        ctx.fillText(label, left * canvas.width + 4, box.y * canvas.height - 4);
+      });
+    }
+
     // UI elements that should NOT be flipped (fixed position overlays)
     // Minimal zoom indicator (smaller and less intrusive)
     if (zoomLevel > 1) {
@@ -203,6 +241,64 @@ const OverlayCanvas = memo(({
       }
     }
 
+    // Head-pose indicator (fixed position): the dot is where the face points, the
+    // dashed ring the angle limit, the bar the roll. Mirrored along with the video.
+    if (headPose) {
+      const radius = 28;
+      const cx = canvas.width - radius - 14;
+      const cy = canvas.height - radius - 42;
+      const mirror = isFlipped ? -1 : 1;
+      const exceeded = headPose.exceeded?.length > 0;
+      const color = headPose.rejected ? '#EF4444' : exceeded ? '#F59E0B' : '#22C55E';
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(cx - radius - 8, cy - radius - 8, radius * 2 + 16, radius * 2 + 46);
+      ctx.strokeStyle = '#6B7280';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius / 2, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const roll = (mirror * headPose.roll * Math.PI) / 180;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(cx - Math.cos(roll) * radius, cy - Math.sin(roll) * radius);
+      ctx.lineTo(cx + Math.cos(roll) * radius, cy + Math.sin(roll) * radius);
+      ctx.stroke();
+
+      // Outer ring is twice the limit
+      const scale = radius / (2 * maxHeadAngle);
+      let dx = mirror * headPose.yaw * scale;
+      let dy = -headPose.pitch * scale;
+      const offset = Math.hypot(dx, dy);
+      if (offset > radius) {
+        dx *= radius / offset;
+        dy *= radius / offset;
+      }
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(cx + dx, cy + dy, 4, 0, 2 * Math.PI);
+      ctx.fill();
+
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        `Y${headPose.yaw.toFixed(0)}° P${headPose.pitch.toFixed(0)}° R${headPose.roll.toFixed(0)}°`,
+        cx, cy + radius + 16
+      );
+      const hint = headPose.exceeded?.includes('angle')
+        ? 'Face the camera'
+        : exceeded ? 'Hold still' : `${(headPose.distanceMm / 10).toFixed(0)} cm`;
+      ctx.fillText(hint, cx, cy + radius + 30);
+      ctx.textAlign = 'left';
+    }
+
     // Debug indicator to show flip status (fixed position)
     if (isFlipped) {
       ctx.fillStyle = 'rgba(0, 255, 0, 0.2)';
@@ -212,7 +308,7 @@ const OverlayCanvas = memo(({
       ctx.fillText('ALIGNED', 15, canvas.height - 16);
     }
 
-  }, [landmarks, videoRef, showLeftEye, showRightEye, pupilData, zoomLevel, isFlipped]);
+  }, [landmarks, videoRef, showLeftEye, showRightEye, pupilData, headPose, maxHeadAngle, zoomLevel, isFlipped, faces, subjectFaceId, lockedFaceId]);
 
   return (
     <canvas
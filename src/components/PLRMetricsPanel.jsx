@@ -0,0 +1,82 @@
+// components/PLRMetricsPanel.jsx - Light reflex metrics for a recorded PLR session
+import React, { useMemo, useState } from 'react';
+import { analyzePLR } from '../utils/plrMetrics';
+
+const METRICS = [
+  { key: 'baseline', label: 'Baseline', unit: 'mm', decimals: 2 },
+  { key: 'minimum', label: 'Minimum', unit: 'mm', decimals: 2 },
+  { key: 'amplitude', label: 'Amplitude', unit: 'mm', decimals: 2 },
+  { key: 'percentConstriction', label: 'Constriction', unit: '%', decimals: 1 },
+  { key: 'latency', label: 'Latency', unit: 'ms', decimals: 0 },
+  { key: 'maxConstrictionVelocity', label: 'Max constr. vel.', unit: 'mm/s', decimals: 2 },
+  { key: 'avgDilationVelocity', label: 'Avg dilation vel.', unit: 'mm/s', decimals: 2 },
+  { key: 't75', label: 'T75', unit: 'ms', decimals: 0 }
+];
+
+const formatValue = (metrics, metric) => {
+  const value = metrics?.[metric.key];
+  return value != null ? `${value.toFixed(metric.decimals)} ${metric.unit}` : '—';
+};
+
+function PLRMetricsPanel({ data, events }) {
+  // 0 = average over all trials, otherwise a single trial number
+  const [selectedTrial, setSelectedTrial] = useState(0);
+
+  const analysis = useMemo(() => analyzePLR(data, events), [data, events]);
+
+  if (!analysis) return null;
+
+  const trial = analysis.trials.find(t => t.trial === selectedTrial);
+  const shown = trial
+    ? { left: trial.left, right: trial.right }
+    : analysis.summary;
+
+  return (
+    <div className="my-8 bg-gray-800 p-4 rounded-lg">
+      <h2 className="text-lg font-semibold mb-4 text-center">PLR Metrics</h2>
+
+      <div className="flex flex-wrap justify-center gap-1 mb-4">
+        {[0, ...analysis.trials.map(t => t.trial)].map(n => (
+          <button
+            key={n}
+            onClick={() => setSelectedTrial(n)}
+            className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+              selectedTrial === n
+                ? 'bg-yellow-600 text-white'
+                : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+            }`}
+          >
+            {n === 0 ? 'Mean' : `Trial ${n}`}
+          </button>
+        ))}
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left font-medium pb-2">Metric</th>
+            <th className="text-right font-medium pb-2 text-blue-400">Left</th>
+            <th className="text-right font-medium pb-2 text-purple-400">Right</th>
+          </tr>
+        </thead>
+        <tbody>
+          {METRICS.map(metric => (
+            <tr key={metric.key} className="border-t border-gray-700">
+              <td className="py-1 text-gray-300">{metric.label}</td>
+              <td className="py-1 text-right font-mono">{formatValue(shown.left, metric)}</td>
+              <td className="py-1 text-right font-mono">{formatValue(shown.right, metric)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!trial && (
+        <p className="mt-3 text-xs text-gray-500 text-center">
+          Valid trials: L {shown.left?.trials ?? 0} / R {shown.right?.trials ?? 0} of {analysis.trials.length}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PLRMetricsPanel;
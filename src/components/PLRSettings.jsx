@@ -0,0 +1,53 @@
+// components/PLRSettings.jsx - Stimulus timing for the pupillary light reflex protocol
+import React from 'react';
+
+const FIELDS = [
+  { key: 'baselineMs', label: 'Baseline (ms)', min: 0, step: 500 },
+  { key: 'flashDurationMs', label: 'Flash (ms)', min: 10, step: 10 },
+  { key: 'flashBrightness', label: 'Brightness', min: 0.05, max: 1, step: 0.05 },
+  { key: 'recoveryMs', label: 'Recovery (ms)', min: 500, step: 500 },
+  { key: 'trials', label: 'Trials', min: 1, max: 20, step: 1, integer: true },
+  { key: 'minIntervalMs', label: 'Min ISI (ms)', min: 0, step: 500 },
+  { key: 'maxIntervalMs', label: 'Max ISI (ms)', min: 0, step: 500 }
+];
+
+function PLRSettings({ config, onChange, disabled }) {
+  const handleChange = (field, value) => {
+    const { key } = field;
+    const number = parseFloat(value);
+    const parsed = field.integer ? Math.round(number) : number;
+    // Out-of-range entries are ignored, so the protocol never sees zero trials or a flash too short to paint
+    if (isNaN(parsed) || parsed < field.min || (field.max != null && parsed > field.max)) return;
+
+    const next = { ...config, [key]: parsed };
+    // Keep the randomized interval range well-formed
+    if (key === 'minIntervalMs' && next.maxIntervalMs < parsed) next.maxIntervalMs = parsed;
+    if (key === 'maxIntervalMs' && next.minIntervalMs > parsed) next.minIntervalMs = parsed;
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <h3 className="text-lg font-semibold mb-3">PLR Test Protocol</h3>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        {FIELDS.map(field => (
+          <label key={field.key} className="flex flex-col">
+            <span className="text-gray-400 mb-1">{field.label}</span>
+            <input
+              type="number"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={config[field.key]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              disabled={disabled}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PLRSettings;
@@ -0,0 +1,123 @@
+// components/QualityPanel.jsx - Live tracking quality, lighting and operator prompts
+import React from 'react';
+import { DEFAULT_QUALITY_OPTIONS, qualityPrompts } from '../utils/signalQuality';
+
+const THRESHOLDS = [
+  { key: 'minTrackingRate', label: 'Min tracking rate (%)', scale: 100, step: 5 },
+  { key: 'minConfidence', label: 'Min confidence (%)', scale: 100, step: 5 },
+  { key: 'maxMethodSwitchRate', label: 'Max method switches (/s)', scale: 1, step: 0.5 }
+];
+
+const percent = (value) => (value != null ? `${(value * 100).toFixed(0)}%` : '—');
+
+function QualityPanel({ report, assessment, options, onOptionsChange, isRecording }) {
+  const { summary, lighting } = report;
+  const prompts = qualityPrompts(report, options);
+  const histogram = lighting?.histogram || [];
+  const peak = Math.max(...histogram, 1e-6);
+
+  const handleThreshold = (key, value, scale) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < 0) return;
+    onOptionsChange({ ...options, [key]: parsed / scale });
+  };
+
+  const metrics = [
+    ['Tracking rate', percent(summary?.trackingRate), summary && summary.trackingRate < options.minTrackingRate],
+    ['Mean confidence', percent(summary?.meanConfidence),
+      summary?.meanConfidence != null && summary.meanConfidence < options.minConfidence],
+    ['Method switches', summary ? `${summary.methodSwitchRate.toFixed(1)}/s` : '—',
+      summary && summary.methodSwitchRate > options.maxMethodSwitchRate],
+    ['Circularity', summary?.meanCircularity != null ? summary.meanCircularity.toFixed(2) : '—', false],
+    ['Brightness', lighting ? lighting.mean.toFixed(0) : '—', false]
+  ];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Signal Quality</h3>
+        <span className={`px-2 py-1 rounded text-xs font-medium ${assessment.acceptable ? 'bg-green-700' : 'bg-red-700'}`}>
+          {assessment.acceptable ? 'Good' : `Below threshold: ${assessment.reasons.join(', ')}`}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2 grid grid-cols-3 md:grid-cols-5 gap-3 text-center">
+          {metrics.map(([label, value, bad]) => (
+            <div key={label}>
+              <p className="text-xs text-gray-400">{label}</p>
+              <p className={`text-lg font-bold ${bad ? 'text-red-400' : ''}`}>{value}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Luminance histogram of the whole frame */}
+        <div>
+          <p className="text-xs text-gray-400 mb-1">Lighting</p>
+          <div className="flex items-end h-12 bg-gray-900 rounded overflow-hidden">
+            {histogram.map((fraction, i) => {
+              const level = Math.round((i * 255) / (histogram.length - 1));
+              return (
+                <div
+                  key={i}
+                  className="flex-1"
+                  style={{ height: `${(fraction / peak) * 100}%`, backgroundColor: `rgb(${level}, ${level}, ${level})` }}
+                ></div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {prompts.length > 0 && (
+        <ul className="mt-3 space-y-1 text-sm">
+          {prompts.map(prompt => (
+            <li key={prompt.message} className={prompt.level === 'error' ? 'text-red-400' : 'text-yellow-400'}>
+              {prompt.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        {THRESHOLDS.map(({ key, label, scale, step }) => (
+          <label key={key} className="flex flex-col">
+            <span className="text-gray-400 mb-1">{label}</span>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={Number((options[key] * scale).toFixed(2))}
+              onChange={(e) => handleThreshold(key, e.target.value, scale)}
+              disabled={isRecording}
+              className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+          </label>
+        ))}
+        <div className="flex flex-col justify-end space-y-1">
+          <label
+            className="flex items-center space-x-2 text-gray-300"
+            title="Applies to live recordings and test protocols; processing a whole video file is never blocked"
+          >
+            <input
+              type="checkbox"
+              checked={options.blockRecording}
+              onChange={(e) => onOptionsChange({ ...options, blockRecording: e.target.checked })}
+              disabled={isRecording}
+            />
+            <span>Block recording below threshold</span>
+          </label>
+          <button
+            onClick={() => onOptionsChange(DEFAULT_QUALITY_OPTIONS)}
+            disabled={isRecording}
+            className="self-start px-2 py-1 rounded text-xs font-medium transition-colors bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QualityPanel;
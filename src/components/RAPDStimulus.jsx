@@ -0,0 +1,55 @@
+// components/RAPDStimulus.jsx - Half-screen light that swings between the eyes
+import React, { useEffect } from 'react';
+
+// Tracker 'left' (landmark 468) is the subject's right eye, which faces the
+// right half of the screen; 'right' faces the left half
+const LIT_SIDE = { left: 'right', right: 'left' };
+
+function RAPDStimulus({ phase, swing, totalSwings, eye, brightness = 1, onSwingShown, onAbort }) {
+  const isLit = phase === 'swing' && eye;
+
+  // Effects run after commit, so this frame is the one that paints the swing
+  useEffect(() => {
+    if (!isLit || !onSwingShown) return;
+    const id = requestAnimationFrame((timestamp) => onSwingShown(timestamp));
+    return () => cancelAnimationFrame(id);
+  }, [isLit, swing, onSwingShown]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape' && onAbort) onAbort();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onAbort]);
+
+  return (
+    <div className="fixed inset-0 bg-black" style={{ zIndex: 50 }}>
+      {isLit && (
+        <div
+          className="absolute top-0 bottom-0 w-1/2 bg-white"
+          style={{ [LIT_SIDE[eye]]: 0, opacity: brightness }}
+        />
+      )}
+
+      {/* Dim, and over the dark half, so the text doesn't light the other eye */}
+      <div
+        className="absolute bottom-4 w-1/2 flex flex-col items-center space-y-2 text-xs text-gray-700"
+        style={{ [isLit && LIT_SIDE[eye] === 'left' ? 'right' : 'left']: 0 }}
+      >
+        {phase === 'baseline' && (
+          <span>Hold a card along your nose so each half of the screen lights only one eye</span>
+        )}
+        <span>{swing > 0 ? `Swing ${swing}/${totalSwings}` : 'Dark baseline'}</span>
+        <button
+          onClick={onAbort}
+          className="px-2 py-1 rounded border border-gray-800 hover:text-gray-500"
+        >
+          Abort (Esc)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RAPDStimulus;
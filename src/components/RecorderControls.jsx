@@ -1,24 +1,59 @@
 import React from 'react';
 
-function RecorderControls({ onStart, onStop, isRecording }) {
+// blockedReason, when set, keeps every start button disabled and says why
+function RecorderControls({ onStart, onStop, onStartPLR, onStartSaccades, onStartRAPD, isRecording, blockedReason = null }) {
+  const cannotStart = isRecording || !!blockedReason;
+
   return (
-    <div className="flex justify-center mt-4 space-x-4">
-      <button
-        onClick={onStart}
-        className="px-4 py-2 bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
-        disabled={isRecording}
-      >
-        Start Recording
-      </button>
-      <button
-        onClick={onStop}
-        className="px-4 py-2 bg-red-600 rounded hover:bg-red-700 disabled:opacity-50"
-        disabled={!isRecording}
-      >
-        Stop Recording
-      </button>
+    <div className="flex flex-col items-center">
+      <div className="flex justify-center mt-4 space-x-4">
+        <button
+          onClick={onStart}
+          className="px-4 py-2 bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
+          disabled={cannotStart}
+        >
+          Start Recording
+        </button>
+        <button
+          onClick={onStop}
+          className="px-4 py-2 bg-red-600 rounded hover:bg-red-700 disabled:opacity-50"
+          disabled={!isRecording}
+        >
+          Stop Recording
+        </button>
+        {onStartPLR && (
+          <button
+            onClick={onStartPLR}
+            className="px-4 py-2 bg-yellow-600 rounded hover:bg-yellow-700 disabled:opacity-50"
+            disabled={cannotStart}
+          >
+            Start PLR Test
+          </button>
+        )}
+        {onStartSaccades && (
+          <button
+            onClick={onStartSaccades}
+            className="px-4 py-2 bg-indigo-600 rounded hover:bg-indigo-700 disabled:opacity-50"
+            disabled={cannotStart}
+          >
+            Start Saccade Test
+          </button>
+        )}
+        {onStartRAPD && (
+          <button
+            onClick={onStartRAPD}
+            className="px-4 py-2 bg-teal-600 rounded hover:bg-teal-700 disabled:opacity-50"
+            disabled={cannotStart}
+          >
+            Start RAPD Test
+          </button>
+        )}
+      </div>
+      {blockedReason && !isRecording && (
+        <p className="mt-2 text-sm text-red-400">Recording blocked: {blockedReason}</p>
+      )}
     </div>
   );
 }
 
-export default RecorderControls;
\ No newline at end of file
+export default RecorderControls;
@@ -0,0 +1,66 @@
+// components/RecorderControls.test.jsx
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import RecorderControls from './RecorderControls';
+
+const START_BUTTONS = ['Start Recording', 'Start PLR Test', 'Start Saccade Test', 'Start RAPD Test'];
+
+const renderControls = (props = {}) => {
+  const handlers = {
+    onStart: vi.fn(),
+    onStop: vi.fn(),
+    onStartPLR: vi.fn(),
+    onStartSaccades: vi.fn(),
+    onStartRAPD: vi.fn()
+  };
+  render(<RecorderControls {...handlers} isRecording={false} {...props} />);
+  return handlers;
+};
+
+describe('RecorderControls', () => {
+  it('starts a recording', () => {
+    const { onStart, onStop } = renderControls();
+
+    fireEvent.click(screen.getByText('Start Recording'));
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('Stop Recording').disabled).toBe(true);
+    expect(onStop).not.toHaveBeenCalled();
+  });
+
+  it('stops a running recording and disables every start button', () => {
+    const { onStop } = renderControls({ isRecording: true });
+
+    START_BUTTONS.forEach(label => expect(screen.getByText(label).disabled).toBe(true));
+    fireEvent.click(screen.getByText('Stop Recording'));
+    expect(onStop).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts each protocol', () => {
+    const { onStartPLR, onStartSaccades, onStartRAPD } = renderControls();
+
+    fireEvent.click(screen.getByText('Start PLR Test'));
+    fireEvent.click(screen.getByText('Start Saccade Test'));
+    fireEvent.click(screen.getByText('Start RAPD Test'));
+    expect(onStartPLR).toHaveBeenCalledTimes(1);
+    expect(onStartSaccades).toHaveBeenCalledTimes(1);
+    expect(onStartRAPD).toHaveBeenCalledTimes(1);
+  });
+
+  it('blocks every start button while blockedReason is set', () => {
+    const handlers = renderControls({ blockedReason: 'signal quality (low confidence)' });
+
+    START_BUTTONS.forEach(label => {
+      expect(screen.getByText(label).disabled).toBe(true);
+      fireEvent.click(screen.getByText(label));
+    });
+    expect(handlers.onStart).not.toHaveBeenCalled();
+    expect(handlers.onStartPLR).not.toHaveBeenCalled();
+    expect(screen.getByText('Recording blocked: signal quality (low confidence)')).toBeTruthy();
+  });
+
+  it('hides protocol buttons without a handler', () => {
+    render(<RecorderControls onStart={vi.fn()} onStop={vi.fn()} isRecording={false} />);
+    expect(screen.queryByText('Start PLR Test')).toBeNull();
+  });
+});
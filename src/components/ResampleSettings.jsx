@@ -0,0 +1,93 @@
+// components/ResampleSettings.jsx - Uniform-grid resampling for the graph and exports
+import React from 'react';
+import { RESAMPLE_METHODS, RESAMPLE_RATE_PRESETS } from '../utils/resample';
+
+function ResampleSettings({ options, onChange, disabled }) {
+  const handleNumber = (key, value, min) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed < min) return;
+    onChange({ ...options, [key]: parsed });
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Resampling</h3>
+        <div className="flex space-x-4 text-sm text-gray-300">
+          {[['graph', 'Graph'], ['export', 'Export']].map(([key, label]) => (
+            <label key={key} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={options[key]}
+                onChange={(e) => onChange({ ...options, [key]: e.target.checked })}
+                disabled={disabled}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+        <label className="flex flex-col">
+          <span className="text-gray-400 mb-1">Method</span>
+          <select
+            value={options.method}
+            onChange={(e) => onChange({ ...options, method: e.target.value })}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          >
+            {RESAMPLE_METHODS.map(method => (
+              <option key={method.key} value={method.key}>{method.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-400 mb-1">Rate (Hz)</span>
+          <span className="flex space-x-1">
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={options.rate}
+              onChange={(e) => handleNumber('rate', e.target.value, 1)}
+              disabled={disabled}
+              className="w-20 px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+            />
+            {RESAMPLE_RATE_PRESETS.map(rate => (
+              <button
+                key={rate}
+                onClick={() => onChange({ ...options, rate })}
+                disabled={disabled}
+                className={`px-2 py-1 rounded text-xs font-medium transition-colors disabled:opacity-50 ${
+                  options.rate === rate
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+                }`}
+              >
+                {rate}
+              </button>
+            ))}
+          </span>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-400 mb-1">Max gap to bridge (ms)</span>
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={options.maxGapMs}
+            onChange={(e) => handleNumber('maxGapMs', e.target.value, 0)}
+            disabled={disabled}
+            className="px-2 py-1 rounded bg-gray-700 text-white disabled:opacity-50"
+          />
+        </label>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Longer gaps (lost tracking, blinks) stay empty. Interpolate across blinks first to bridge them.
+      </p>
+    </div>
+  );
+}
+
+export default ResampleSettings;
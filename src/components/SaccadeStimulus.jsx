@@ -0,0 +1,47 @@
+// components/SaccadeStimulus.jsx - Full-screen step targets for the saccade test
+import React, { useEffect } from 'react';
+
+function SaccadeStimulus({ phase, trial, totalTrials, direction, amplitude = 0.3, onTargetShown, onAbort }) {
+  const isTarget = phase === 'target' && direction;
+
+  // Effects run after commit, so this frame is the one that paints the step
+  useEffect(() => {
+    if (!isTarget || !onTargetShown) return;
+    const id = requestAnimationFrame((timestamp) => onTargetShown(timestamp));
+    return () => cancelAnimationFrame(id);
+  }, [isTarget, trial, onTargetShown]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape' && onAbort) onAbort();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onAbort]);
+
+  const offset = isTarget ? (direction === 'left' ? -amplitude : amplitude) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black" style={{ zIndex: 50 }}>
+      <div
+        className="absolute w-4 h-4 rounded-full bg-white"
+        style={{ left: `${(0.5 + offset) * 100}%`, top: '50%', transform: 'translate(-50%, -50%)' }}
+      />
+
+      <div className="absolute bottom-4 left-0 right-0 flex items-center justify-center space-x-4 text-xs text-gray-600">
+        <span>
+          Follow the dot with your eyes, keep your head still
+          {trial > 0 && ` • Trial ${trial}/${totalTrials}`}
+        </span>
+        <button
+          onClick={onAbort}
+          className="px-2 py-1 rounded border border-gray-800 hover:text-gray-400"
+        >
+          Abort (Esc)
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SaccadeStimulus;
@@ -0,0 +1,178 @@
+// components/SessionBrowser.jsx - Browse, rename, delete and reopen stored sessions
+import React, { useEffect, useState } from 'react';
+import { usePupilTracking } from '../contexts/PupilTrackingContext';
+import { listSessions, loadSession, updateSession, deleteSession } from '../utils/sessionStore';
+
+const formatDuration = (session) => {
+  if (session.startedAt == null || session.endedAt == null) return '—';
+  return `${Math.round((session.endedAt - session.startedAt) / 1000)}s`;
+};
+
+function SessionBrowser({ disabled }) {
+  const { state, dispatch } = usePupilTracking();
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ name: '', subjectId: '', notes: '' });
+  const [filter, setFilter] = useState('');
+
+  useEffect(() => {
+    if (state.sessionsLoaded) return;
+    listSessions()
+      .then(sessions => dispatch({ type: 'SET_SESSIONS', payload: sessions }))
+      .catch(err => {
+        console.error('[SessionBrowser] Failed to list sessions:', err);
+        dispatch({ type: 'SET_ERROR', payload: err.message });
+      });
+  }, [state.sessionsLoaded, dispatch]);
+
+  const openSession = async (id) => {
+    try {
+      const session = await loadSession(id);
+      dispatch({ type: 'LOAD_SESSION', payload: { ...session, metadata: { ...session.metadata, source: 'stored' } } });
+    } catch (err) {
+      console.error('[SessionBrowser] Failed to open session:', err);
+      dispatch({ type: 'SET_ERROR', payload: err.message });
+    }
+  };
+
+  const startEditing = (session) => {
+    setEditingId(session.id);
+    setDraft({ name: session.name, subjectId: session.subjectId, notes: session.notes });
+  };
+
+  const saveEdits = async () => {
+    try {
+      const updated = await updateSession(editingId, {
+        name: draft.name.trim() || 'Untitled session',
+        subjectId: draft.subjectId.trim(),
+        notes: draft.notes
+      });
+      dispatch({ type: 'SESSION_UPDATED', payload: updated });
+      setEditingId(null);
+    } catch (err) {
+      console.error('[SessionBrowser] Failed to update session:', err);
+      dispatch({ type: 'SET_ERROR', payload: err.message });
+    }
+  };
+
+  const removeSession = async (session) => {
+    if (!window.confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+    try {
+      await deleteSession(session.id);
+      dispatch({ type: 'SESSION_DELETED', payload: session.id });
+    } catch (err) {
+      console.error('[SessionBrowser] Failed to delete session:', err);
+      dispatch({ type: 'SET_ERROR', payload: err.message });
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const sessions = query
+    ? state.sessions.filter(s =>
+        s.name.toLowerCase().includes(query) || s.subjectId.toLowerCase().includes(query))
+    : state.sessions;
+  const openId = state.loadedSession?.metadata.storedId;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Saved Sessions</h3>
+        <input
+          type="search"
+          placeholder="Filter by name or subject"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="px-2 py-1 rounded bg-gray-700 text-sm text-white"
+        />
+      </div>
+
+      {state.error && (
+        <p className="mb-2 text-sm text-red-400">Storage error: {state.error}</p>
+      )}
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          {state.sessionsLoaded ? 'No saved sessions yet.' : 'Loading…'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-700 max-h-80 overflow-y-auto">
+          {sessions.map(session => (
+            <li key={session.id} className={`py-2 ${session.id === openId ? 'bg-gray-700 rounded px-2' : ''}`}>
+              {editingId === session.id ? (
+                <div className="space-y-2 text-sm">
+                  <div className="flex space-x-2">
+                    <input
+                      value={draft.name}
+                      onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                      placeholder="Session name"
+                      className="flex-1 px-2 py-1 rounded bg-gray-700 text-white"
+                    />
+                    <input
+                      value={draft.subjectId}
+                      onChange={(e) => setDraft({ ...draft, subjectId: e.target.value })}
+                      placeholder="Subject ID"
+                      className="w-32 px-2 py-1 rounded bg-gray-700 text-white"
+                    />
+                  </div>
+                  <textarea
+                    value={draft.notes}
+                    onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                    placeholder="Notes"
+                    rows={2}
+                    className="w-full px-2 py-1 rounded bg-gray-700 text-white"
+                  />
+                  <div className="flex space-x-2">
+                    <button onClick={saveEdits} className="px-3 py-1 rounded bg-green-600 hover:bg-green-700">
+                      Save
+                    </button>
+                    <button onClick={() => setEditingId(null)} className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <div className="text-sm">
+                    <p className="font-medium">
+                      {session.name}
+                      {session.subjectId && <span className="ml-2 text-gray-400">[{session.subjectId}]</span>}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {session.startedAt ? new Date(session.startedAt).toLocaleString() : 'Unknown date'}
+                      {` • ${formatDuration(session)} • ${session.sampleCount} samples`}
+                      {session.eventCount > 0 && ` • ${session.eventCount} events`}
+                    </p>
+                    {session.notes && <p className="text-xs text-gray-500 truncate max-w-md">{session.notes}</p>}
+                  </div>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => openSession(session.id)}
+                      disabled={disabled}
+                      className="px-2 py-1 rounded text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Open
+                    </button>
+                    <button
+                      onClick={() => startEditing(session)}
+                      className="px-2 py-1 rounded text-xs bg-gray-600 hover:bg-gray-500"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => removeSession(session)}
+                      disabled={disabled}
+                      className="px-2 py-1 rounded text-xs bg-red-700 hover:bg-red-600 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SessionBrowser;
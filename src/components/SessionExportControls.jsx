@@ -0,0 +1,83 @@
+// components/SessionExportControls.jsx - Export the current session and re-import JSON for review
+import React, { useRef, useState } from 'react';
+import {
+  sessionToCSV,
+  sessionToJSON,
+  parseSessionJSON,
+  sessionFilename,
+  downloadFile
+} from '../utils/sessionExport';
+import { resampleSession } from '../utils/resample';
+
+// resample: options to export on a uniform time grid, or null for the samples as recorded
+function SessionExportControls({ session, resample = null, onImport, disabled }) {
+  const fileInputRef = useRef(null);
+  const [importError, setImportError] = useState(null);
+
+  const hasData = session && session.history.length > 0;
+
+  const exported = () => (resample ? resampleSession(session, resample) : session);
+
+  const exportCSV = () => {
+    downloadFile(sessionToCSV(exported()), sessionFilename(session, 'csv'), 'text/csv');
+  };
+
+  const exportJSON = () => {
+    downloadFile(sessionToJSON(exported()), sessionFilename(session, 'json'), 'application/json');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+
+    try {
+      const imported = parseSessionJSON(await file.text());
+      setImportError(null);
+      onImport({ ...imported, metadata: { ...imported.metadata, importedFrom: file.name } });
+    } catch (err) {
+      console.error('[SessionExportControls] Import failed:', err);
+      setImportError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="flex justify-center space-x-4">
+        <button
+          onClick={exportCSV}
+          className="px-4 py-2 bg-gray-600 rounded hover:bg-gray-500 disabled:opacity-50"
+          disabled={disabled || !hasData}
+        >
+          Export CSV{resample ? ` (${resample.rate} Hz)` : ''}
+        </button>
+        <button
+          onClick={exportJSON}
+          className="px-4 py-2 bg-gray-600 rounded hover:bg-gray-500 disabled:opacity-50"
+          disabled={disabled || !hasData}
+        >
+          Export JSON{resample ? ` (${resample.rate} Hz)` : ''}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+          disabled={disabled}
+        >
+          Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFile}
+        />
+      </div>
+      {importError && (
+        <p className="mt-2 text-sm text-red-400">Import failed: {importError}</p>
+      )}
+    </div>
+  );
+}
+
+export default SessionExportControls;
@@ -0,0 +1,45 @@
+// components/TimingPanel.jsx - Sample rate, jitter and dropped frames for the shown session
+import React, { useMemo } from 'react';
+import { analyzeFrameTiming } from '../utils/frameTiming';
+
+const format = (value, decimals, unit) => (value != null ? `${value.toFixed(decimals)} ${unit}` : '—');
+
+function TimingPanel({ data }) {
+  const timing = useMemo(() => analyzeFrameTiming(data), [data]);
+
+  if (!timing) return null;
+
+  const rows = [
+    ['Effective sample rate', format(timing.sampleRate, 1, 'Hz')],
+    ['Source frame rate', format(timing.sourceRate, 1, 'Hz')],
+    ['Median interval', format(timing.medianIntervalMs, 1, 'ms')],
+    ['Jitter (SD of intervals)', format(timing.jitterMs, 1, 'ms')],
+    ['95th percentile interval', format(timing.p95IntervalMs, 1, 'ms')],
+    ['Longest gap', format(timing.maxIntervalMs, 0, 'ms')],
+    [
+      timing.droppedFromCounter ? 'Dropped frames' : 'Dropped frames (estimated)',
+      `${timing.droppedFrames} (${(timing.droppedFraction * 100).toFixed(1)}%)`
+    ]
+  ];
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4">
+      <h3 className="text-lg font-semibold mb-3">Timing Quality</h3>
+      <table className="w-full text-sm">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} className="border-t border-gray-700">
+              <td className="py-1 text-gray-300">{label}</td>
+              <td className="py-1 text-right font-mono">{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">
+        Samples are stamped with the frame's capture time. Dropped frames include frames where no face or pupil was found.
+      </p>
+    </div>
+  );
+}
+
+export default TimingPanel;
@@ -1,28 +1,128 @@
 // components/VideoPlayer.jsx - Fixed Zoom Center & Auto-Focus
 import React, { useRef, useState, useCallback, useEffect } from 'react';
 import useCamera from '../hooks/useCamera';
+import useVideoFile from '../hooks/useVideoFile';
 import useFaceMesh from '../hooks/useFaceMesh';
 import usePupilDetection from '../hooks/usePupilDetection';
+import useSignalQuality from '../hooks/useSignalQuality';
 import OverlayCanvas from './OverlayCanvas';
+import CameraControls from './CameraControls';
+import DependencyStatus from './DependencyStatus';
+import GroundTruthAnnotator from './GroundTruthAnnotator';
+import { trackEyePositions } from '../utils/gaze';
+import { estimateHeadPose } from '../utils/headPose';
+import { qualityFrameEyes } from '../utils/signalQuality';
+import { createFaceTracker, faceAtPoint, selectSubjectFace } from '../utils/faceTracker';
+import {
+  describeTrackSettings,
+  loadCameraSettings,
+  loadSelectedCamera,
+  saveCameraSettings,
+  saveSelectedCamera
+} from '../utils/cameraSettings';
 
-function VideoPlayer({ onPupilData }) {
+const formatMm = (mm) => (mm != null ? `${mm.toFixed(2)}mm` : '--mm');
+
+const formatTime = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${m}:${s}`;
+};
+
+function VideoPlayer({
+  onPupilData,
+  onSettingsChange,
+  onQualityChange,
+  onBatchStart,
+  onBatchEnd,
+  irisDiameterMm,
+  filters,
+  trackingMode = 'pupil',
+  headPose,
+  isRecording = false
+}) {
   const videoRef = useRef(null);
   const containerRef = useRef(null);
   const [landmarks, setLandmarks] = useState(null);
   const [pupilData, setPupilData] = useState(null);
   const [eyeMode, setEyeMode] = useState('both'); // 'left', 'right', 'both'
   const [showOverlay, setShowOverlay] = useState(true);
+
+  // Every face in frame keeps a stable ID; only the subject's pupils are measured.
+  // Unlocked, the subject stays on whichever face it last followed.
+  const faceTracker = useRef(createFaceTracker());
+  const [faces, setFaces] = useState([]);
+  const [lockedFaceId, setLockedFaceId] = useState(null);
+  const [subjectFaceId, setSubjectFaceId] = useState(null);
+  const subjectFaceRef = useRef(null);
   
   // Zoom controls
   const [zoomLevel, setZoomLevel] = useState(1);
   const [zoomCenter, setZoomCenter] = useState({ x: 50, y: 50 }); // Percentage from top-left
   const [autoZoom, setAutoZoom] = useState(false);
+
+  // Source info recorded into session metadata
+  const [videoInfo, setVideoInfo] = useState(null);
+
+  // Input source: live camera or a pre-recorded file analyzed on its own timeline
+  const [source, setSource] = useState('camera');
+  const [videoFile, setVideoFile] = useState(null);
+  const [stepFps, setStepFps] = useState(30);
+  // Frame-by-frame pupil labelling for the detector benchmark
+  const [labelMode, setLabelMode] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Camera choice and capture format; each device remembers its own settings
+  const [cameraId, setCameraId] = useState(() => loadSelectedCamera());
+  const [cameraSettings, setCameraSettings] = useState(() => loadCameraSettings(loadSelectedCamera()));
+  const isFlipped = source === 'camera';
+
+  // Per-frame detection latency, smoothed for display
+  const pendingDetection = useRef(null);
+  const [latency, setLatency] = useState(null);
+  const latencyAvg = useRef(null);
+  const updateLatency = useCallback((timing) => {
+    if (!timing) return;
+    const prev = latencyAvg.current;
+    latencyAvg.current = prev === null ? timing.totalMs : prev * 0.9 + timing.totalMs * 0.1;
+    setLatency({ ...timing, avgMs: latencyAvg.current });
+  }, []);
   
-  const detectPupil = usePupilDetection();
+  const {
+    detectPupil,
+    isReady: detectionReady,
+    error: detectionError,
+    loadingProgress: detectionProgress,
+    loadingStatus: detectionStatus,
+    retry: retryDetection
+  } = usePupilDetection({ irisDiameterMm, filters, headPose });
+  const { report: qualityReport, record: recordQuality, reset: resetQuality } = useSignalQuality();
+
+  // frame is the capture info ({ timestamp, mediaTime, presentedFrames }) of the frame these results are for
+  const { faceMeshRef, isLoaded, error, loadingProgress, loadingStatus, retry, send } = useFaceMesh(useCallback((results, frame) => {
+    const tracked = faceTracker.current.update(results.multiFaceLandmarks || []);
+    setFaces(tracked);
+    const subject = selectSubjectFace(tracked, lockedFaceId, subjectFaceRef.current);
+    if (subject) {
+      subjectFaceRef.current = subject.id;
+      setSubjectFaceId(subject.id);
+    }
+
+    // Nobody to measure counts against the tracking rate
+    if (!subject) {
+      recordQuality({ video: videoRef.current, eyes: qualityFrameEyes(null, eyeMode), timestamp: frame?.timestamp });
+    }
+
+    // A locked subject out of frame measures nothing rather than someone else
+    if (!subject && lockedFaceId !== null) {
+      setLandmarks(null);
+      setPupilData(null);
+      pendingDetection.current = null;
+      return;
+    }
 
-  const { faceMeshRef, isLoaded, error } = useFaceMesh(useCallback((results) => {
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const newLandmarks = results.multiFaceLandmarks[0];
+    if (subject) {
+      const newLandmarks = subject.landmarks;
       setLandmarks(newLandmarks);
       
       // Auto-zoom to eye region if enabled
@@ -30,18 +130,60 @@ function VideoPlayer({ onPupilData }) {
         updateAutoZoomCenter(newLandmarks);
       }
       
+      // Nystagmus mode: eye position from the landmarks alone, so no frame waits on OpenCV
+      if (trackingMode === 'nystagmus' && videoRef.current) {
+        const video = videoRef.current;
+        // Orientation takes head turns out of the gaze angles; nystagmus runs keep every
+        // frame and need no size correction
+        const pose = estimateHeadPose(newLandmarks, video.videoWidth, video.videoHeight, headPose);
+        const positions = trackEyePositions(newLandmarks, video.videoWidth, video.videoHeight, irisDiameterMm, eyeMode, pose);
+        pendingDetection.current = null;
+        recordQuality({
+          video, landmarks: newLandmarks, face: subject.box, eyes: qualityFrameEyes(positions, eyeMode), timestamp: frame?.timestamp
+        });
+        if (!positions) return;
+        positions.faceId = subject.id;
+        positions.headPose = pose;
+        if (frame) {
+          positions.timestamp = frame.timestamp;
+          positions.frame = { mediaTime: frame.mediaTime, presentedFrames: frame.presentedFrames };
+        }
+        setPupilData(positions);
+        if (onPupilData) {
+          onPupilData(positions);
+        }
+        return;
+      }
+
       // Detect pupils based on current eye mode
       if (videoRef.current && newLandmarks) {
-        const pupilResults = detectPupil(videoRef.current, newLandmarks, eyeMode);
-        if (pupilResults) {
-          setPupilData(pupilResults);
-          if (onPupilData) {
-            onPupilData(pupilResults);
-          }
-        }
+        // handleFrame waits on this before sending the next frame
+        const video = videoRef.current;
+        pendingDetection.current = detectPupil(video, newLandmarks, eyeMode, frame, subject.id)
+          .then((pupilResults) => {
+            recordQuality({
+              video, landmarks: newLandmarks, face: subject.box, eyes: qualityFrameEyes(pupilResults, eyeMode), timestamp: frame?.timestamp
+            });
+            if (!pupilResults) return;
+            updateLatency(pupilResults.timing);
+            setPupilData(pupilResults);
+            if (onPupilData) {
+              onPupilData(pupilResults);
+            }
+          });
       }
     }
-  }, [detectPupil, eyeMode, onPupilData, autoZoom]));
+  }, [detectPupil, eyeMode, onPupilData, autoZoom, updateLatency, trackingMode, irisDiameterMm, lockedFaceId, headPose, recordQuality]));
+
+  // Quality readings go up to the app, which decides whether recording may start
+  useEffect(() => {
+    if (onQualityChange) onQualityChange(qualityReport);
+  }, [qualityReport, onQualityChange]);
+
+  // A new source starts the rolling window over
+  useEffect(() => {
+    resetQuality();
+  }, [source, resetQuality]);
 
   // Update zoom center based on selected eye mode or nose for general focus
   const updateAutoZoomCenter = useCallback((landmarks) => {
@@ -80,19 +222,104 @@ function VideoPlayer({ onPupilData }) {
     }));
   }, [eyeMode]);
 
-  const handleFrame = useCallback(async (video) => {
+  const handleFrame = useCallback(async (video, frame) => {
     if (faceMeshRef.current && video.readyState >= 2 && isLoaded) {
       try {
-        await faceMeshRef.current.send({ image: video });
+        pendingDetection.current = null;
+        await send(video, frame);
+        // Backpressure: don't hand FaceMesh a new frame until this one's pupils are measured
+        if (pendingDetection.current) await pendingDetection.current;
       } catch (error) {
         console.error('FaceMesh processing error:', error);
       }
     }
-  }, [faceMeshRef, isLoaded]);
+  }, [faceMeshRef, isLoaded, send]);
 
-  useCamera(videoRef, handleFrame);
+  const camera = useCamera(videoRef, handleFrame, {
+    enabled: source === 'camera',
+    deviceId: cameraId,
+    settings: cameraSettings
+  });
+
+  const handleCameraChange = (deviceId) => {
+    setCameraId(deviceId);
+    setCameraSettings(loadCameraSettings(deviceId));
+    saveSelectedCamera(deviceId);
+  };
+
+  const handleCameraSettingsChange = (settings) => {
+    setCameraSettings(settings);
+    saveCameraSettings(cameraId, settings);
+  };
+
+  // A stale saved device (unplugged camera) falls back to the default one
+  useEffect(() => {
+    if (cameraId && camera.devices.length > 0 && !camera.devices.some(device => device.deviceId === cameraId)) {
+      setCameraId(null);
+      setCameraSettings(loadCameraSettings(null));
+      saveSelectedCamera(null);
+    }
+  }, [cameraId, camera.devices]);
 
-  // Handle manual zoom center adjustment (click to focus)
+  const playback = useVideoFile(videoRef, handleFrame, {
+    file: videoFile,
+    enabled: source === 'file',
+    stepFps
+  });
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setVideoFile(file);
+    setSource('file');
+  };
+
+  const switchToCamera = () => {
+    playback.cancelProcessing();
+    setSource('camera');
+    setVideoFile(null);
+  };
+
+  const processWholeFile = () => {
+    playback.processAll({
+      onStart: () => onBatchStart?.(),
+      onEnd: (result) => onBatchEnd?.(result)
+    });
+  };
+
+  const handleLoadedMetadata = useCallback(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    const track = video.srcObject?.getVideoTracks?.()[0];
+    setVideoInfo({
+      width: video.videoWidth,
+      height: video.videoHeight,
+      camera: track?.label || null,
+      file: video.srcObject ? null : { name: videoFile?.name ?? null, duration: video.duration }
+    });
+  }, [videoFile]);
+
+  // Auto-focus moves the center every frame, so only a manual center is reported
+  const reportedCenter = autoZoom ? null : zoomCenter;
+
+  useEffect(() => {
+    if (!onSettingsChange) return;
+    onSettingsChange({
+      eyeMode,
+      zoom: { level: zoomLevel, center: reportedCenter, auto: autoZoom },
+      resolution: videoInfo ? { width: videoInfo.width, height: videoInfo.height } : null,
+      camera: videoInfo?.camera ?? null,
+      cameraSettings: source === 'camera'
+        ? { requested: cameraSettings, actual: describeTrackSettings(camera.trackSettings) }
+        : null,
+      input: source === 'file'
+        ? { type: 'file', ...(videoInfo?.file || {}), stepFps }
+        : { type: 'camera' }
+    });
+  }, [onSettingsChange, eyeMode, zoomLevel, reportedCenter, autoZoom, videoInfo, source, stepFps, cameraSettings, camera.trackSettings]);
+
+  // Click a face to lock onto it as the subject (again to unlock); elsewhere sets the zoom center
   const handleVideoClick = useCallback((event) => {
     if (!containerRef.current) return;
     
@@ -100,10 +327,20 @@ function VideoPlayer({ onPupilData }) {
     // For flipped video, we need to get the actual click position
     const x = ((event.clientX - rect.left) / rect.width) * 100;
     const y = ((event.clientY - rect.top) / rect.height) * 100;
+
+    // Undo the zoom/flip transform to get the point in frame coordinates
+    const flip = isFlipped ? -1 : 1;
+    const frameX = (50 - (50 - zoomCenter.x) * zoomLevel + (x - 50) / (flip * zoomLevel)) / 100;
+    const frameY = (50 - (50 - zoomCenter.y) * zoomLevel + (y - 50) / zoomLevel) / 100;
+    const face = faceAtPoint(faces, frameX, frameY);
+    if (face && (faces.length > 1 || lockedFaceId !== null)) {
+      setLockedFaceId(current => (current === face.id ? null : face.id));
+      return;
+    }
     
     setZoomCenter({ x, y });
     setAutoZoom(false); // Disable auto-zoom when manually setting center
-  }, []);
+  }, [faces, lockedFaceId, isFlipped, zoomCenter, zoomLevel]);
 
   // Zoom presets
   const zoomPresets = [
@@ -122,22 +359,149 @@ function VideoPlayer({ onPupilData }) {
     const translateY = (50 - zoomCenter.y) * zoomLevel;
     
     return {
-      transform: `scaleX(-1) scale(${zoomLevel}) translate(${translateX}%, ${translateY}%)`,
+      transform: `${isFlipped ? 'scaleX(-1) ' : ''}scale(${zoomLevel}) translate(${translateX}%, ${translateY}%)`,
       transformOrigin: 'center center',
       transition: autoZoom ? 'transform 0.3s ease-out' : 'transform 0.1s ease-out'
     };
   };
 
   if (error) {
-    return (
-      <div className="text-red-500 text-center p-4">
-        Error loading face detection: {error.message}
-      </div>
-    );
+    return <DependencyStatus error={error} onRetry={retry} />;
+  }
+  if (detectionError) {
+    return <DependencyStatus error={detectionError} onRetry={retryDetection} />;
   }
 
   return (
     <div className="flex flex-col items-center space-y-4">
+      {/* Source Controls */}
+      <div className="flex items-center space-x-4 bg-gray-800 p-3 rounded-lg">
+        <span className="text-sm font-medium">Source:</span>
+        <button
+          onClick={switchToCamera}
+          disabled={playback.isProcessing}
+          className={`px-3 py-1 rounded text-sm font-medium transition-colors disabled:opacity-50 ${
+            source === 'camera'
+              ? 'bg-blue-600 text-white'
+              : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+          }`}
+        >
+          Camera
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={playback.isProcessing}
+          className={`px-3 py-1 rounded text-sm font-medium transition-colors disabled:opacity-50 ${
+            source === 'file'
+              ? 'bg-blue-600 text-white'
+              : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+          }`}
+        >
+          {videoFile ? videoFile.name : 'Open Video File'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="video/*"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {/* Camera Controls */}
+      {source === 'camera' && (
+        <CameraControls
+          devices={camera.devices}
+          deviceId={cameraId}
+          onDeviceChange={handleCameraChange}
+          settings={cameraSettings}
+          onChange={handleCameraSettingsChange}
+          capabilities={camera.capabilities}
+          trackSettings={camera.trackSettings}
+          disabled={isRecording}
+        />
+      )}
+
+      {/* File Playback Controls */}
+      {source === 'file' && videoFile && (
+        <div className="flex flex-wrap items-center gap-3 bg-gray-800 p-3 rounded-lg text-sm">
+          <button
+            onClick={playback.isPlaying ? playback.pause : playback.play}
+            disabled={playback.isProcessing}
+            className="px-3 py-1 rounded font-medium bg-gray-600 text-gray-200 hover:bg-gray-500 disabled:opacity-50"
+          >
+            {playback.isPlaying ? 'Pause' : 'Play'}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={playback.duration || 0}
+            step="0.01"
+            value={playback.currentTime}
+            onChange={(e) => playback.seek(parseFloat(e.target.value))}
+            disabled={playback.isProcessing}
+            className="w-48"
+          />
+          <span className="font-mono text-xs text-gray-300">
+            {formatTime(playback.currentTime)} / {formatTime(playback.duration)}
+          </span>
+
+          <div className="w-px h-6 bg-gray-600"></div>
+
+          <label className="flex items-center space-x-1 text-xs text-gray-300">
+            <span>Step</span>
+            <select
+              value={stepFps}
+              onChange={(e) => setStepFps(parseInt(e.target.value, 10))}
+              disabled={playback.isProcessing}
+              className="px-1 py-0.5 rounded bg-gray-700 text-white"
+            >
+              {[15, 25, 30, 50, 60, 120].map(fps => (
+                <option key={fps} value={fps}>{fps} fps</option>
+              ))}
+            </select>
+          </label>
+          {playback.isProcessing ? (
+            <>
+              <span className="text-xs text-orange-300">
+                Processing {(playback.progress * 100).toFixed(0)}%
+              </span>
+              <button
+                onClick={playback.cancelProcessing}
+                className="px-3 py-1 rounded font-medium bg-red-600 text-white hover:bg-red-700"
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={processWholeFile}
+              disabled={!isLoaded || !playback.duration}
+              className="px-3 py-1 rounded font-medium bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50"
+            >
+              Process Whole File
+            </button>
+          )}
+
+          <div className="w-px h-6 bg-gray-600"></div>
+
+          <button
+            onClick={() => {
+              playback.pause();
+              setLabelMode(!labelMode);
+            }}
+            disabled={playback.isProcessing || isRecording}
+            className={`px-3 py-1 rounded font-medium transition-colors disabled:opacity-50 ${
+              labelMode
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+            }`}
+          >
+            Label Pupils
+          </button>
+        </div>
+      )}
+
       {/* Eye Mode Controls */}
       <div className="flex items-center space-x-4 bg-gray-800 p-3 rounded-lg">
         <span className="text-sm font-medium">Track:</span>
@@ -169,6 +533,40 @@ function VideoPlayer({ onPupilData }) {
         </button>
       </div>
 
+      {/* Subject Selection */}
+      {(faces.length > 1 || lockedFaceId !== null) && (
+        <div className="flex items-center space-x-2 bg-gray-800 p-3 rounded-lg text-sm">
+          <span className="font-medium">Subject:</span>
+          <button
+            onClick={() => setLockedFaceId(null)}
+            className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+              lockedFaceId === null
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+            }`}
+          >
+            Auto
+          </button>
+          {faces.map(face => (
+            <button
+              key={face.id}
+              onClick={() => setLockedFaceId(face.id)}
+              className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+                lockedFaceId === face.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-600 text-gray-200 hover:bg-gray-500'
+              }`}
+            >
+              Face {face.id}
+            </button>
+          ))}
+          {lockedFaceId !== null && !faces.some(face => face.id === lockedFaceId) && (
+            <span className="text-xs text-orange-300">Face {lockedFaceId} out of frame</span>
+          )}
+          <span className="text-xs text-gray-400">Click a face to lock onto it</span>
+        </div>
+      )}
+
       {/* Zoom Controls */}
       <div className="flex items-center space-x-4 bg-gray-800 p-3 rounded-lg">
         <span className="text-sm font-medium">Zoom:</span>
@@ -238,8 +636,9 @@ function VideoPlayer({ onPupilData }) {
       {/* Detection Debug Info */}
       {pupilData && (
         <div className="text-xs text-gray-400 bg-gray-900 px-3 py-1 rounded">
-          {pupilData.left && `L: ${pupilData.left.size.toFixed(1)}px (${pupilData.left.method}) `}
-          {pupilData.right && `R: ${pupilData.right.size.toFixed(1)}px (${pupilData.right.method})`}
+          {pupilData.left && `L: ${formatMm(pupilData.left.sizeMm)} / ${pupilData.left.sizePx.toFixed(1)}px (${pupilData.left.method}) `}
+          {pupilData.right && `R: ${formatMm(pupilData.right.sizeMm)} / ${pupilData.right.sizePx.toFixed(1)}px (${pupilData.right.method}) `}
+          {latency && `• ${latency.totalMs.toFixed(1)}ms (avg ${latency.avgMs.toFixed(1)}ms, ${latency.inWorker ? 'worker' : 'main thread'})`}
         </div>
       )}
 
@@ -266,7 +665,8 @@ function VideoPlayer({ onPupilData }) {
             className="w-full h-full object-cover"
             muted
             playsInline
-            autoPlay
+            autoPlay={source === 'camera'}
+            onLoadedMetadata={handleLoadedMetadata}
           />
           {showOverlay && (
             <OverlayCanvas 
@@ -275,12 +675,24 @@ function VideoPlayer({ onPupilData }) {
               showLeftEye={eyeMode === 'both' || eyeMode === 'left'}
               showRightEye={eyeMode === 'both' || eyeMode === 'right'}
               pupilData={pupilData}
+              headPose={pupilData?.headPose}
+              maxHeadAngle={headPose?.maxAngleDeg}
               zoomLevel={zoomLevel}
-              isFlipped={true}
+              isFlipped={isFlipped}
+              faces={faces.length > 1 || lockedFaceId !== null ? faces : null}
+              subjectFaceId={subjectFaceId}
+              lockedFaceId={lockedFaceId}
             />
           )}
         </div>
         
+        {!isLoaded && (
+          <DependencyStatus progress={loadingProgress} status={loadingStatus} />
+        )}
+        {isLoaded && !detectionReady && (
+          <DependencyStatus progress={detectionProgress} status={detectionStatus} />
+        )}
+
         {/* Zoom Center Indicator */}
         {zoomLevel > 1 && !autoZoom && (
           <div 
@@ -295,22 +707,45 @@ function VideoPlayer({ onPupilData }) {
         )}
       </div>
 
+      {/* Ground-truth labelling of the paused frame */}
+      {source === 'file' && videoFile && labelMode && !playback.isProcessing && (
+        <GroundTruthAnnotator
+          videoRef={videoRef}
+          landmarks={landmarks}
+          videoName={videoFile.name}
+          currentTime={playback.currentTime}
+          isPlaying={playback.isPlaying}
+          stepFps={stepFps}
+          onSeek={playback.seek}
+        />
+      )}
+
       {/* Status Display */}
       <div className="flex space-x-6 text-sm">
         <div className={`px-3 py-1 rounded ${isLoaded ? 'bg-green-800' : 'bg-yellow-800'}`}>
           FaceMesh: {isLoaded ? 'Ready' : 'Loading...'}
         </div>
+
+        <div className={`px-3 py-1 rounded ${detectionReady ? 'bg-green-800' : 'bg-yellow-800'}`}>
+          OpenCV: {detectionReady ? 'Ready' : 'Loading...'}
+        </div>
+
+        {latency && (
+          <div className={`px-3 py-1 rounded ${latency.avgMs > 33 ? 'bg-orange-800' : 'bg-gray-700'}`}>
+            Detect: {latency.avgMs.toFixed(1)}ms {latency.inWorker ? '(worker)' : '(main)'}
+          </div>
+        )}
         
         {pupilData && (
           <>
             {pupilData.left && (
               <div className="bg-blue-800 px-3 py-1 rounded">
-                L: {pupilData.left.size.toFixed(1)}px ({(pupilData.left.confidence * 100).toFixed(0)}%)
+                L: {formatMm(pupilData.left.sizeMm)} ({(pupilData.left.confidence * 100).toFixed(0)}%)
               </div>
             )}
             {pupilData.right && (
               <div className="bg-purple-800 px-3 py-1 rounded">
-                R: {pupilData.right.size.toFixed(1)}px ({(pupilData.right.confidence * 100).toFixed(0)}%)
+                R: {formatMm(pupilData.right.sizeMm)} ({(pupilData.right.confidence * 100).toFixed(0)}%)
               </div>
             )}
           </>
@@ -0,0 +1,86 @@
+// contexts/PupilTrackingContext.jsx
+import React, { createContext, useContext, useReducer } from 'react';
+
+const PupilTrackingContext = createContext();
+
+const initialState = {
+  isRecording: false,
+  pupilData: [],
+  landmarks: null,
+  error: null,
+  // Stored session browser
+  sessions: [],
+  sessionsLoaded: false,
+  loadedSession: null
+};
+
+function pupilTrackingReducer(state, action) {
+  switch (action.type) {
+    case 'START_RECORDING':
+      return { ...state, isRecording: true, pupilData: [] };
+    case 'STOP_RECORDING':
+      return { ...state, isRecording: false };
+    case 'ADD_PUPIL_DATA':
+      return { 
+        ...state, 
+        pupilData: [...state.pupilData, action.payload] 
+      };
+    case 'UPDATE_LANDMARKS':
+      return { ...state, landmarks: action.payload };
+    case 'SET_ERROR':
+      return { ...state, error: action.payload };
+    case 'SET_SESSIONS':
+      return { ...state, sessions: action.payload, sessionsLoaded: true };
+    case 'SESSION_SAVED':
+      return {
+        ...state,
+        sessions: [action.payload, ...state.sessions.filter(s => s.id !== action.payload.id)]
+      };
+    case 'SESSION_UPDATED': {
+      const updated = action.payload;
+      const loaded = state.loadedSession;
+      return {
+        ...state,
+        sessions: state.sessions.map(s => (s.id === updated.id ? updated : s)),
+        loadedSession: loaded?.metadata.storedId === updated.id
+          ? {
+              ...loaded,
+              metadata: { ...loaded.metadata, name: updated.name, subjectId: updated.subjectId, notes: updated.notes }
+            }
+          : loaded
+      };
+    }
+    case 'SESSION_DELETED':
+      return {
+        ...state,
+        sessions: state.sessions.filter(s => s.id !== action.payload),
+        loadedSession: state.loadedSession?.metadata.storedId === action.payload
+          ? null
+          : state.loadedSession
+      };
+    case 'LOAD_SESSION':
+      return { ...state, loadedSession: action.payload };
+    case 'CLOSE_SESSION':
+      return { ...state, loadedSession: null };
+    default:
+      return state;
+  }
+}
+
+export function PupilTrackingProvider({ children }) {
+  const [state, dispatch] = useReducer(pupilTrackingReducer, initialState);
+  
+  return (
+    <PupilTrackingContext.Provider value={{ state, dispatch }}>
+      {children}
+    </PupilTrackingContext.Provider>
+  );
+}
+
+export const usePupilTracking = () => {
+  const context = useContext(PupilTrackingContext);
+  if (!context) {
+    throw new Error('usePupilTracking must be used within PupilTrackingProvider');
+  }
+  return context;
+};
\ No newline at end of file
@@ -1,29 +1,115 @@
-import { useEffect, useRef } from 'react';
+// hooks/useCamera.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULT_CAMERA_SETTINGS, buildVideoConstraints, supportedControls } from '../utils/cameraSettings';
+import { fromPerformanceTime } from '../utils/clock';
 
-export default function useCamera(videoRef, onFrame) {
+// Returns the video inputs, and for the open track its capabilities (where the
+// browser exposes getCapabilities) and the settings it actually runs at.
+// onFrame(video, frame) gets { timestamp, mediaTime, presentedFrames } for each frame.
+export default function useCamera(videoRef, onFrame, {
+  enabled = true,
+  deviceId = null,
+  settings = DEFAULT_CAMERA_SETTINGS
+} = {}) {
   const streamRef = useRef(null);
   const rafRef = useRef(null);
+  const videoFrameRef = useRef(null);
+  const [devices, setDevices] = useState([]);
+  const [track, setTrack] = useState(null);
+  const [trackSettings, setTrackSettings] = useState(null);
+
+  // The frame loop reads the latest callback, so only format changes reopen the camera
+  const onFrameRef = useRef(onFrame);
+  onFrameRef.current = onFrame;
+
+  const refreshDevices = useCallback(async () => {
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      setDevices(all
+        .filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` })));
+    } catch (err) {
+      console.error('[useCamera] Failed to list cameras:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+    mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  const { resolution, frameRate } = settings;
 
   useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+
     const startCamera = async () => {
       try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { facingMode: 'user' },
+        const open = (id) => navigator.mediaDevices.getUserMedia({
+          video: buildVideoConstraints(id, { resolution, frameRate }),
           audio: false
         });
+        let stream;
+        try {
+          stream = await open(deviceId);
+        } catch (err) {
+          // A saved camera that's been unplugged: open the default one instead
+          if (!deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+          stream = await open(null);
+        }
+        if (cancelled) {
+          stream.getTracks().forEach(t => t.stop());
+          return;
+        }
         streamRef.current = stream;
+        const videoTrack = stream.getVideoTracks()[0];
+        setTrack(videoTrack);
+        setTrackSettings(videoTrack.getSettings());
+        // Labels are only filled in once permission has been granted
+        refreshDevices();
+
         if (videoRef.current) {
           videoRef.current.srcObject = stream;
           videoRef.current.play();
         }
 
-        const loop = async () => {
-          if (videoRef.current && onFrame) {
-            await onFrame(videoRef.current);
-          }
+        const video = videoRef.current;
+        if (video && 'requestVideoFrameCallback' in video) {
+          // Stamped with the frame's capture time, not when detection gets to it.
+          // Frames that arrive while the last is still being measured are skipped;
+          // the gap shows up in presentedFrames.
+          let busy = false;
+          const loop = async (rafTime, metadata) => {
+            if (!cancelled) videoFrameRef.current = { video, id: video.requestVideoFrameCallback(loop) };
+            if (busy || !onFrameRef.current) return;
+            busy = true;
+            try {
+              await onFrameRef.current(video, {
+                timestamp: fromPerformanceTime(metadata.captureTime ?? metadata.presentationTime ?? rafTime),
+                mediaTime: metadata.mediaTime,
+                presentedFrames: metadata.presentedFrames
+              });
+            } finally {
+              busy = false;
+            }
+          };
+          videoFrameRef.current = { video, id: video.requestVideoFrameCallback(loop) };
+        } else {
+          const loop = async (rafTime) => {
+            if (videoRef.current && onFrameRef.current) {
+              await onFrameRef.current(videoRef.current, {
+                timestamp: fromPerformanceTime(rafTime),
+                mediaTime: null,
+                presentedFrames: null
+              });
+            }
+            if (!cancelled) rafRef.current = requestAnimationFrame(loop);
+          };
           rafRef.current = requestAnimationFrame(loop);
-        };
-        rafRef.current = requestAnimationFrame(loop);
+        }
       } catch (err) {
         console.error('Camera error:', err);
       }
@@ -31,12 +117,35 @@ export default function useCamera(videoRef, onFrame) {
 
     startCamera();
     return () => {
+      cancelled = true;
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      if (videoFrameRef.current) {
+        videoFrameRef.current.video.cancelVideoFrameCallback(videoFrameRef.current.id);
+        videoFrameRef.current = null;
+      }
       if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current.getTracks().forEach(t => t.stop());
+        streamRef.current = null;
       }
+      setTrack(null);
+      setTrackSettings(null);
+      if (videoRef.current) videoRef.current.srcObject = null;
     };
-  }, [videoRef, onFrame]);
+  }, [videoRef, enabled, deviceId, resolution, frameRate, refreshDevices]);
+
+  const capabilities = useMemo(() => (track?.getCapabilities ? track.getCapabilities() : null), [track]);
+
+  // Image controls change on the open track, without restarting the stream
+  const { controls } = settings;
+  useEffect(() => {
+    if (!track?.getCapabilities) return;
+    const constraints = supportedControls(controls, track.getCapabilities());
+    if (Object.keys(constraints).length === 0) return;
+
+    track.applyConstraints({ advanced: [constraints] })
+      .then(() => setTrackSettings(track.getSettings()))
+      .catch(err => console.error('[useCamera] Failed to apply camera controls:', err));
+  }, [track, controls]);
 
-  return null;
-}
\ No newline at end of file
+  return { devices, capabilities, trackSettings };
+}
@@ -1,63 +1,93 @@
 // hooks/useFaceMesh.js
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { LOADING_STAGE_LABELS, loadFaceMeshScript, createFaceMesh } from '../utils/dependencyLoader';
 
-export default function useFaceMesh(onResultsCallback) {
+// Share of the overall progress bar each loading step covers: [start, end]. OpenCV
+// isn't part of it: usePupilDetection reports its own loading state.
+const PROGRESS_RANGES = {
+  faceMesh: { download: [0, 40], init: [40, 98] }
+};
+
+// Enough for the subject plus whoever leans into frame; the subject is picked downstream
+export const DEFAULT_MAX_FACES = 4;
+
+const DEPENDENCY_LABELS = {
+  faceMesh: 'FaceMesh'
+};
+
+export default function useFaceMesh(onResultsCallback, loaderOptions = {}) {
   const faceMeshRef = useRef(null);
   const [isLoaded, setIsLoaded] = useState(false);
   const [error, setError] = useState(null);
   const [loadingProgress, setLoadingProgress] = useState(0);
+  const [loadingStatus, setLoadingStatus] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  // FaceMesh is created once; result handling follows the latest callback
+  const callbackRef = useRef(onResultsCallback);
+  callbackRef.current = onResultsCallback;
+  // Capture info of the frame inside FaceMesh, handed to the callback with its results
+  const frameRef = useRef(null);
+  const optionsRef = useRef(loaderOptions);
 
   useEffect(() => {
     let isMounted = true;
-    
+
+    const handleProgress = ({ dependency, stage, fraction, loaded, total }) => {
+      if (!isMounted) return;
+      const range = PROGRESS_RANGES[dependency]?.[stage];
+      if (range) {
+        // Unknown sizes (no Content-Length) sit at the start of their range
+        const within = fraction != null ? fraction : 0;
+        setLoadingProgress(Math.round(range[0] + (range[1] - range[0]) * within));
+      }
+      setLoadingStatus({
+        dependency,
+        stage,
+        message: `${LOADING_STAGE_LABELS[stage] || stage} ${DEPENDENCY_LABELS[dependency] || dependency}`,
+        loaded,
+        total
+      });
+    };
+
     const loadDependencies = async () => {
       try {
-        setLoadingProgress(10);
-        
-        // Load OpenCV if not already loaded
-        if (!window.cv || !window.cv.Mat) {
-          await loadOpenCV();
-          if (!isMounted) return;
-          setLoadingProgress(50);
-        } else {
-          setLoadingProgress(50);
-        }
-
-        // Load MediaPipe FaceMesh if not already loaded
-        if (!window.FaceMesh) {
-          await loadMediaPipe();
-          if (!isMounted) return;
-        }
-        setLoadingProgress(80);
+        setError(null);
+        setLoadingProgress(0);
 
-        // Initialize FaceMesh
-        const faceMesh = new window.FaceMesh({
-          locateFile: (file) =>
-            `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`,
-        });
+        const baseUrl = await loadFaceMeshScript({ ...optionsRef.current, onProgress: handleProgress });
+        if (!isMounted) return;
 
-        faceMesh.setOptions({
-          maxNumFaces: 1,
-          refineLandmarks: true,
-          minDetectionConfidence: 0.5,
-          minTrackingConfidence: 0.5,
+        const faceMesh = await createFaceMesh({
+          baseUrl,
+          options: {
+            maxNumFaces: optionsRef.current.maxNumFaces ?? DEFAULT_MAX_FACES,
+            refineLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5,
+          },
+          onProgress: handleProgress,
+          initTimeoutMs: optionsRef.current.initTimeoutMs
         });
 
         // Wrap the callback to handle errors
         faceMesh.onResults((results) => {
           try {
-            onResultsCallback(results);
+            callbackRef.current(results, frameRef.current);
           } catch (err) {
             console.error('Error in onResults callback:', err);
           }
         });
 
-        if (!isMounted) return;
+        if (!isMounted) {
+          faceMesh.close();
+          return;
+        }
 
         faceMeshRef.current = faceMesh;
         setIsLoaded(true);
         setLoadingProgress(100);
-        setError(null);
+        setLoadingStatus(null);
 
       } catch (err) {
         console.error('Failed to initialize FaceMesh:', err);
@@ -82,104 +112,24 @@ export default function useFaceMesh(onResultsCallback) {
       }
       setIsLoaded(false);
     };
-  }, [onResultsCallback]);
-
-  // OpenCV loader with progress tracking
-  const loadOpenCV = useCallback(() => {
-    return new Promise((resolve, reject) => {
-      // Check if already loaded
-      if (window.cv && window.cv.Mat) {
-        resolve();
-        return;
-      }
-
-      // Check if script already exists
-      const existingScript = document.querySelector('script[src*="opencv.js"]');
-      if (existingScript) {
-        const checkCV = () => {
-          if (window.cv && window.cv.Mat) {
-            resolve();
-          } else {
-            setTimeout(checkCV, 100);
-          }
-        };
-        checkCV();
-        return;
-      }
-
-      const script = document.createElement('script');
-      script.src = 'https://docs.opencv.org/4.8.0/opencv.js';
-      script.async = true;
-      
-      script.onload = () => {
-        const checkCV = () => {
-          if (window.cv && window.cv.Mat) {
-            resolve();
-          } else {
-            setTimeout(checkCV, 100);
-          }
-        };
-        checkCV();
-      };
-      
-      script.onerror = () => {
-        reject(new Error('Failed to load OpenCV.js'));
-      };
-
-      document.head.appendChild(script);
-    });
-  }, []);
+  }, [attempt]);
 
-  // MediaPipe loader
-  const loadMediaPipe = useCallback(() => {
-    return new Promise((resolve, reject) => {
-      // Check if already loaded
-      if (window.FaceMesh) {
-        resolve();
-        return;
-      }
+  const retry = useCallback(() => setAttempt(n => n + 1), []);
 
-      // Check if script already exists
-      const existingScript = document.querySelector('script[src*="face_mesh.js"]');
-      if (existingScript) {
-        const checkFaceMesh = () => {
-          if (window.FaceMesh) {
-            resolve();
-          } else {
-            setTimeout(checkFaceMesh, 100);
-          }
-        };
-        checkFaceMesh();
-        return;
-      }
-
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js';
-      script.async = true;
-      
-      script.onload = () => {
-        const checkFaceMesh = () => {
-          if (window.FaceMesh) {
-            resolve();
-          } else {
-            setTimeout(checkFaceMesh, 100);
-          }
-        };
-        checkFaceMesh();
-      };
-      
-      script.onerror = () => {
-        reject(new Error('Failed to load MediaPipe FaceMesh'));
-      };
-
-      document.head.appendChild(script);
-    });
+  // onResults fires before send resolves, so the frame is still current there
+  const send = useCallback(async (image, frame = null) => {
+    if (!faceMeshRef.current) return;
+    frameRef.current = frame;
+    await faceMeshRef.current.send({ image });
   }, []);
 
   return { 
     faceMeshRef, 
     isLoaded, 
     error, 
-    loadingProgress 
+    loadingProgress,
+    loadingStatus,
+    retry,
+    send
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,122 @@
+// hooks/usePLRProtocol.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fromPerformanceTime } from '../utils/clock';
+
+export const DEFAULT_PLR_CONFIG = {
+  baselineMs: 3000,      // dark adaptation before the first flash
+  flashDurationMs: 200,
+  flashBrightness: 1,    // 0-1 opacity of the white stimulus
+  recoveryMs: 5000,      // dark window recorded after each flash
+  trials: 3,
+  minIntervalMs: 2000,   // randomized dark gap between trials
+  maxIntervalMs: 4000
+};
+
+// Phases: idle → baseline → (flash → recovery → interval)* → done
+export default function usePLRProtocol({ onBegin, onStimulus, onComplete } = {}) {
+  const [phase, setPhase] = useState('idle');
+  const [trial, setTrial] = useState(0);
+  const [totalTrials, setTotalTrials] = useState(0);
+
+  const configRef = useRef(DEFAULT_PLR_CONFIG);
+  const timerRef = useRef(null);
+  const rafRef = useRef(null);
+  const stimulusRef = useRef(null);
+  const trialRef = useRef(0);
+
+  // Latest callbacks without restarting the protocol when the parent re-renders
+  const callbacks = useRef({});
+  callbacks.current = { onBegin, onStimulus, onComplete };
+
+  const clearTimers = useCallback(() => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    timerRef.current = null;
+    rafRef.current = null;
+  }, []);
+
+  const runTrial = useCallback(() => {
+    const config = configRef.current;
+    trialRef.current += 1;
+    stimulusRef.current = {
+      type: 'flash',
+      trial: trialRef.current,
+      duration: config.flashDurationMs,
+      brightness: config.flashBrightness,
+      timestamp: null,
+      offset: null
+    };
+    setTrial(trialRef.current);
+    setPhase('flash');
+  }, []);
+
+  const finish = useCallback((aborted = false) => {
+    clearTimers();
+    // A flash that was shown but not yet reported (aborted mid-flash) still goes
+    // into the session, ending now as the overlay comes down
+    const stimulus = stimulusRef.current;
+    if (stimulus && stimulus.timestamp !== null && stimulus.offset === null) {
+      stimulus.offset = fromPerformanceTime(performance.now());
+      callbacks.current.onStimulus?.({ ...stimulus });
+    }
+    stimulusRef.current = null;
+    setPhase(aborted ? 'idle' : 'done');
+    callbacks.current.onComplete?.({ aborted });
+  }, [clearTimers]);
+
+  // Called by the stimulus overlay from the animation frame that paints the flash,
+  // so the onset sits on the same clock as the pupil samples
+  const markFlashOnset = useCallback((rafTime) => {
+    const stimulus = stimulusRef.current;
+    if (!stimulus || stimulus.timestamp !== null) return;
+
+    const config = configRef.current;
+    stimulus.timestamp = fromPerformanceTime(rafTime);
+
+    timerRef.current = setTimeout(() => {
+      setPhase('recovery');
+      // The next frame is the first one painted without the flash
+      rafRef.current = requestAnimationFrame((offsetTime) => {
+        stimulus.offset = fromPerformanceTime(offsetTime);
+        callbacks.current.onStimulus?.({ ...stimulus });
+      });
+
+      timerRef.current = setTimeout(() => {
+        if (trialRef.current >= config.trials) {
+          finish();
+          return;
+        }
+        const interval = config.minIntervalMs +
+          Math.random() * Math.max(0, config.maxIntervalMs - config.minIntervalMs);
+        setPhase('interval');
+        timerRef.current = setTimeout(runTrial, interval);
+      }, config.recoveryMs);
+    }, config.flashDurationMs);
+  }, [finish, runTrial]);
+
+  const start = useCallback((config = DEFAULT_PLR_CONFIG) => {
+    clearTimers();
+    configRef.current = { ...DEFAULT_PLR_CONFIG, ...config };
+    trialRef.current = 0;
+    setTrial(0);
+    setTotalTrials(configRef.current.trials);
+    setPhase('baseline');
+    callbacks.current.onBegin?.(configRef.current);
+    timerRef.current = setTimeout(runTrial, configRef.current.baselineMs);
+  }, [clearTimers, runTrial]);
+
+  const abort = useCallback(() => finish(true), [finish]);
+
+  useEffect(() => clearTimers, [clearTimers]);
+
+  return {
+    phase,
+    trial,
+    totalTrials,
+    config: configRef.current,
+    isRunning: phase !== 'idle' && phase !== 'done',
+    start,
+    abort,
+    markFlashOnset
+  };
+}
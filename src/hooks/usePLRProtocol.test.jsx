@@ -0,0 +1,66 @@
+// hooks/usePLRProtocol.test.jsx
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import usePLRProtocol from './usePLRProtocol';
+
+const CONFIG = { baselineMs: 100, flashDurationMs: 200, recoveryMs: 500, trials: 2, minIntervalMs: 100, maxIntervalMs: 100 };
+
+describe('usePLRProtocol', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  const startToFlash = () => {
+    const callbacks = { onBegin: vi.fn(), onStimulus: vi.fn(), onComplete: vi.fn() };
+    const { result } = renderHook(() => usePLRProtocol(callbacks));
+    act(() => result.current.start(CONFIG));
+    act(() => vi.advanceTimersByTime(CONFIG.baselineMs));
+    expect(result.current.phase).toBe('flash');
+    act(() => result.current.markFlashOnset(performance.now()));
+    return { result, callbacks };
+  };
+
+  it('reports each flash once it has ended', () => {
+    const { result, callbacks } = startToFlash();
+    expect(callbacks.onStimulus).not.toHaveBeenCalled();
+
+    act(() => vi.advanceTimersByTime(CONFIG.flashDurationMs + 20));
+    expect(result.current.phase).toBe('recovery');
+    expect(callbacks.onStimulus).toHaveBeenCalledTimes(1);
+    const event = callbacks.onStimulus.mock.calls[0][0];
+    expect(event).toMatchObject({ type: 'flash', trial: 1 });
+    expect(event.timestamp).not.toBeNull();
+    expect(event.offset).not.toBeNull();
+  });
+
+  it('keeps a flash that was aborted while showing', () => {
+    const { result, callbacks } = startToFlash();
+
+    act(() => vi.advanceTimersByTime(50));
+    act(() => result.current.abort());
+
+    expect(callbacks.onStimulus).toHaveBeenCalledTimes(1);
+    const event = callbacks.onStimulus.mock.calls[0][0];
+    expect(event).toMatchObject({ type: 'flash', trial: 1 });
+    expect(event.offset).toBeGreaterThanOrEqual(event.timestamp);
+    expect(callbacks.onComplete).toHaveBeenCalledWith({ aborted: true });
+    expect(result.current.phase).toBe('idle');
+  });
+
+  it('does not report a flash twice when aborted during recovery', () => {
+    const { result, callbacks } = startToFlash();
+
+    act(() => vi.advanceTimersByTime(CONFIG.flashDurationMs + 20));
+    act(() => result.current.abort());
+    expect(callbacks.onStimulus).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports nothing when aborted before the flash is painted', () => {
+    const callbacks = { onStimulus: vi.fn(), onComplete: vi.fn() };
+    const { result } = renderHook(() => usePLRProtocol(callbacks));
+    act(() => result.current.start(CONFIG));
+    act(() => vi.advanceTimersByTime(CONFIG.baselineMs));
+    act(() => result.current.abort());
+
+    expect(callbacks.onStimulus).not.toHaveBeenCalled();
+  });
+});
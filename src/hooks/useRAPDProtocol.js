@@ -0,0 +1,114 @@
+// hooks/useRAPDProtocol.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fromPerformanceTime } from '../utils/clock';
+
+export const DEFAULT_RAPD_CONFIG = {
+  baselineMs: 3000,   // dark adaptation before the first swing
+  dwellMs: 2000,      // light held on each eye
+  cycles: 6,          // left + right swings per cycle
+  brightness: 1
+};
+
+// Phases: idle → baseline → (swing)* → done. Light alternates between the eyes
+// with no dark gap, as with a swinging flashlight; each arrival is a 'swing' event.
+// The first swing comes out of darkness and is marked warmup.
+export default function useRAPDProtocol({ onBegin, onStimulus, onComplete } = {}) {
+  const [phase, setPhase] = useState('idle');
+  const [swing, setSwing] = useState(0);
+  const [eye, setEye] = useState(null);
+
+  const configRef = useRef(DEFAULT_RAPD_CONFIG);
+  const timerRef = useRef(null);
+  const stimulusRef = useRef(null);
+  const swingRef = useRef(0);
+
+  const callbacks = useRef({});
+  callbacks.current = { onBegin, onStimulus, onComplete };
+
+  const clearTimers = useCallback(() => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }, []);
+
+  // The outgoing swing ends as the light moves on
+  const closeSwing = useCallback((offset) => {
+    const previous = stimulusRef.current;
+    if (previous && previous.timestamp !== null) {
+      previous.offset = offset;
+      callbacks.current.onStimulus?.({ ...previous });
+    }
+    stimulusRef.current = null;
+  }, []);
+
+  const finish = useCallback((aborted = false) => {
+    clearTimers();
+    if (!aborted) closeSwing(fromPerformanceTime(performance.now()));
+    stimulusRef.current = null;
+    setPhase(aborted ? 'idle' : 'done');
+    setEye(null);
+    callbacks.current.onComplete?.({ aborted });
+  }, [clearTimers, closeSwing]);
+
+  const nextSwing = useCallback(() => {
+    const config = configRef.current;
+    if (swingRef.current >= config.cycles * 2) {
+      finish();
+      return;
+    }
+
+    swingRef.current += 1;
+    const target = swingRef.current % 2 === 1 ? 'left' : 'right';
+    stimulusRef.current = {
+      type: 'swing',
+      eye: target,
+      cycle: Math.ceil(swingRef.current / 2),
+      warmup: swingRef.current === 1,
+      brightness: config.brightness,
+      timestamp: null,
+      offset: null
+    };
+    setSwing(swingRef.current);
+    setEye(target);
+    setPhase('swing');
+  }, [finish]);
+
+  // Called from the animation frame that paints the newly lit side
+  const markSwingOnset = useCallback((rafTime) => {
+    const stimulus = stimulusRef.current;
+    if (!stimulus || stimulus.timestamp !== null) return;
+
+    stimulus.timestamp = fromPerformanceTime(rafTime);
+    timerRef.current = setTimeout(() => {
+      closeSwing(fromPerformanceTime(performance.now()));
+      nextSwing();
+    }, configRef.current.dwellMs);
+  }, [closeSwing, nextSwing]);
+
+  const start = useCallback((config = DEFAULT_RAPD_CONFIG) => {
+    clearTimers();
+    configRef.current = { ...DEFAULT_RAPD_CONFIG, ...config };
+    swingRef.current = 0;
+    stimulusRef.current = null;
+    setSwing(0);
+    setEye(null);
+    setPhase('baseline');
+    callbacks.current.onBegin?.(configRef.current);
+    timerRef.current = setTimeout(nextSwing, configRef.current.baselineMs);
+  }, [clearTimers, nextSwing]);
+
+  const abort = useCallback(() => finish(true), [finish]);
+
+  useEffect(() => clearTimers, [clearTimers]);
+
+  return {
+    phase,
+    swing,
+    totalSwings: configRef.current.cycles * 2,
+    eye,
+    config: configRef.current,
+    isRunning: phase !== 'idle' && phase !== 'done',
+    start,
+    abort,
+    markSwingOnset
+  };
+}
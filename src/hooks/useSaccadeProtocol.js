@@ -0,0 +1,113 @@
+// hooks/useSaccadeProtocol.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fromPerformanceTime } from '../utils/clock';
+
+export const DEFAULT_SACCADE_CONFIG = {
+  trials: 10,
+  amplitude: 0.3,        // target offset from centre, as a fraction of screen width
+  targetMs: 1000,        // time the eccentric target stays up
+  minFixationMs: 1000,   // randomized central fixation before each step
+  maxFixationMs: 2000
+};
+
+// Phases: idle → (fixation → target)* → done. Each eccentric step is reported as a
+// 'target' event; saccade latency is measured against its onset.
+export default function useSaccadeProtocol({ onBegin, onStimulus, onComplete } = {}) {
+  const [phase, setPhase] = useState('idle');
+  const [trial, setTrial] = useState(0);
+  const [direction, setDirection] = useState(null);
+
+  const configRef = useRef(DEFAULT_SACCADE_CONFIG);
+  const timerRef = useRef(null);
+  const rafRef = useRef(null);
+  const stimulusRef = useRef(null);
+  const trialRef = useRef(0);
+
+  const callbacks = useRef({});
+  callbacks.current = { onBegin, onStimulus, onComplete };
+
+  const clearTimers = useCallback(() => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    timerRef.current = null;
+    rafRef.current = null;
+  }, []);
+
+  const finish = useCallback((aborted = false) => {
+    clearTimers();
+    stimulusRef.current = null;
+    setPhase(aborted ? 'idle' : 'done');
+    callbacks.current.onComplete?.({ aborted });
+  }, [clearTimers]);
+
+  const fixate = useCallback(() => {
+    const config = configRef.current;
+    setPhase('fixation');
+    setDirection(null);
+
+    const wait = config.minFixationMs +
+      Math.random() * Math.max(0, config.maxFixationMs - config.minFixationMs);
+    timerRef.current = setTimeout(() => {
+      trialRef.current += 1;
+      const side = Math.random() < 0.5 ? 'left' : 'right';
+      stimulusRef.current = {
+        type: 'target',
+        trial: trialRef.current,
+        direction: side,
+        amplitude: config.amplitude,
+        timestamp: null,
+        offset: null
+      };
+      setTrial(trialRef.current);
+      setDirection(side);
+      setPhase('target');
+    }, wait);
+  }, []);
+
+  // Called from the animation frame that paints the stepped target
+  const markTargetOnset = useCallback((rafTime) => {
+    const stimulus = stimulusRef.current;
+    if (!stimulus || stimulus.timestamp !== null) return;
+
+    const config = configRef.current;
+    stimulus.timestamp = fromPerformanceTime(rafTime);
+
+    timerRef.current = setTimeout(() => {
+      const isLast = trialRef.current >= config.trials;
+      if (!isLast) fixate();
+      else setPhase('fixation');
+
+      rafRef.current = requestAnimationFrame((offsetTime) => {
+        stimulus.offset = fromPerformanceTime(offsetTime);
+        callbacks.current.onStimulus?.({ ...stimulus });
+        // Let the return saccade to centre land before stopping the recording
+        if (isLast) timerRef.current = setTimeout(() => finish(), config.minFixationMs);
+      });
+    }, config.targetMs);
+  }, [finish, fixate]);
+
+  const start = useCallback((config = DEFAULT_SACCADE_CONFIG) => {
+    clearTimers();
+    configRef.current = { ...DEFAULT_SACCADE_CONFIG, ...config };
+    trialRef.current = 0;
+    setTrial(0);
+    callbacks.current.onBegin?.(configRef.current);
+    fixate();
+  }, [clearTimers, fixate]);
+
+  const abort = useCallback(() => finish(true), [finish]);
+
+  useEffect(() => clearTimers, [clearTimers]);
+
+  return {
+    phase,
+    trial,
+    totalTrials: configRef.current.trials,
+    direction,
+    config: configRef.current,
+    isRunning: phase !== 'idle' && phase !== 'done',
+    start,
+    abort,
+    markTargetOnset
+  };
+}
@@ -0,0 +1,77 @@
+// hooks/useSignalQuality.js - Rolling quality and lighting measurements for the live view
+import { useCallback, useRef, useState } from 'react';
+import { now } from '../utils/clock';
+import { analyzeLuminance, createQualityMonitor, eyeRegion, glareFraction } from '../utils/signalQuality';
+
+// Small enough that reading it back every half second costs next to nothing
+const LIGHTING_SIZE = { width: 64, height: 36 };
+const GLARE_SIZE = { width: 32, height: 20 };
+
+export default function useSignalQuality({ reportIntervalMs = 250, lightingIntervalMs = 500 } = {}) {
+  const monitor = useRef(null);
+  if (!monitor.current) monitor.current = createQualityMonitor();
+  const canvasRef = useRef(null);
+  const lightingRef = useRef({ at: -Infinity, value: null });
+  const lastReport = useRef(-Infinity);
+  const [report, setReport] = useState({ summary: null, lighting: null, face: null });
+
+  // Luminance of the whole frame, and how much of each eye region is blown out
+  const sampleLighting = (video, landmarks) => {
+    if (!video?.videoWidth) return null;
+    if (!canvasRef.current) canvasRef.current = document.createElement('canvas');
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    canvas.width = LIGHTING_SIZE.width;
+    canvas.height = LIGHTING_SIZE.height;
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const lighting = analyzeLuminance(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+    if (!lighting || !landmarks) return lighting;
+
+    const glare = ['left', 'right'].map(eye => {
+      const region = eyeRegion(landmarks, eye);
+      if (!region) return null;
+      const sx = Math.max(0, region.x * video.videoWidth);
+      const sy = Math.max(0, region.y * video.videoHeight);
+      const sw = Math.min(video.videoWidth - sx, region.width * video.videoWidth);
+      const sh = Math.min(video.videoHeight - sy, region.height * video.videoHeight);
+      if (sw < 2 || sh < 2) return null;
+      canvas.width = GLARE_SIZE.width;
+      canvas.height = GLARE_SIZE.height;
+      ctx.drawImage(video, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+      return glareFraction(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+    }).filter(value => value !== null);
+
+    return { ...lighting, eyeGlare: glare.length ? Math.max(...glare) : null };
+  };
+
+  // Called once per processed frame. eyes: { left?, right? } as createQualityMonitor expects;
+  // face is the subject's normalized box, or null when nobody is in frame.
+  const record = useCallback(({ video, landmarks = null, face = null, eyes = {}, timestamp = null }) => {
+    const time = timestamp ?? now();
+    monitor.current.update({ faceFound: !!face, eyes }, time);
+
+    const wall = performance.now();
+    try {
+      if (wall - lightingRef.current.at >= lightingIntervalMs) {
+        lightingRef.current = { at: wall, value: sampleLighting(video, landmarks) };
+      }
+    } catch (err) {
+      // A cross-origin or not-yet-decoded frame can't be read back; keep the last reading
+      console.error('[useSignalQuality] Lighting sample failed:', err);
+      lightingRef.current.at = wall;
+    }
+
+    if (wall - lastReport.current < reportIntervalMs) return;
+    lastReport.current = wall;
+    setReport({ summary: monitor.current.summary(), lighting: lightingRef.current.value, face });
+  }, [reportIntervalMs, lightingIntervalMs]);
+
+  const reset = useCallback(() => {
+    monitor.current.reset();
+    lightingRef.current = { at: -Infinity, value: null };
+    setReport({ summary: null, lighting: null, face: null });
+  }, []);
+
+  return { report, record, reset };
+}
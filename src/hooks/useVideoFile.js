@@ -0,0 +1,179 @@
+// hooks/useVideoFile.js
+// Plays a local video file through the same per-frame callback as useCamera,
+// passing each frame's own media time instead of the wall clock: frames come as
+// { timestamp: mediaTime in ms, mediaTime, presentedFrames }.
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const seekTo = (video, time) => new Promise((resolve) => {
+  if (Math.abs(video.currentTime - time) < 1e-4) {
+    resolve();
+    return;
+  }
+  const onSeeked = () => {
+    video.removeEventListener('seeked', onSeeked);
+    resolve();
+  };
+  video.addEventListener('seeked', onSeeked);
+  video.currentTime = time;
+});
+
+export default function useVideoFile(videoRef, onFrame, { file, enabled = true, stepFps = 30 } = {}) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const onFrameRef = useRef(onFrame);
+  onFrameRef.current = onFrame;
+  const processingRef = useRef(false);
+  const cancelRef = useRef(false);
+
+  // Load the file into the video element
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!enabled || !file || !video) return;
+
+    const url = URL.createObjectURL(file);
+    video.srcObject = null;
+    video.src = url;
+    video.load();
+
+    const handleMeta = () => setDuration(video.duration || 0);
+    const handleTime = () => setCurrentTime(video.currentTime);
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+
+    video.addEventListener('loadedmetadata', handleMeta);
+    video.addEventListener('timeupdate', handleTime);
+    video.addEventListener('seeked', handleTime);
+    video.addEventListener('play', handlePlay);
+    video.addEventListener('pause', handlePause);
+    video.addEventListener('ended', handlePause);
+
+    return () => {
+      cancelRef.current = true;
+      video.pause();
+      video.removeEventListener('loadedmetadata', handleMeta);
+      video.removeEventListener('timeupdate', handleTime);
+      video.removeEventListener('seeked', handleTime);
+      video.removeEventListener('play', handlePlay);
+      video.removeEventListener('pause', handlePause);
+      video.removeEventListener('ended', handlePause);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+      setIsPlaying(false);
+      setCurrentTime(0);
+      setDuration(0);
+    };
+  }, [videoRef, file, enabled]);
+
+  // Realtime playback: analyze each presented frame (also fires on seeks while paused)
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!enabled || !file || !video) return;
+
+    let handle = null;
+    let busy = false;
+    let stopped = false;
+    const hasVideoFrameCallback = 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
+    const analyze = async (mediaTime, presentedFrames = null) => {
+      // Fast mode drives frames itself; otherwise drop frames while FaceMesh is busy
+      if (busy || processingRef.current || video.readyState < 2) return;
+      busy = true;
+      try {
+        await onFrameRef.current?.(video, { timestamp: mediaTime * 1000, mediaTime, presentedFrames });
+      } finally {
+        busy = false;
+      }
+    };
+
+    if (hasVideoFrameCallback) {
+      const loop = (now, metadata) => {
+        analyze(metadata.mediaTime, metadata.presentedFrames);
+        if (!stopped) handle = video.requestVideoFrameCallback(loop);
+      };
+      handle = video.requestVideoFrameCallback(loop);
+    } else {
+      let lastTime = -1;
+      const loop = () => {
+        if (video.currentTime !== lastTime) {
+          lastTime = video.currentTime;
+          analyze(lastTime);
+        }
+        if (!stopped) handle = requestAnimationFrame(loop);
+      };
+      handle = requestAnimationFrame(loop);
+    }
+
+    return () => {
+      stopped = true;
+      if (hasVideoFrameCallback) video.cancelVideoFrameCallback(handle);
+      else cancelAnimationFrame(handle);
+    };
+  }, [videoRef, file, enabled]);
+
+  const play = useCallback(() => videoRef.current?.play(), [videoRef]);
+  const pause = useCallback(() => videoRef.current?.pause(), [videoRef]);
+
+  const seek = useCallback((time) => {
+    const video = videoRef.current;
+    if (!video || processingRef.current) return;
+    video.currentTime = Math.max(0, Math.min(time, video.duration || 0));
+  }, [videoRef]);
+
+  // Step through the whole file frame by frame, as fast as detection allows
+  const processAll = useCallback(async ({ onStart, onEnd } = {}) => {
+    const video = videoRef.current;
+    if (!video || processingRef.current || !video.duration) return;
+
+    video.pause();
+    processingRef.current = true;
+    cancelRef.current = false;
+    setIsProcessing(true);
+    setProgress(0);
+    onStart?.();
+
+    const step = 1 / stepFps;
+    const frameCount = Math.floor(video.duration * stepFps);
+    let completed = true;
+    try {
+      for (let i = 0; i <= frameCount; i++) {
+        if (cancelRef.current) {
+          completed = false;
+          break;
+        }
+        const time = Math.min(i * step, video.duration);
+        await seekTo(video, time);
+        await onFrameRef.current?.(video, { timestamp: time * 1000, mediaTime: time, presentedFrames: null });
+        setProgress(frameCount > 0 ? i / frameCount : 1);
+      }
+    } catch (err) {
+      completed = false;
+      console.error('[useVideoFile] Processing failed:', err);
+    } finally {
+      processingRef.current = false;
+      setIsProcessing(false);
+      onEnd?.({ completed });
+    }
+  }, [videoRef, stepFps]);
+
+  const cancelProcessing = useCallback(() => {
+    cancelRef.current = true;
+  }, []);
+
+  return {
+    isPlaying,
+    currentTime,
+    duration,
+    isProcessing,
+    progress,
+    play,
+    pause,
+    seek,
+    processAll,
+    cancelProcessing
+  };
+}
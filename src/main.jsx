@@ -1,10 +1,16 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { PupilTrackingProvider } from './contexts/PupilTrackingContext';
+import { registerServiceWorker } from './utils/registerServiceWorker';
 import './styles/index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <PupilTrackingProvider>
+      <App />
+    </PupilTrackingProvider>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
\ No newline at end of file
@@ -0,0 +1,46 @@
+// serviceWorker.js - Offline support for the installed app
+// Built into /sw.js by the local-vendor-assets plugin in vite.config.js, which
+// prepends PRECACHE_VERSION and PRECACHE_URLS for the current build.
+/* global PRECACHE_VERSION, PRECACHE_URLS */
+
+const CACHE_PREFIX = 'pupil-tracker-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(PRECACHE_URLS[0]))
+    );
+    return;
+  }
+
+  // Build output URLs are content-hashed. Vendor and public files keep fixed names,
+  // but their contents are part of PRECACHE_VERSION, so an upgrade installs a new cache
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
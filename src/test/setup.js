@@ -0,0 +1,31 @@
+// test/setup.js - jsdom gaps the components rely on
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(cleanup);
+
+if (typeof window !== 'undefined') {
+  window.ResizeObserver = window.ResizeObserver || class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+
+  // jsdom has no canvas backend; hand out a 2D context that draws nothing
+  const noop = () => {};
+  const context = new Proxy({}, {
+    get: (target, prop) => {
+      if (prop in target) return target[prop];
+      if (prop === 'measureText') return (text) => ({ width: String(text).length * 6 });
+      if (prop === 'createLinearGradient' || prop === 'createRadialGradient') return () => ({ addColorStop: noop });
+      if (prop === 'getImageData') return (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h });
+      if (prop === 'canvas') return undefined;
+      return noop;
+    },
+    set: (target, prop, value) => {
+      target[prop] = value;
+      return true;
+    }
+  });
+  window.HTMLCanvasElement.prototype.getContext = () => context;
+}
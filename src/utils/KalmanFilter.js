@@ -1,27 +1,65 @@
+// utils/KalmanFilter.js
+// Constant-velocity Kalman filter for one scalar channel. State is [value, rate];
+// processNoise is the acceleration noise density, measurementNoise the variance
+// of a single reading.
+const DEFAULT_DT = 1 / 30;
+
 export default class KalmanFilter {
-  constructor(Q = 0.1, R = 10) {
-    this.Q = Q;
-    this.R = R;
+  constructor(processNoise = 50, measurementNoise = 1) {
+    this.q = processNoise;
+    this.r = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
     this.x = 0;
-    this.P = 1;
+    this.v = 0;
+    this.P = [[1, 0], [0, 1]];
+    this.lastTime = null;
     this.initialized = false;
   }
 
-  init(value) {
+  init(value, timestamp = null) {
     this.x = value;
-    this.P = 1;
+    this.v = 0;
+    // Unknown rate at first: wide velocity variance lets it lock on quickly
+    this.P = [[this.r, 0], [0, this.r * 100]];
+    this.lastTime = timestamp;
     this.initialized = true;
   }
 
-  update(measurement) {
+  // timestamp in ms; missing or non-increasing times fall back to a 30 fps step
+  update(measurement, timestamp = null) {
     if (!this.initialized) {
-      this.init(measurement);
+      this.init(measurement, timestamp);
+      return this.x;
     }
 
-    this.P += this.Q;
-    const K = this.P / (this.P + this.R);
-    this.x += K * (measurement - this.x);
-    this.P *= (1 - K);
+    const elapsed = timestamp != null && this.lastTime != null ? (timestamp - this.lastTime) / 1000 : 0;
+    const dt = elapsed > 0 ? elapsed : DEFAULT_DT;
+    this.lastTime = timestamp;
+
+    // Predict: x' = F x, P' = F P Fᵀ + Q
+    const [[p00, p01], [p10, p11]] = this.P;
+    this.x += this.v * dt;
+    const q = this.q;
+    const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt ** 3 / 3;
+    const a01 = p01 + dt * p11 + q * dt ** 2 / 2;
+    const a10 = p10 + dt * p11 + q * dt ** 2 / 2;
+    const a11 = p11 + q * dt;
+
+    // Update with a position-only measurement
+    const s = a00 + this.r;
+    const k0 = a00 / s;
+    const k1 = a10 / s;
+    const innovation = measurement - this.x;
+    this.x += k0 * innovation;
+    this.v += k1 * innovation;
+    this.P = [
+      [(1 - k0) * a00, (1 - k0) * a01],
+      [a10 - k1 * a00, a11 - k1 * a01]
+    ];
+
     return this.x;
   }
-}
\ No newline at end of file
+}
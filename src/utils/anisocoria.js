@@ -0,0 +1,165 @@
+// utils/anisocoria.js
+// Left/right pupil asymmetry: per-sample difference, a live sustained-threshold
+// monitor, session summaries, and the swinging-flashlight RAPD comparison.
+
+export const DEFAULT_ASYMMETRY_OPTIONS = {
+  thresholdMm: 1,      // |L - R| above this counts as anisocoria
+  sustainMs: 3000      // ...once it has held this long
+};
+
+export const DEFAULT_RAPD_OPTIONS = {
+  baselineWindowMs: 200,   // end of the previous illumination
+  responseStartMs: 150,    // skip the afferent latency
+  responseEndMs: 1500,
+  indexThreshold: 0.2      // |asymmetry index| that flags a possible RAPD
+};
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Absolute difference in mm (L - R) and relative difference in % of the mean size
+export const pupilAsymmetry = (leftMm, rightMm) => {
+  if (leftMm == null || rightMm == null) return null;
+  const average = (leftMm + rightMm) / 2;
+  return {
+    absolute: leftMm - rightMm,
+    relative: average > 0 ? ((leftMm - rightMm) / average) * 100 : null
+  };
+};
+
+// Live check: alert once |L - R| has stayed above threshold for sustainMs.
+// Samples missing an eye (blinks) neither extend nor reset a run.
+export const createAsymmetryMonitor = (options = {}) => {
+  let opts = { ...DEFAULT_ASYMMETRY_OPTIONS, ...options };
+  let aboveSince = null;
+
+  return {
+    update(leftMm, rightMm, timestamp) {
+      // Seeking back in a file restarts the clock
+      if (aboveSince !== null && timestamp < aboveSince) aboveSince = null;
+
+      const asymmetry = pupilAsymmetry(leftMm, rightMm);
+      if (asymmetry) {
+        if (Math.abs(asymmetry.absolute) > opts.thresholdMm) {
+          if (aboveSince === null) aboveSince = timestamp;
+        } else {
+          aboveSince = null;
+        }
+      }
+
+      const duration = aboveSince !== null ? timestamp - aboveSince : 0;
+      return { asymmetry, aboveSince, duration, alert: aboveSince !== null && duration >= opts.sustainMs };
+    },
+
+    configure(options) {
+      opts = { ...opts, ...options };
+    },
+
+    reset() {
+      aboveSince = null;
+    }
+  };
+};
+
+// Recorded stretches where the threshold was exceeded for at least sustainMs
+export const findAsymmetryEpisodes = (history, options = {}) => {
+  const opts = { ...DEFAULT_ASYMMETRY_OPTIONS, ...options };
+  const episodes = [];
+  let current = null;
+
+  const close = () => {
+    if (current && current.end - current.start >= opts.sustainMs) {
+      episodes.push({ ...current, duration: current.end - current.start });
+    }
+    current = null;
+  };
+
+  history.forEach(entry => {
+    const asymmetry = pupilAsymmetry(entry.left, entry.right);
+    if (!asymmetry) return;
+
+    if (Math.abs(asymmetry.absolute) > opts.thresholdMm) {
+      if (!current) current = { start: entry.timestamp, end: entry.timestamp, maxAbsolute: 0 };
+      current.end = entry.timestamp;
+      if (Math.abs(asymmetry.absolute) > Math.abs(current.maxAbsolute)) current.maxAbsolute = asymmetry.absolute;
+    } else {
+      close();
+    }
+  });
+  close();
+
+  return episodes;
+};
+
+export const summarizeAsymmetry = (history, options = {}) => {
+  const samples = history
+    .map(entry => pupilAsymmetry(entry.left, entry.right))
+    .filter(Boolean);
+  if (samples.length === 0) return null;
+
+  const opts = { ...DEFAULT_ASYMMETRY_OPTIONS, ...options };
+  const absolutes = samples.map(s => s.absolute);
+
+  return {
+    samples: samples.length,
+    meanAbsolute: mean(absolutes),
+    meanRelative: mean(samples.map(s => s.relative).filter(v => v != null)),
+    maxAbsolute: absolutes.reduce((max, v) => (Math.abs(v) > Math.abs(max) ? v : max), 0),
+    aboveThreshold: absolutes.filter(v => Math.abs(v) > opts.thresholdMm).length / samples.length,
+    episodes: findAsymmetryEpisodes(history, opts)
+  };
+};
+
+// Both pupils react consensually, so each sample uses the binocular mean
+const binocularSize = (entry) => {
+  const sizes = [entry.left, entry.right].filter(v => v != null);
+  return sizes.length ? mean(sizes) : null;
+};
+
+// Swinging flashlight: compare the constriction after light moves onto each eye.
+// The eye with the afferent defect gives the weaker response (or a dilation).
+export const analyzeRAPD = (history, events, options = {}) => {
+  const opts = { ...DEFAULT_RAPD_OPTIONS, ...options };
+  const swings = events.filter(e => e.type === 'swing' && e.timestamp != null && !e.warmup);
+  if (swings.length === 0) return null;
+
+  const trace = history
+    .map(entry => ({ t: entry.timestamp, v: binocularSize(entry) }))
+    .filter(p => p.v != null);
+
+  const responses = swings.map(swing => {
+    const baseline = mean(trace
+      .filter(p => p.t >= swing.timestamp - opts.baselineWindowMs && p.t < swing.timestamp)
+      .map(p => p.v));
+    const window = trace.filter(p =>
+      p.t >= swing.timestamp + opts.responseStartMs && p.t <= swing.timestamp + opts.responseEndMs
+    );
+    if (baseline == null || window.length === 0) return { eye: swing.eye, cycle: swing.cycle, amplitude: null };
+
+    const minimum = Math.min(...window.map(p => p.v));
+    // Negative when the pupils dilate as the light arrives: the classic RAPD "escape"
+    const amplitude = minimum < baseline ? baseline - minimum : baseline - Math.max(...window.map(p => p.v));
+    return { eye: swing.eye, cycle: swing.cycle, baseline, amplitude };
+  });
+
+  const eyeSummary = (eye) => {
+    const amplitudes = responses.filter(r => r.eye === eye && r.amplitude != null).map(r => r.amplitude);
+    return {
+      swings: amplitudes.length,
+      meanAmplitude: mean(amplitudes),
+      dilations: amplitudes.filter(a => a < 0).length
+    };
+  };
+
+  const left = eyeSummary('left');
+  const right = eyeSummary('right');
+  const index = left.meanAmplitude != null && right.meanAmplitude != null &&
+    Math.abs(left.meanAmplitude) + Math.abs(right.meanAmplitude) > 0
+    ? (left.meanAmplitude - right.meanAmplitude) / (Math.abs(left.meanAmplitude) + Math.abs(right.meanAmplitude))
+    : null;
+
+  // Positive index: stimulating the right eye constricts less, so the defect is on the right
+  let suspected = null;
+  if (index != null && Math.abs(index) >= opts.indexThreshold) suspected = index > 0 ? 'right' : 'left';
+
+  return { responses, left, right, index, suspected };
+};
@@ -0,0 +1,51 @@
+// utils/annotations.js
+// Free-text markers ("drug administered", "patient spoke") stamped into a session's
+// events on the sample clock. Unlike stimuli they can be edited after the recording.
+
+export const ANNOTATION_TYPE = 'annotation';
+
+// Number keys 1-4 stamp these while recording
+export const ANNOTATION_PRESETS = [
+  { key: '1', label: 'Drug administered' },
+  { key: '2', label: 'Light on' },
+  { key: '3', label: 'Light off' },
+  { key: '4', label: 'Patient spoke' }
+];
+
+let nextId = 0;
+
+export const isAnnotation = (event) => event?.type === ANNOTATION_TYPE;
+
+export const createAnnotation = (label, timestamp) => ({
+  type: ANNOTATION_TYPE,
+  id: `a${Date.now().toString(36)}-${(nextId++).toString(36)}`,
+  label: label.trim() || 'Marker',
+  timestamp
+});
+
+const byTime = (a, b) => a.timestamp - b.timestamp;
+
+// Session events with the annotations replaced, still in time order
+export const replaceAnnotations = (events, annotations) => [
+  ...events.filter(e => !isAnnotation(e)),
+  ...annotations
+].sort(byTime);
+
+export const updateAnnotation = (annotations, id, changes) =>
+  annotations.map(a => (a.id === id ? { ...a, ...changes } : a)).sort(byTime);
+
+export const removeAnnotation = (annotations, id) => annotations.filter(a => a.id !== id);
+
+// Labels per history index: each annotation lands on the first sample at or after it
+// (the last sample for one stamped after the recording's final frame)
+export const annotationLabelsBySample = (history, events) => {
+  const labels = new Map();
+  if (history.length === 0) return labels;
+  const annotations = events.filter(isAnnotation).sort(byTime);
+  let i = 0;
+  annotations.forEach(annotation => {
+    while (i < history.length - 1 && history[i].timestamp < annotation.timestamp) i++;
+    labels.set(i, labels.has(i) ? `${labels.get(i)}; ${annotation.label}` : annotation.label);
+  });
+  return labels;
+};
@@ -0,0 +1,171 @@
+// utils/blinks.js
+// Eye aspect ratio (EAR) from the FaceMesh eyelid contour, a per-eye blink
+// detector for live gating, and blink statistics / gap filling over history.
+
+// p1..p6 per eye: corners p1/p4, upper lid p2/p3, lower lid p5/p6.
+// Sides match EYE_LANDMARKS - the 468 iris sits in the 33/133 eye.
+export const EYELID_LANDMARKS = {
+  left: [33, 160, 158, 133, 153, 144],
+  right: [362, 385, 387, 263, 373, 380]
+};
+
+export const DEFAULT_BLINK_OPTIONS = {
+  closeRatio: 0.65,        // EAR below this fraction of the open-eye baseline starts a blink
+  openRatio: 0.8,          // ...and above this fraction ends it
+  fallbackBaseline: 0.3,   // typical open EAR until the subject's own is learned
+  baselineAlpha: 0.05,
+  minDurationMs: 50,       // shorter closures are tracking noise
+  maxDurationMs: 500,      // longer ones are deliberate eye closure, not blinks
+  paddingMs: 50,           // lids are still moving just before and after a blink
+  maxGapMs: 1000           // longest gap bridged by interpolation
+};
+
+export const eyeAspectRatio = (landmarks, eye, width, height) => {
+  const points = EYELID_LANDMARKS[eye]?.map(i => landmarks[i]);
+  if (!points || points.some(p => !p)) return null;
+
+  // Pixel distances: normalised coordinates would skew the ratio on non-square frames
+  const dist = (a, b) => Math.hypot((a.x - b.x) * width, (a.y - b.y) * height);
+  const [p1, p2, p3, p4, p5, p6] = points;
+  const horizontal = dist(p1, p4);
+  if (horizontal === 0) return null;
+
+  return (dist(p2, p6) + dist(p3, p5)) / (2 * horizontal);
+};
+
+// Hysteresis relative to a running open-eye baseline, so naturally narrow eyes
+// aren't read as permanently closed
+export const createBlinkDetector = (options = {}) => {
+  const opts = { ...DEFAULT_BLINK_OPTIONS, ...options };
+  let baseline = null;
+  let closed = false;
+
+  return {
+    update(ear) {
+      const wasClosed = closed;
+
+      if (ear != null) {
+        const reference = baseline ?? opts.fallbackBaseline;
+        if (!closed && ear < reference * opts.closeRatio) {
+          closed = true;
+        } else if (closed && ear > reference * opts.openRatio) {
+          closed = false;
+        }
+
+        if (!closed) {
+          baseline = baseline === null ? ear : baseline + opts.baselineAlpha * (ear - baseline);
+        }
+      }
+
+      return { isBlinking: closed, ear, onset: closed && !wasClosed, offset: wasClosed && !closed };
+    },
+
+    reset() {
+      baseline = null;
+      closed = false;
+    }
+  };
+};
+
+// Consecutive runs of blink-flagged samples as { start, end } timestamps
+const closedRuns = (history, eye) => {
+  const key = `${eye}Blink`;
+  const runs = [];
+  let run = null;
+
+  history.forEach(h => {
+    if (h[key]) {
+      if (!run) run = { start: h.timestamp, end: h.timestamp, next: null };
+      run.end = h.timestamp;
+    } else if (run) {
+      run.next = h.timestamp;
+      runs.push(run);
+      run = null;
+    }
+  });
+  if (run) runs.push(run);
+
+  return runs;
+};
+
+// Blink episodes for one eye; offset is the first open sample after the closure
+export const findBlinks = (history, eye, options = {}) => {
+  const opts = { ...DEFAULT_BLINK_OPTIONS, ...options };
+
+  return closedRuns(history, eye)
+    // A recording that ends with the eye shut has no offset to measure
+    .filter(run => run.next !== null)
+    .map(run => ({ onset: run.start, offset: run.next, duration: run.next - run.start }))
+    .filter(blink => blink.duration >= opts.minDurationMs && blink.duration <= opts.maxDurationMs);
+};
+
+// Per-eye count, rate and duration; null for eyes that weren't tracked
+export const analyzeBlinks = (history, options = {}) => {
+  if (!history || history.length < 2) return { left: null, right: null };
+
+  const minutes = (history[history.length - 1].timestamp - history[0].timestamp) / 60000;
+
+  const summarize = (eye) => {
+    if (!history.some(h => h[`${eye}Blink`] != null)) return null;
+
+    const blinks = findBlinks(history, eye, options);
+    const durations = blinks.map(b => b.duration);
+    return {
+      blinks,
+      count: blinks.length,
+      ratePerMin: minutes > 0 ? blinks.length / minutes : null,
+      meanDurationMs: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : null
+    };
+  };
+
+  return { left: summarize('left'), right: summarize('right') };
+};
+
+// Copy of history with sizes linearly interpolated across blinks (plus padding).
+// Bridged samples get `${eye}Filled: true`; gaps longer than maxGapMs are left empty.
+export const fillBlinkGaps = (history, options = {}) => {
+  const opts = { ...DEFAULT_BLINK_OPTIONS, ...options };
+  const filled = history.map(h => ({ ...h }));
+
+  ['left', 'right'].forEach(eye => {
+    const runs = closedRuns(history, eye);
+    if (runs.length === 0) return;
+
+    const masked = filled.map(h => runs.some(run =>
+      h.timestamp >= run.start - opts.paddingMs && h.timestamp <= run.end + opts.paddingMs
+    ));
+
+    let i = 0;
+    while (i < filled.length) {
+      if (!masked[i]) {
+        i++;
+        continue;
+      }
+
+      let j = i;
+      while (j + 1 < filled.length && masked[j + 1]) j++;
+
+      const before = filled[i - 1];
+      const after = filled[j + 1];
+      const bridgeable = before && after && after.timestamp - before.timestamp <= opts.maxGapMs;
+
+      [eye, `${eye}Px`].forEach(key => {
+        for (let k = i; k <= j; k++) {
+          if (bridgeable && before[key] != null && after[key] != null) {
+            const fraction = (filled[k].timestamp - before.timestamp) / (after.timestamp - before.timestamp);
+            filled[k][key] = before[key] + (after[key] - before[key]) * fraction;
+          } else {
+            filled[k][key] = null;
+          }
+        }
+      });
+
+      for (let k = i; k <= j; k++) {
+        filled[k][`${eye}Filled`] = filled[k][eye] != null;
+      }
+      i = j + 1;
+    }
+  });
+
+  return filled;
+};
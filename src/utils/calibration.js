@@ -0,0 +1,14 @@
+// utils/calibration.js
+// The visible iris is ~11.7 mm across in adults with little variation between
+// people, so the FaceMesh iris landmarks give us a per-frame pixel → mm scale.
+export const DEFAULT_IRIS_DIAMETER_MM = 11.7;
+
+export const getMmPerPixel = (irisDiameterPx, irisDiameterMm = DEFAULT_IRIS_DIAMETER_MM) => {
+  if (!irisDiameterPx || irisDiameterPx <= 0 || !irisDiameterMm) return null;
+  return irisDiameterMm / irisDiameterPx;
+};
+
+export const pxToMm = (sizePx, mmPerPx) => {
+  if (sizePx == null || mmPerPx == null) return null;
+  return sizePx * mmPerPx;
+};
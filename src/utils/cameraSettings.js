@@ -0,0 +1,109 @@
+// utils/cameraSettings.js
+// Capture format and image controls for the live camera, remembered per device.
+
+export const RESOLUTION_OPTIONS = [
+  { key: 'auto', label: 'Auto', width: null, height: null },
+  { key: '640x480', label: '640×480', width: 640, height: 480 },
+  { key: '1280x720', label: '1280×720', width: 1280, height: 720 },
+  { key: '1920x1080', label: '1920×1080', width: 1920, height: 1080 },
+  { key: '3840x2160', label: '3840×2160', width: 3840, height: 2160 }
+];
+
+export const FRAME_RATE_OPTIONS = [null, 15, 30, 60, 90, 120];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  resolution: '1280x720',
+  frameRate: 30,
+  // Image-capture constraints (exposureMode, exposureTime, focusDistance, ...);
+  // only keys the track's capabilities offer are applied
+  controls: {}
+};
+
+// Manual image controls. A control with a mode only takes its value once the
+// mode is 'manual'; 'continuous' leaves it to the camera.
+export const CAMERA_CONTROLS = [
+  { key: 'exposureTime', label: 'Exposure time', mode: 'exposureMode' },
+  { key: 'exposureCompensation', label: 'Exposure compensation' },
+  { key: 'focusDistance', label: 'Focus distance', mode: 'focusMode' },
+  { key: 'zoom', label: 'Zoom' },
+  { key: 'colorTemperature', label: 'White balance (K)', mode: 'whiteBalanceMode' }
+];
+
+export const CAMERA_MODES = ['exposureMode', 'focusMode', 'whiteBalanceMode'];
+
+const STORAGE_PREFIX = 'crazyeyes-camera:';
+const SELECTED_KEY = 'crazyeyes-camera-selected';
+
+// Track settings worth recording alongside a session
+const REPORTED_TRACK_SETTINGS = [
+  'deviceId', 'width', 'height', 'frameRate',
+  ...CAMERA_MODES,
+  ...CAMERA_CONTROLS.map(({ key }) => key)
+];
+
+export const describeTrackSettings = (trackSettings) => (trackSettings
+  ? Object.fromEntries(REPORTED_TRACK_SETTINGS.filter(key => trackSettings[key] != null).map(key => [key, trackSettings[key]]))
+  : null);
+
+// getUserMedia constraints for the chosen device and format. Ideals rather than
+// exacts, so a camera that can't match still opens at its closest mode.
+export const buildVideoConstraints = (deviceId, settings = DEFAULT_CAMERA_SETTINGS) => {
+  const resolution = RESOLUTION_OPTIONS.find(option => option.key === settings.resolution);
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
+    ...(resolution?.width ? { width: { ideal: resolution.width }, height: { ideal: resolution.height } } : {}),
+    ...(settings.frameRate ? { frameRate: { ideal: settings.frameRate } } : {})
+  };
+};
+
+// The subset of saved controls this track supports, as applyConstraints input
+export const supportedControls = (controls = {}, capabilities = {}) => {
+  const supported = {};
+  CAMERA_MODES.forEach(mode => {
+    if (controls[mode] && capabilities[mode]?.includes(controls[mode])) supported[mode] = controls[mode];
+  });
+  CAMERA_CONTROLS.forEach(({ key, mode }) => {
+    const range = capabilities[key];
+    if (controls[key] == null || !range || range.min == null) return;
+    if (mode && supported[mode] !== 'manual') return;
+    supported[key] = Math.min(range.max, Math.max(range.min, controls[key]));
+  });
+  return supported;
+};
+
+export const loadCameraSettings = (deviceId) => {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + (deviceId || 'default'));
+    if (!stored) return DEFAULT_CAMERA_SETTINGS;
+    const parsed = JSON.parse(stored);
+    return { ...DEFAULT_CAMERA_SETTINGS, ...parsed, controls: { ...parsed.controls } };
+  } catch (err) {
+    console.error('[cameraSettings] Failed to load settings:', err);
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+};
+
+export const saveCameraSettings = (deviceId, settings) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + (deviceId || 'default'), JSON.stringify(settings));
+  } catch (err) {
+    console.error('[cameraSettings] Failed to save settings:', err);
+  }
+};
+
+export const loadSelectedCamera = () => {
+  try {
+    return localStorage.getItem(SELECTED_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSelectedCamera = (deviceId) => {
+  try {
+    if (deviceId) localStorage.setItem(SELECTED_KEY, deviceId);
+    else localStorage.removeItem(SELECTED_KEY);
+  } catch (err) {
+    console.error('[cameraSettings] Failed to save camera choice:', err);
+  }
+};
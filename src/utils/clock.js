@@ -0,0 +1,7 @@
+// utils/clock.js
+// One timeline for samples and stimuli: epoch milliseconds with sub-ms precision.
+// requestAnimationFrame / video frame timestamps are performance.now()-based and
+// convert onto the same axis with fromPerformanceTime.
+export const now = () => performance.timeOrigin + performance.now();
+
+export const fromPerformanceTime = (t) => performance.timeOrigin + t;
@@ -0,0 +1,339 @@
+// utils/dependencyLoader.js
+// Loads OpenCV.js and MediaPipe FaceMesh with download/initialization progress,
+// per-attempt timeouts and retries across fallback sources. Works on the main
+// thread and inside workers (no DOM access at import time).
+
+// import.meta.env only exists under Vite; plain Node imports fall back to the root
+const BASE_URL = import.meta.env?.BASE_URL ?? '/';
+
+// Local copies come first (see vite.config.js); CDNs are fallbacks for dev setups
+export const DEPENDENCIES = {
+  opencv: {
+    name: 'OpenCV.js',
+    global: 'cv',
+    sources: [
+      `${BASE_URL}vendor/opencv/opencv.js`,
+      'https://docs.opencv.org/4.8.0/opencv.js'
+    ]
+  },
+  faceMesh: {
+    name: 'MediaPipe FaceMesh',
+    global: 'FaceMesh',
+    script: 'face_mesh.js',
+    // Base URLs: FaceMesh fetches its wasm and model files relative to these
+    sources: [
+      `${BASE_URL}vendor/face_mesh/`,
+      'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/'
+    ]
+  }
+};
+
+export const DEFAULT_LOADER_OPTIONS = {
+  timeoutMs: 20000,      // abort a download when no data arrives for this long
+  initTimeoutMs: 30000,  // runtime / model initialization budget
+  retries: 1,            // extra attempts per source before falling back
+  retryDelayMs: 1000
+};
+
+// Operator-facing names for the `stage` of progress events
+export const LOADING_STAGE_LABELS = {
+  download: 'Downloading',
+  init: 'Initializing',
+  ready: 'Loaded'
+};
+
+export class DependencyError extends Error {
+  constructor(message, { dependency, source, cause, attempts } = {}) {
+    super(message);
+    this.name = 'DependencyError';
+    this.dependency = dependency;
+    this.source = source;
+    this.cause = cause;
+    this.attempts = attempts || [];
+  }
+}
+
+// Server answered with an error status, or the request never completed
+export class DependencyNetworkError extends DependencyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'DependencyNetworkError';
+  }
+}
+
+export class DependencyTimeoutError extends DependencyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'DependencyTimeoutError';
+  }
+}
+
+// Script downloaded but the runtime failed to start or didn't expose its API
+export class DependencyInitError extends DependencyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'DependencyInitError';
+  }
+}
+
+export class DependencyUnsupportedError extends DependencyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'DependencyUnsupportedError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, createError) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Stream the script so progress reflects bytes actually received
+export async function fetchWithProgress(url, { timeoutMs, onProgress, dependency } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+  const armTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  armTimeout();
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new DependencyNetworkError(`HTTP ${response.status} loading ${url}`, { dependency, source: url });
+    }
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body) {
+      const text = await response.text();
+      onProgress?.({ loaded: text.length, total: text.length });
+      return text;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      armTimeout();
+      chunks.push(value);
+      loaded += value.length;
+      onProgress?.({ loaded, total });
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return new TextDecoder().decode(bytes);
+  } catch (err) {
+    if (err instanceof DependencyError) throw err;
+    if (timedOut) {
+      throw new DependencyTimeoutError(`No data from ${url} for ${timeoutMs / 1000}s`, { dependency, source: url, cause: err });
+    }
+    throw new DependencyNetworkError(`Could not download ${url}: ${err.message}`, { dependency, source: url, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Execute a classic (UMD/global) script in the current global scope
+const runScript = (code, url) => {
+  if (typeof document !== 'undefined') {
+    const script = document.createElement('script');
+    script.textContent = `${code}\n//# sourceURL=${url}`;
+    script.dataset.dependency = url;
+    document.head.appendChild(script);
+  } else {
+    // Indirect eval: global scope, and importScripts doesn't exist in module workers
+    (0, eval)(`${code}\n//# sourceURL=${url}`);
+  }
+};
+
+// Resolves once the OpenCV runtime is usable, whichever way this build signals it.
+// Never resolves *with* the module: Emscripten modules are thenables.
+const waitForOpenCVRuntime = () => new Promise((resolve, reject) => {
+  const instance = globalThis.cv;
+  if (!instance) {
+    reject(new Error('cv global missing after script load'));
+    return;
+  }
+  if (instance.Mat) {
+    resolve();
+    return;
+  }
+  if (instance instanceof Promise) {
+    instance.then((ready) => {
+      globalThis.cv = ready;
+      resolve();
+    }, reject);
+    return;
+  }
+
+  const previous = instance.onRuntimeInitialized;
+  instance.onRuntimeInitialized = () => {
+    if (typeof previous === 'function') previous();
+    resolve();
+  };
+  // The runtime may have finished between the script running and the handler being set
+  if (instance.Mat) resolve();
+});
+
+// Try each source (with retries) until one works; collect every failure otherwise
+async function loadFromSources(dependency, options, attemptSource) {
+  const opts = { ...DEFAULT_LOADER_OPTIONS, ...options };
+  const sources = opts.sources || DEPENDENCIES[dependency].sources;
+  const attempts = [];
+
+  for (const source of sources) {
+    for (let attempt = 0; attempt <= opts.retries; attempt++) {
+      try {
+        return await attemptSource(source, opts);
+      } catch (err) {
+        attempts.push({ source, attempt: attempt + 1, error: err });
+        console.warn(`[dependencyLoader] ${DEPENDENCIES[dependency].name} from ${source} failed:`, err.message);
+        // Missing features won't appear on another try
+        if (err instanceof DependencyUnsupportedError) {
+          err.attempts = attempts;
+          throw err;
+        }
+        if (attempt < opts.retries) await sleep(opts.retryDelayMs);
+      }
+    }
+  }
+
+  const last = attempts[attempts.length - 1]?.error;
+  const ErrorType = last instanceof DependencyError ? last.constructor : DependencyError;
+  throw new ErrorType(
+    `${DEPENDENCIES[dependency].name} could not be loaded from any source${last ? ` (${last.message})` : ''}`,
+    { dependency, source: last?.source, cause: last, attempts }
+  );
+}
+
+const inFlight = {};
+
+// Shares one load per dependency between callers (each still gets progress);
+// a failure clears it so a retry starts over
+const once = (key, onProgress, load) => {
+  let entry = inFlight[key];
+  if (!entry) {
+    entry = { listeners: new Set() };
+    const emit = (progress) => entry.listeners.forEach(listener => listener(progress));
+    entry.promise = load(emit).catch((err) => {
+      delete inFlight[key];
+      throw err;
+    });
+    inFlight[key] = entry;
+  }
+  if (onProgress) entry.listeners.add(onProgress);
+  return entry.promise;
+};
+
+// Resolves to { cv }: resolving with the module itself would adopt it as a
+// thenable, and its then() hands back the module again, forever
+export function loadOpenCV({ onProgress, ...options } = {}) {
+  if (globalThis.cv && globalThis.cv.Mat) {
+    onProgress?.({ dependency: 'opencv', stage: 'ready', fraction: 1 });
+    return Promise.resolve({ cv: globalThis.cv });
+  }
+
+  return once('opencv', onProgress, (emit) => loadFromSources('opencv', options, async (source, opts) => {
+    if (typeof WebAssembly === 'undefined') {
+      throw new DependencyUnsupportedError('WebAssembly is not supported in this browser', { dependency: 'opencv' });
+    }
+
+    const code = await fetchWithProgress(source, {
+      dependency: 'opencv',
+      timeoutMs: opts.timeoutMs,
+      onProgress: ({ loaded, total }) => emit({
+        dependency: 'opencv', stage: 'download', source, loaded, total,
+        fraction: total ? loaded / total : null
+      })
+    });
+
+    emit({ dependency: 'opencv', stage: 'init', source, fraction: null });
+    try {
+      runScript(code, source);
+      await withTimeout(
+        waitForOpenCVRuntime(),
+        opts.initTimeoutMs,
+        () => new DependencyTimeoutError(`OpenCV runtime did not initialize within ${opts.initTimeoutMs / 1000}s`, { dependency: 'opencv', source })
+      );
+    } catch (err) {
+      if (err instanceof DependencyError) throw err;
+      throw new DependencyInitError(`OpenCV failed to initialize: ${err.message}`, { dependency: 'opencv', source, cause: err });
+    }
+
+    emit({ dependency: 'opencv', stage: 'ready', source, fraction: 1 });
+    return { cv: globalThis.cv };
+  }));
+}
+
+// Resolves to the base URL FaceMesh should locate its wasm/model files under
+export function loadFaceMeshScript({ onProgress, ...options } = {}) {
+  return once('faceMesh', onProgress, (emit) => loadFromSources('faceMesh', options, async (baseUrl, opts) => {
+    if (typeof WebAssembly === 'undefined') {
+      throw new DependencyUnsupportedError('WebAssembly is not supported in this browser', { dependency: 'faceMesh' });
+    }
+
+    if (!globalThis.FaceMesh) {
+      const url = `${baseUrl}${DEPENDENCIES.faceMesh.script}`;
+      const code = await fetchWithProgress(url, {
+        dependency: 'faceMesh',
+        timeoutMs: opts.timeoutMs,
+        onProgress: ({ loaded, total }) => emit({
+          dependency: 'faceMesh', stage: 'download', source: url, loaded, total,
+          fraction: total ? loaded / total : null
+        })
+      });
+      runScript(code, url);
+      if (!globalThis.FaceMesh) {
+        throw new DependencyInitError('face_mesh.js ran but did not define FaceMesh', { dependency: 'faceMesh', source: url });
+      }
+    }
+
+    emit({ dependency: 'faceMesh', stage: 'ready', source: baseUrl, fraction: 1 });
+    return baseUrl;
+  }));
+}
+
+// Creates FaceMesh and waits for its wasm + model files, so failures surface here
+// instead of on the first video frame
+export async function createFaceMesh({ baseUrl, options, onProgress, initTimeoutMs = DEFAULT_LOADER_OPTIONS.initTimeoutMs }) {
+  const faceMesh = new globalThis.FaceMesh({
+    locateFile: (file) => `${baseUrl}${file}`
+  });
+  faceMesh.setOptions(options);
+
+  onProgress?.({ dependency: 'faceMesh', stage: 'init', source: baseUrl, fraction: null });
+  try {
+    await withTimeout(
+      faceMesh.initialize(),
+      initTimeoutMs,
+      () => new DependencyTimeoutError(`FaceMesh models did not load within ${initTimeoutMs / 1000}s`, { dependency: 'faceMesh', source: baseUrl })
+    );
+  } catch (err) {
+    try {
+      faceMesh.close();
+    } catch (closeErr) {
+      console.warn('Error closing FaceMesh:', closeErr);
+    }
+    if (err instanceof DependencyError) throw err;
+    throw new DependencyInitError(`FaceMesh failed to initialize: ${err.message}`, { dependency: 'faceMesh', source: baseUrl, cause: err });
+  }
+
+  return faceMesh;
+}
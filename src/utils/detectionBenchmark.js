@@ -0,0 +1,122 @@
+// utils/detectionBenchmark.js
+// Replays a ground-truth dataset (see utils/groundTruth.js) through each pupil
+// detector and the combined pick, scoring them against the drawn ellipses.
+// Takes `cv` explicitly and touches no DOM, so it runs in the browser or under
+// Node with the OpenCV wasm build (scripts/benchmark-detection.js).
+// Explicit extensions: Node resolves these imports without a bundler.
+import { PUPIL_METHODS, detectPupilInROI } from './pupilDetectors.js';
+import { eyeImageData, labelledEyes } from './groundTruth.js';
+
+// The production pick across every method, scored alongside the methods themselves
+export const COMBINED_METHOD = { key: 'best', label: 'Best of all (production)', detect: detectPupilInROI };
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Whether a point lies inside the drawn pupil ellipse
+const insideEllipse = (truth, x, y) => {
+  const rad = (truth.angle * Math.PI) / 180;
+  const dx = x - truth.cx;
+  const dy = y - truth.cy;
+  const u = dx * Math.cos(rad) + dy * Math.sin(rad);
+  const v = -dx * Math.sin(rad) + dy * Math.cos(rad);
+  return (u / (truth.majorAxis / 2)) ** 2 + (v / (truth.minorAxis / 2)) ** 2 <= 1;
+};
+
+// Grayscale Mat of one labelled eye's detector ROI; the caller deletes it
+const roiToGray = (cv, label) => {
+  const src = cv.matFromImageData(eyeImageData(label, label.roi));
+  const gray = new cv.Mat();
+  try {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  } finally {
+    src.delete();
+  }
+  return gray;
+};
+
+const summarize = (method, runs) => {
+  const withPupil = runs.filter(run => run.truth);
+  const withoutPupil = runs.filter(run => !run.truth);
+  const found = withPupil.filter(run => run.result);
+  const diameterErrors = found.map(run => run.result.diameter - run.truth.majorAxis);
+  const centerErrors = found.map(run => Math.hypot(run.cx - run.truth.cx, run.cy - run.truth.cy));
+
+  return {
+    key: method.key,
+    label: method.label,
+    samples: runs.length,
+    detected: found.length,
+    // Anything returned on an eye with a visible pupil
+    detectionRate: withPupil.length ? found.length / withPupil.length : null,
+    // ...and of those, centres that landed inside the drawn pupil
+    hitRate: withPupil.length
+      ? found.filter(run => insideEllipse(run.truth, run.cx, run.cy)).length / withPupil.length
+      : null,
+    // Detections on closed eyes or frames labelled as having no visible pupil
+    falsePositiveRate: withoutPupil.length
+      ? withoutPupil.filter(run => run.result).length / withoutPupil.length
+      : null,
+    diameterError: {
+      meanAbsPx: mean(diameterErrors.map(Math.abs)),
+      medianAbsPx: median(diameterErrors.map(Math.abs)),
+      biasPx: mean(diameterErrors),
+      meanAbsPercent: mean(found.map((run, i) => Math.abs(diameterErrors[i]) / run.truth.majorAxis * 100))
+    },
+    centerError: {
+      meanPx: mean(centerErrors),
+      medianPx: median(centerErrors)
+    },
+    meanMs: mean(runs.map(run => run.ms))
+  };
+};
+
+// { samples, withPupil, withoutPupil, methods: [summary per method, then the combined pick] }.
+// Sizes are compared with the drawn major axis, which is what the app reports as diameter.
+export function runDetectionBenchmark(cv, dataset, { methods = PUPIL_METHODS, includeCombined = true } = {}) {
+  const candidates = includeCombined ? [...methods, COMBINED_METHOD] : methods;
+  const runs = Object.fromEntries(candidates.map(method => [method.key, []]));
+  const labels = labelledEyes(dataset).filter(label => label.truth !== undefined && label.pixels);
+
+  labels.forEach(label => {
+    let gray;
+    try {
+      gray = roiToGray(cv, label);
+      candidates.forEach(method => {
+        const start = performance.now();
+        let result = null;
+        try {
+          result = method.detect(cv, gray, gray.cols, gray.rows);
+        } catch (err) {
+          console.warn(`[detectionBenchmark] ${method.key} failed:`, err);
+        }
+        runs[method.key].push({
+          truth: label.truth,
+          result,
+          // Detector output is in ROI pixels; the truth is in crop pixels
+          cx: result ? result.cx + label.roi.x : null,
+          cy: result ? result.cy + label.roi.y : null,
+          ms: performance.now() - start
+        });
+      });
+    } catch (err) {
+      console.error(`[detectionBenchmark] Could not read ${label.eye} eye at ${label.mediaTime}s:`, err);
+    } finally {
+      if (gray) gray.delete();
+    }
+  });
+
+  const scored = Object.values(runs)[0] || [];
+  return {
+    samples: scored.length,
+    withPupil: scored.filter(run => run.truth).length,
+    withoutPupil: scored.filter(run => !run.truth).length,
+    methods: candidates.map(method => summarize(method, runs[method.key]))
+  };
+}
@@ -0,0 +1,42 @@
+// @vitest-environment node
+// utils/detectionBenchmark.test.js
+import { beforeAll, describe, expect, it } from 'vitest';
+import { loadOpenCVNode } from '../../scripts/benchmark-detection.js';
+import { createSyntheticDataset } from './syntheticEye.js';
+import { runDetectionBenchmark } from './detectionBenchmark.js';
+
+// Floors over the default synthetic conditions, a little under what each method
+// scores today. Any method may false-positive on at most 5% of closed eyes.
+const FLOORS = {
+  adaptive: { detectionRate: 0.75, diameterPx: 3, centerPx: 3 },
+  otsu: { detectionRate: 0.95, diameterPx: 4.5, centerPx: 3 },
+  minval: { detectionRate: 0.95, diameterPx: 7, centerPx: 4 },
+  contrast: { detectionRate: 0.8, diameterPx: 4, centerPx: 3 },
+  ellipse: { detectionRate: 0.95, diameterPx: 1.5, centerPx: 1.5 },
+  best: { detectionRate: 0.95, diameterPx: 1.5, centerPx: 1.5 }
+};
+const MAX_FALSE_POSITIVE_RATE = 0.05;
+
+describe('detection benchmark on synthetic eyes', () => {
+  let report;
+
+  beforeAll(async () => {
+    const { cv } = await loadOpenCVNode();
+    report = runDetectionBenchmark(cv, createSyntheticDataset());
+  });
+
+  it('scores every method and the combined pick', () => {
+    expect(report.methods.map(method => method.key)).toEqual(Object.keys(FLOORS));
+    expect(report.withPupil).toBeGreaterThan(0);
+    expect(report.withoutPupil).toBeGreaterThan(0);
+  });
+
+  it.each(Object.entries(FLOORS))('%s stays above its floor', (key, floor) => {
+    const method = report.methods.find(m => m.key === key);
+
+    expect(method.detectionRate).toBeGreaterThanOrEqual(floor.detectionRate);
+    expect(method.falsePositiveRate).toBeLessThanOrEqual(MAX_FALSE_POSITIVE_RATE);
+    expect(method.diameterError.meanAbsPx).toBeLessThanOrEqual(floor.diameterPx);
+    expect(method.centerError.meanPx).toBeLessThanOrEqual(floor.centerPx);
+  });
+});
@@ -0,0 +1,243 @@
+// utils/eyeMovements.js
+// Fixation / saccade / smooth-pursuit classification of a recorded gaze trace
+// with I-VDT (Komogortsev & Karpov 2013): a velocity threshold picks out
+// saccades, then a dispersion window splits what's left into fixations and pursuit.
+import { combinedGaze } from './gaze';
+
+export const MOVEMENT_EVENT_TYPES = ['fixation', 'saccade', 'pursuit'];
+
+export const DEFAULT_MOVEMENT_OPTIONS = {
+  saccadeVelocity: 70,       // deg/s; webcam landmark jitter sits well below this
+  minSaccadeAmplitude: 1,    // deg
+  dispersionThreshold: 2,    // deg, (max - min) horizontal + vertical
+  pursuitVelocity: 5,        // deg/s of steady drift that makes a compact window pursuit
+  minFixationMs: 100,
+  minPursuitMs: 100,
+  maxGapMs: 150,             // longer holes (blinks, lost face) split the trace
+  minLatencyMs: 80,          // anticipatory saccades aren't responses to the target
+  maxLatencyMs: 800
+};
+
+const dispersion = (points) => {
+  const hs = points.map(p => p.horizontal);
+  const vs = points.map(p => p.vertical);
+  return (Math.max(...hs) - Math.min(...hs)) + (Math.max(...vs) - Math.min(...vs));
+};
+
+const distance = (a, b) => Math.hypot(b.horizontal - a.horizontal, b.vertical - a.vertical);
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Net drift across a window: centroid of its first third to centroid of its last third
+const driftVelocity = (points) => {
+  const third = Math.max(1, Math.floor(points.length / 3));
+  const centroid = (part) => ({
+    t: mean(part.map(p => p.t)),
+    horizontal: mean(part.map(p => p.horizontal)),
+    vertical: mean(part.map(p => p.vertical))
+  });
+  const head = centroid(points.slice(0, third));
+  const tail = centroid(points.slice(-third));
+  const dt = (tail.t - head.t) / 1000;
+  return dt > 0 ? distance(head, tail) / dt : 0;
+};
+
+// Continuous runs of gaze samples with no gap longer than maxGapMs
+const splitSegments = (history, maxGapMs) => {
+  const segments = [];
+  let current = [];
+
+  history.forEach(entry => {
+    const gaze = combinedGaze(entry);
+    if (!gaze) return;
+
+    const point = { t: entry.timestamp, ...gaze };
+    const last = current[current.length - 1];
+    if (last && point.t - last.t > maxGapMs) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(point);
+  });
+  if (current.length) segments.push(current);
+
+  return segments;
+};
+
+// Central-difference angular speed in deg/s, one-sided at the ends
+const velocities = (points) => points.map((_, i) => {
+  const a = points[Math.max(0, i - 1)];
+  const b = points[Math.min(points.length - 1, i + 1)];
+  const dt = (b.t - a.t) / 1000;
+  return dt > 0 ? distance(a, b) / dt : 0;
+});
+
+// Group consecutive indices with the same label into [start, end] runs
+const runsOf = (labels, label) => {
+  const runs = [];
+  let start = null;
+  labels.forEach((l, i) => {
+    if (l === label && start === null) start = i;
+    if (l !== label && start !== null) {
+      runs.push([start, i - 1]);
+      start = null;
+    }
+  });
+  if (start !== null) runs.push([start, labels.length - 1]);
+  return runs;
+};
+
+const classifySegment = (points, opts) => {
+  const speed = velocities(points);
+  const labels = speed.map(s => (s > opts.saccadeVelocity ? 'saccade' : null));
+  const events = [];
+
+  runsOf(labels, 'saccade').forEach(([start, end]) => {
+    // At webcam rates a saccade spans a frame or two, so measure it from the
+    // last sample before to the first sample after the fast run
+    const from = points[Math.max(0, start - 1)];
+    const to = points[Math.min(points.length - 1, end + 1)];
+    const amplitude = distance(from, to);
+
+    if (amplitude < opts.minSaccadeAmplitude) {
+      for (let i = start; i <= end; i++) labels[i] = null;
+      return;
+    }
+
+    events.push({
+      type: 'saccade',
+      timestamp: points[start].t,
+      offset: points[end].t,
+      duration: points[end].t - points[start].t,
+      amplitude,
+      peakVelocity: Math.max(...speed.slice(start, end + 1)),
+      // Direction of travel in degrees, 0 = image right, 90 = up
+      direction: (Math.atan2(to.vertical - from.vertical, to.horizontal - from.horizontal) * 180) / Math.PI,
+      from: { horizontal: from.horizontal, vertical: from.vertical },
+      to: { horizontal: to.horizontal, vertical: to.vertical }
+    });
+  });
+
+  // I-DT over the non-saccade stretches: grow a window while it stays compact
+  let i = 0;
+  while (i < points.length) {
+    if (labels[i] !== null) {
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end + 1 < points.length && labels[end + 1] === null && points[end].t - points[i].t < opts.minFixationMs) end++;
+
+    const windowFits = points[end].t - points[i].t >= opts.minFixationMs &&
+      dispersion(points.slice(i, end + 1)) <= opts.dispersionThreshold;
+
+    if (!windowFits) {
+      labels[i] = 'pursuit';
+      i++;
+      continue;
+    }
+
+    while (end + 1 < points.length && labels[end + 1] === null &&
+      dispersion(points.slice(i, end + 2)) <= opts.dispersionThreshold) end++;
+
+    const fixation = points.slice(i, end + 1);
+
+    // Slow pursuit stays compact over short windows; its steady drift gives it away
+    if (driftVelocity(fixation) > opts.pursuitVelocity) {
+      for (let k = i; k <= end; k++) labels[k] = 'pursuit';
+      i = end + 1;
+      continue;
+    }
+
+    events.push({
+      type: 'fixation',
+      timestamp: points[i].t,
+      offset: points[end].t,
+      duration: points[end].t - points[i].t,
+      position: {
+        horizontal: mean(fixation.map(p => p.horizontal)),
+        vertical: mean(fixation.map(p => p.vertical))
+      }
+    });
+    for (let k = i; k <= end; k++) labels[k] = 'fixation';
+    i = end + 1;
+  }
+
+  // Slow drift between fixations; short scraps are left unclassified
+  runsOf(labels, 'pursuit').forEach(([start, end]) => {
+    const duration = points[end].t - points[start].t;
+    if (duration < opts.minPursuitMs) return;
+
+    events.push({
+      type: 'pursuit',
+      timestamp: points[start].t,
+      offset: points[end].t,
+      duration,
+      meanVelocity: mean(speed.slice(start, end + 1))
+    });
+  });
+
+  return events;
+};
+
+// Saccade latency: first saccade starting in the response window after each target step
+const attachLatencies = (events, stimuli, opts) => {
+  const saccades = events.filter(e => e.type === 'saccade');
+
+  stimuli
+    .filter(s => s.type === 'target' && s.timestamp != null)
+    .forEach(target => {
+      const response = saccades.find(s =>
+        s.latency === undefined &&
+        s.timestamp - target.timestamp >= opts.minLatencyMs &&
+        s.timestamp - target.timestamp <= opts.maxLatencyMs
+      );
+      if (response) {
+        response.latency = response.timestamp - target.timestamp;
+        response.trial = target.trial;
+      }
+    });
+};
+
+// Movement events for a history with gaze angles, in time order
+export const detectEyeMovements = (history, stimuli = [], options = {}) => {
+  const opts = { ...DEFAULT_MOVEMENT_OPTIONS, ...options };
+  if (!history || history.length < 3) return [];
+
+  const events = splitSegments(history, opts.maxGapMs)
+    .filter(segment => segment.length >= 3)
+    .flatMap(segment => classifySegment(segment, opts))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  attachLatencies(events, stimuli, opts);
+  return events;
+};
+
+export const summarizeEyeMovements = (events) => {
+  const ofType = (type) => events.filter(e => e.type === type);
+  const fixations = ofType('fixation');
+  const saccades = ofType('saccade');
+  const pursuits = ofType('pursuit');
+  const latencies = saccades.map(s => s.latency).filter(l => l != null);
+
+  return {
+    fixations: {
+      count: fixations.length,
+      meanDurationMs: mean(fixations.map(f => f.duration))
+    },
+    saccades: {
+      count: saccades.length,
+      meanAmplitude: mean(saccades.map(s => s.amplitude)),
+      meanPeakVelocity: mean(saccades.map(s => s.peakVelocity)),
+      maxPeakVelocity: saccades.length ? Math.max(...saccades.map(s => s.peakVelocity)) : null,
+      meanLatencyMs: mean(latencies),
+      responses: latencies.length
+    },
+    pursuit: {
+      count: pursuits.length,
+      totalMs: pursuits.reduce((sum, p) => sum + p.duration, 0),
+      meanVelocity: mean(pursuits.map(p => p.meanVelocity))
+    }
+  };
+};
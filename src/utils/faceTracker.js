@@ -0,0 +1,93 @@
+// utils/faceTracker.js
+// Stable IDs for the faces FaceMesh returns. Its face order can change from
+// frame to frame, so each face is matched to the nearest track from the last frame.
+
+export const DEFAULT_FACE_TRACKER_OPTIONS = {
+  maxJump: 0.5,          // max centre movement per frame, in face widths
+  maxMissedFrames: 15    // keep a lost face's ID this long before retiring it
+};
+
+// Normalized bounding box of a face's landmarks
+export const faceBox = (landmarks) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  landmarks.forEach(({ x, y }) => {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  });
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+// Tracks faces across frames; update() returns [{ id, landmarks, box }] sorted by id
+export const createFaceTracker = (options = {}) => {
+  const opts = { ...DEFAULT_FACE_TRACKER_OPTIONS, ...options };
+  let tracks = [];
+  let nextId = 1;
+
+  return {
+    update(multiFaceLandmarks = []) {
+      const detections = multiFaceLandmarks.map(landmarks => {
+        const box = faceBox(landmarks);
+        return { landmarks, box, center: boxCenter(box) };
+      });
+
+      // Greedy nearest-first matching over every track/detection pair
+      const pairs = [];
+      tracks.forEach((track, t) => {
+        detections.forEach((detection, d) => {
+          const distance = Math.hypot(detection.center.x - track.center.x, detection.center.y - track.center.y);
+          const scale = Math.max(track.box.width, detection.box.width, 1e-6);
+          if (distance / scale <= opts.maxJump) pairs.push({ t, d, distance });
+        });
+      });
+      pairs.sort((a, b) => a.distance - b.distance);
+
+      const matchedTracks = new Set();
+      const assigned = new Map();
+      pairs.forEach(({ t, d }) => {
+        if (matchedTracks.has(t) || assigned.has(d)) return;
+        matchedTracks.add(t);
+        assigned.set(d, tracks[t].id);
+      });
+
+      const nextTracks = [];
+      tracks.forEach((track, t) => {
+        if (matchedTracks.has(t)) return;
+        if (track.missed + 1 <= opts.maxMissedFrames) nextTracks.push({ ...track, missed: track.missed + 1 });
+      });
+
+      const faces = detections.map((detection, d) => {
+        const id = assigned.has(d) ? assigned.get(d) : nextId++;
+        nextTracks.push({ id, box: detection.box, center: detection.center, missed: 0 });
+        return { id, landmarks: detection.landmarks, box: detection.box };
+      });
+
+      tracks = nextTracks;
+      return faces.sort((a, b) => a.id - b.id);
+    },
+
+    reset() {
+      tracks = [];
+      nextId = 1;
+    }
+  };
+};
+
+// Face under a normalized frame point, smallest box first when faces overlap
+export const faceAtPoint = (faces, x, y) => faces
+  .filter(({ box }) => x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height)
+  .sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height)[0] || null;
+
+// The face to measure: the locked one if set (null while it's out of frame),
+// otherwise keep following the current one, falling back to the largest face
+export const selectSubjectFace = (faces, lockedId, currentId) => {
+  if (lockedId != null) return faces.find(face => face.id === lockedId) || null;
+  const current = faces.find(face => face.id === currentId);
+  if (current) return current;
+  return faces.reduce((largest, face) => (
+    !largest || face.box.width * face.box.height > largest.box.width * largest.box.height ? face : largest
+  ), null);
+};
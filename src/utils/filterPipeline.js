@@ -0,0 +1,80 @@
+// utils/filterPipeline.js
+// Ordered, configurable chain of signal filters. A pipeline config is a plain
+// array of { type, enabled, params } so it can be edited in the UI and stored
+// in session metadata as-is.
+import KalmanFilter from './KalmanFilter.js';
+import { OneEuroFilter, MedianFilter, HampelFilter, SavitzkyGolayFilter } from './signalFilters.js';
+
+// Param units are pixels and seconds; the mm channel is filtered in pixel-equivalent units
+export const FILTER_STAGES = {
+  hampel: {
+    label: 'Hampel outlier rejection',
+    params: [
+      { key: 'window', label: 'Window', min: 3, max: 31, step: 2, default: 7 },
+      { key: 'threshold', label: 'Threshold (σ)', min: 0.5, step: 0.5, default: 3 }
+    ],
+    create: (p) => new HampelFilter(p)
+  },
+  median: {
+    label: 'Median',
+    params: [
+      { key: 'window', label: 'Window', min: 1, max: 31, step: 2, default: 5 }
+    ],
+    create: (p) => new MedianFilter(p)
+  },
+  kalman: {
+    label: 'Kalman (constant velocity)',
+    params: [
+      { key: 'processNoise', label: 'Process noise', min: 0, step: 10, default: 50 },
+      { key: 'measurementNoise', label: 'Measurement noise', min: 0.01, step: 0.1, default: 1 }
+    ],
+    create: (p) => new KalmanFilter(p.processNoise, p.measurementNoise)
+  },
+  oneEuro: {
+    label: 'One-Euro',
+    params: [
+      { key: 'minCutoff', label: 'Min cutoff (Hz)', min: 0.01, step: 0.1, default: 1 },
+      { key: 'beta', label: 'Beta', min: 0, step: 0.01, default: 0.05 },
+      { key: 'dCutoff', label: 'Derivative cutoff (Hz)', min: 0.01, step: 0.1, default: 1 }
+    ],
+    create: (p) => new OneEuroFilter(p)
+  },
+  savitzkyGolay: {
+    label: 'Savitzky–Golay',
+    params: [
+      { key: 'window', label: 'Window', min: 3, max: 31, step: 2, default: 7 },
+      { key: 'order', label: 'Order', min: 1, max: 4, step: 1, default: 2 }
+    ],
+    create: (p) => new SavitzkyGolayFilter(p)
+  }
+};
+
+const defaultParams = (type) => Object.fromEntries(
+  FILTER_STAGES[type].params.map(param => [param.key, param.default])
+);
+
+// Outlier rejection first so spikes never reach the smoothers; Kalman alone by default
+export const DEFAULT_FILTER_PIPELINE = [
+  { type: 'hampel', enabled: false, params: defaultParams('hampel') },
+  { type: 'median', enabled: false, params: defaultParams('median') },
+  { type: 'kalman', enabled: true, params: defaultParams('kalman') },
+  { type: 'oneEuro', enabled: false, params: defaultParams('oneEuro') },
+  { type: 'savitzkyGolay', enabled: false, params: defaultParams('savitzkyGolay') }
+];
+
+export const createFilterPipeline = (config = DEFAULT_FILTER_PIPELINE) => {
+  const stages = config
+    .filter(stage => stage.enabled && FILTER_STAGES[stage.type])
+    .map(stage => FILTER_STAGES[stage.type].create({ ...defaultParams(stage.type), ...stage.params }));
+
+  return {
+    update: (value, timestamp) => stages.reduce((v, stage) => stage.update(v, timestamp), value),
+    reset: () => stages.forEach(stage => stage.reset())
+  };
+};
+
+// Offline pass over recorded samples ({ t, v }), e.g. to re-filter a raw trace
+export const applyFilterPipeline = (samples, config = DEFAULT_FILTER_PIPELINE) => {
+  const pipeline = createFilterPipeline(config);
+  return samples.map(({ t, v }) => ({ t, v: pipeline.update(v, t) }));
+};
@@ -0,0 +1,56 @@
+// utils/frameTiming.js
+// How evenly a session was sampled: effective rate, inter-sample jitter and the
+// frames the camera delivered that never became a sample.
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+export const analyzeFrameTiming = (history) => {
+  if (!history || history.length < 3) return null;
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const durationMs = last.timestamp - first.timestamp;
+  if (durationMs <= 0) return null;
+
+  const intervals = [];
+  for (let i = 1; i < history.length; i++) {
+    intervals.push(history[i].timestamp - history[i - 1].timestamp);
+  }
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const meanInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+  const variance = intervals.reduce((sum, v) => sum + (v - meanInterval) ** 2, 0) / intervals.length;
+  const medianInterval = percentile(sorted, 0.5);
+
+  // The presented-frame counter says exactly what was skipped; without it
+  // (frame-stepped files, no requestVideoFrameCallback) infer drops from long gaps
+  const counted = history.every(entry => entry.presentedFrames != null);
+  let droppedFrames = 0;
+  let sourceFrames = null;
+  if (counted) {
+    for (let i = 1; i < history.length; i++) {
+      const step = history[i].presentedFrames - history[i - 1].presentedFrames;
+      if (step > 1) droppedFrames += step - 1;
+    }
+    sourceFrames = last.presentedFrames - first.presentedFrames + 1;
+  } else if (medianInterval > 0) {
+    intervals.forEach(interval => {
+      droppedFrames += Math.max(0, Math.round(interval / medianInterval) - 1);
+    });
+  }
+
+  return {
+    samples: history.length,
+    durationMs,
+    sampleRate: ((history.length - 1) / durationMs) * 1000,
+    // Rate the source delivered frames at, when the counter is available
+    sourceRate: sourceFrames !== null ? ((sourceFrames - 1) / durationMs) * 1000 : null,
+    meanIntervalMs: meanInterval,
+    medianIntervalMs: medianInterval,
+    jitterMs: Math.sqrt(variance),
+    p95IntervalMs: percentile(sorted, 0.95),
+    maxIntervalMs: sorted[sorted.length - 1],
+    droppedFrames,
+    droppedFraction: droppedFrames / (intervals.length + droppedFrames),
+    droppedFromCounter: counted
+  };
+};
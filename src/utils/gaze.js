@@ -0,0 +1,82 @@
+// utils/gaze.js
+// Per-eye gaze angles from the pupil centre relative to the eye corners.
+// Measuring in the eye's own corner frame cancels head translation, roll and
+// distance. Turning the head still swings the pupil across the corners, so the
+// head pose's yaw and pitch are taken off when given; what's left is the eye's
+// rotation in its socket.
+import { getMmPerPixel } from './calibration.js';
+import { DEFAULT_BLINK_OPTIONS, eyeAspectRatio } from './blinks.js';
+import { EYE_LANDMARKS, getEyeROI } from './pupilDetectors.js';
+
+// [image-left corner, image-right corner]; sides match EYE_LANDMARKS
+export const EYE_CORNERS = {
+  left: [33, 133],
+  right: [362, 263]
+};
+
+// Pupil plane to the eye's centre of rotation, in mm (adult average)
+export const EYE_ROTATION_RADIUS_MM = 11;
+
+// Degrees: horizontal positive toward image right, vertical positive up.
+// Zero is the corner midline, so a constant per-subject offset remains; it
+// doesn't affect velocities or movement classification. Without headPose the
+// angles are the eye's direction relative to the camera, head rotation included.
+// The rotation centre is taken to lie on the corner line.
+export const estimateGaze = (landmarks, pupilCenter, eye, width, height, mmPerPx, headPose = null) => {
+  const corners = EYE_CORNERS[eye]?.map(i => landmarks[i]);
+  if (!corners || corners.some(p => !p) || !pupilCenter || !(mmPerPx > 0)) return null;
+
+  const [a, b] = corners.map(p => ({ x: p.x * width, y: p.y * height }));
+  const span = Math.hypot(b.x - a.x, b.y - a.y);
+  if (span === 0) return null;
+
+  // Unit axes along the corner line (u) and perpendicular to it, pointing down (v)
+  const u = { x: (b.x - a.x) / span, y: (b.y - a.y) / span };
+  const v = { x: -u.y, y: u.x };
+  const dx = pupilCenter.x - (a.x + b.x) / 2;
+  const dy = pupilCenter.y - (a.y + b.y) / 2;
+
+  // The pupil sits EYE_ROTATION_RADIUS_MM out along the eye's direction in space,
+  // which is its rotation in the socket plus the head's
+  const toDegrees = (px) => {
+    const ratio = Math.max(-1, Math.min(1, (px * mmPerPx) / EYE_ROTATION_RADIUS_MM));
+    return (Math.asin(ratio) * 180) / Math.PI;
+  };
+
+  return {
+    horizontal: toDegrees(dx * u.x + dy * u.y) - (headPose?.yaw ?? 0),
+    vertical: -toDegrees(dx * v.x + dy * v.y) - (headPose?.pitch ?? 0)
+  };
+};
+
+// Binocular average of whichever eyes have a gaze estimate in a history entry
+export const combinedGaze = (entry) => {
+  const eyes = ['left', 'right'].filter(eye => entry[`${eye}GazeX`] != null && entry[`${eye}GazeY`] != null);
+  if (eyes.length === 0) return null;
+
+  return {
+    horizontal: eyes.reduce((sum, eye) => sum + entry[`${eye}GazeX`], 0) / eyes.length,
+    vertical: eyes.reduce((sum, eye) => sum + entry[`${eye}GazeY`], 0) / eyes.length
+  };
+};
+
+// Landmark-only positions for every FaceMesh frame (nystagmus mode): iris
+// centre instead of the OpenCV pupil, no filtering, lid-closed eyes dropped
+export const trackEyePositions = (landmarks, width, height, irisDiameterMm, eyeType = 'both', headPose = null) => {
+  const eyes = eyeType === 'both' ? ['left', 'right'] : [eyeType];
+  const gaze = {};
+
+  eyes.forEach(eye => {
+    const ear = eyeAspectRatio(landmarks, eye, width, height);
+    if (ear === null || ear < DEFAULT_BLINK_OPTIONS.fallbackBaseline * DEFAULT_BLINK_OPTIONS.closeRatio) return;
+
+    const geometry = getEyeROI(landmarks, EYE_LANDMARKS[eye], width, height);
+    if (!geometry) return;
+
+    const mmPerPx = getMmPerPixel(geometry.irisDiameter, irisDiameterMm);
+    const angles = estimateGaze(landmarks, geometry.irisCenter, eye, width, height, mmPerPx, headPose);
+    if (angles) gaze[eye] = angles;
+  });
+
+  return Object.keys(gaze).length > 0 ? { gaze } : null;
+};
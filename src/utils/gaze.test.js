@@ -0,0 +1,44 @@
+// utils/gaze.test.js
+import { describe, expect, it } from 'vitest';
+import { EYE_CORNERS, EYE_ROTATION_RADIUS_MM, estimateGaze } from './gaze';
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const MM_PER_PX = 0.1;
+
+// Left eye corners 30 px apart around (320, 240), pupil offset by the given mm
+const eyeAt = (offsetXmm, offsetYmm) => {
+  const landmarks = [];
+  landmarks[EYE_CORNERS.left[0]] = { x: 305 / WIDTH, y: 240 / HEIGHT };
+  landmarks[EYE_CORNERS.left[1]] = { x: 335 / WIDTH, y: 240 / HEIGHT };
+  return { landmarks, pupil: { x: 320 + offsetXmm / MM_PER_PX, y: 240 - offsetYmm / MM_PER_PX } };
+};
+
+const pupilOffset = (degrees) => EYE_ROTATION_RADIUS_MM * Math.sin((degrees * Math.PI) / 180);
+
+describe('estimateGaze', () => {
+  it('reads the eye rotation from the pupil offset', () => {
+    const { landmarks, pupil } = eyeAt(pupilOffset(10), pupilOffset(-5));
+    const gaze = estimateGaze(landmarks, pupil, 'left', WIDTH, HEIGHT, MM_PER_PX);
+
+    expect(gaze.horizontal).toBeCloseTo(10, 6);
+    expect(gaze.vertical).toBeCloseTo(-5, 6);
+  });
+
+  it('takes head yaw and pitch off', () => {
+    // Head turned 15° right and 8° up, eye straight ahead in its socket
+    const { landmarks, pupil } = eyeAt(pupilOffset(15), pupilOffset(8));
+    const headPose = { yaw: 15, pitch: 8, roll: 0 };
+
+    expect(estimateGaze(landmarks, pupil, 'left', WIDTH, HEIGHT, MM_PER_PX).horizontal).toBeCloseTo(15, 6);
+    const gaze = estimateGaze(landmarks, pupil, 'left', WIDTH, HEIGHT, MM_PER_PX, headPose);
+    expect(gaze.horizontal).toBeCloseTo(0, 6);
+    expect(gaze.vertical).toBeCloseTo(0, 6);
+  });
+
+  it('needs both corners and a scale', () => {
+    const { landmarks, pupil } = eyeAt(0, 0);
+    expect(estimateGaze([], pupil, 'left', WIDTH, HEIGHT, MM_PER_PX)).toBeNull();
+    expect(estimateGaze(landmarks, pupil, 'left', WIDTH, HEIGHT, null)).toBeNull();
+  });
+});
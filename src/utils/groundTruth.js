@@ -0,0 +1,145 @@
+// utils/groundTruth.js
+// Hand-labelled pupil dataset: per video frame and eye, the pixels around the
+// detector's ROI and the pupil ellipse an annotator drew on them. Pure data
+// helpers only, so the benchmark can read datasets under Node as well.
+export const GROUND_TRUTH_FORMAT = 'crazyeyes-groundtruth';
+export const GROUND_TRUTH_FORMAT_VERSION = 1;
+
+// Context kept around the ROI, as a multiple of the ROI size on each side
+export const CROP_PADDING = 1;
+
+// Frames closer together than this (s) are the same frame
+const SAME_FRAME_S = 1e-3;
+
+// A dataset frame is { mediaTime, eyes: { left?, right? } } where each eye is
+// { crop: { x, y, width, height } in video pixels, roi: { x, y, width, height } inside
+// the crop, pixels: base64 RGBA of the crop, truth }. truth is
+// { cx, cy, majorAxis, minorAxis, angle } in crop pixels (angle in degrees of the
+// major axis, as the ellipse detector reports it), or null when no pupil is visible.
+// Pixel centres sit on whole coordinates, as OpenCV's moments and fits report them.
+// Frames may also carry `tags` ({ name: value }) describing their conditions.
+export function createGroundTruthDataset(video = {}) {
+  return {
+    format: GROUND_TRUTH_FORMAT,
+    version: GROUND_TRUTH_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    video: {
+      name: video.name ?? null,
+      width: video.width ?? null,
+      height: video.height ?? null
+    },
+    frames: []
+  };
+}
+
+// Padded crop around a detector ROI, clamped to the frame; roi comes back relative to it
+export const cropAroundROI = (roi, imageWidth, imageHeight, padding = CROP_PADDING) => {
+  const padX = Math.round(roi.width * padding);
+  const padY = Math.round(roi.height * padding);
+  const x = Math.max(0, roi.x - padX);
+  const y = Math.max(0, roi.y - padY);
+  const crop = {
+    x,
+    y,
+    width: Math.min(imageWidth, roi.x + roi.width + padX) - x,
+    height: Math.min(imageHeight, roi.y + roi.height + padY) - y
+  };
+  return { crop, roi: { x: roi.x - x, y: roi.y - y, width: roi.width, height: roi.height } };
+};
+
+export const encodePixels = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  let binary = '';
+  // Chunked so large crops don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const decodePixels = (base64) => {
+  const binary = atob(base64);
+  const data = new Uint8ClampedArray(binary.length);
+  for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i);
+  return data;
+};
+
+// ImageData-shaped RGBA of a region inside an eye's crop (cv.matFromImageData accepts it)
+export const eyeImageData = (eye, rect = { x: 0, y: 0, width: eye.crop.width, height: eye.crop.height }) => {
+  const source = decodePixels(eye.pixels);
+  const data = new Uint8ClampedArray(rect.width * rect.height * 4);
+  for (let row = 0; row < rect.height; row++) {
+    const start = ((rect.y + row) * eye.crop.width + rect.x) * 4;
+    data.set(source.subarray(start, start + rect.width * 4), row * rect.width * 4);
+  }
+  return { data, width: rect.width, height: rect.height };
+};
+
+export const findFrame = (dataset, mediaTime) =>
+  dataset.frames.find(frame => Math.abs(frame.mediaTime - mediaTime) < SAME_FRAME_S) || null;
+
+// Adds the frame or replaces the one at the same media time; frames stay in time order
+export const upsertFrame = (dataset, frame) => ({
+  ...dataset,
+  frames: [
+    ...dataset.frames.filter(existing => Math.abs(existing.mediaTime - frame.mediaTime) >= SAME_FRAME_S),
+    frame
+  ].sort((a, b) => a.mediaTime - b.mediaTime)
+});
+
+export const removeFrame = (dataset, mediaTime) => ({
+  ...dataset,
+  frames: dataset.frames.filter(frame => Math.abs(frame.mediaTime - mediaTime) >= SAME_FRAME_S)
+});
+
+// Every labelled eye as a flat list: [{ mediaTime, eye, crop, roi, pixels, truth }]
+export const labelledEyes = (dataset) => dataset.frames.flatMap(frame =>
+  Object.entries(frame.eyes || {}).map(([eye, label]) => ({ mediaTime: frame.mediaTime, eye, ...label }))
+);
+
+// One sub-dataset per value of a frame tag: [[value, dataset]], in first-seen order
+export const groupFramesByTag = (dataset, tag) => {
+  const groups = new Map();
+  dataset.frames.forEach(frame => {
+    const value = frame.tags?.[tag];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(frame);
+  });
+  return [...groups].map(([value, frames]) => [value, { ...dataset, frames }]);
+};
+
+export function groundTruthToJSON(dataset) {
+  return JSON.stringify({ ...dataset, exportedAt: new Date().toISOString() });
+}
+
+export function parseGroundTruthJSON(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a valid JSON file: ${err.message}`);
+  }
+
+  if (parsed?.format !== GROUND_TRUTH_FORMAT) {
+    throw new Error('File is not a pupil ground-truth dataset');
+  }
+  if (parsed.version > GROUND_TRUTH_FORMAT_VERSION) {
+    throw new Error(`Dataset format v${parsed.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(parsed.frames)) {
+    throw new Error('Dataset has no labelled frames');
+  }
+
+  return {
+    format: parsed.format,
+    version: parsed.version,
+    createdAt: parsed.createdAt ?? null,
+    video: parsed.video || {},
+    frames: parsed.frames
+  };
+}
+
+export function groundTruthFilename(dataset) {
+  const base = (dataset.video?.name || 'video').replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+  return `pupil-groundtruth-${base}.json`;
+}
@@ -0,0 +1,232 @@
+// utils/headPose.js
+// Head orientation and distance from FaceMesh landmarks: a perspective-n-point
+// fit of a generic 3D face to six landmarks (what cv.solvePnP's iterative
+// method does), solved here with Levenberg-Marquardt so it runs without OpenCV.
+// Camera frame: x right, y down, z away from the camera, in millimetres.
+
+export const DEFAULT_HEAD_POSE_OPTIONS = {
+  correctForeshortening: true,
+  // Motion limits: off-limit samples are flagged, and dropped when rejectMotion is on
+  rejectMotion: false,
+  maxAngleDeg: 25,               // head turned this far from the camera
+  maxRotationSpeedDegS: 40,
+  maxTranslationSpeedMmS: 150,
+  // Focal length as a fraction of image width; 0.8 ≈ a typical 65° webcam
+  focalLengthRatio: 0.8
+};
+
+// Generic adult face (mm), nose tip at the origin, front of the face toward -z.
+// Indices are FaceMesh landmarks; "left" is image left.
+const FACE_MODEL = [
+  { index: 1, point: [0, 0, 0] },            // nose tip
+  { index: 152, point: [0, 63.6, 12.5] },    // chin
+  { index: 33, point: [-43.3, -32.7, 26] },  // outer corner, image-left eye
+  { index: 263, point: [43.3, -32.7, 26] },  // outer corner, image-right eye
+  { index: 61, point: [-28.9, 28.9, 24.1] }, // mouth corner, image left
+  { index: 291, point: [28.9, 28.9, 24.1] }  // mouth corner, image right
+];
+const MODEL_EYE_SPAN = 86.6;
+
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// Rotation vector → 3×3 matrix (Rodrigues)
+const rodrigues = ([wx, wy, wz]) => {
+  const theta = Math.hypot(wx, wy, wz);
+  if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const [x, y, z] = [wx / theta, wy / theta, wz / theta];
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  const C = 1 - c;
+  return [
+    [c + x * x * C, x * y * C - z * s, x * z * C + y * s],
+    [y * x * C + z * s, c + y * y * C, y * z * C - x * s],
+    [z * x * C - y * s, z * y * C + x * s, c + z * z * C]
+  ];
+};
+
+const transform = (R, t, [x, y, z]) => [
+  R[0][0] * x + R[0][1] * y + R[0][2] * z + t[0],
+  R[1][0] * x + R[1][1] * y + R[1][2] * z + t[1],
+  R[2][0] * x + R[2][1] * y + R[2][2] * z + t[2]
+];
+
+// Reprojection residuals for pose params [wx, wy, wz, tx, ty, tz]
+const residuals = (params, observed, camera) => {
+  const R = rodrigues(params.slice(0, 3));
+  const t = params.slice(3);
+  const out = [];
+  FACE_MODEL.forEach(({ point }, i) => {
+    const [x, y, z] = transform(R, t, point);
+    if (z <= 0) {
+      out.push(1e6, 1e6);
+      return;
+    }
+    out.push(camera.f * (x / z) + camera.cx - observed[i][0], camera.f * (y / z) + camera.cy - observed[i][1]);
+  });
+  return out;
+};
+
+// Solve A·x = b in place (Gaussian elimination, partial pivoting)
+const solveLinear = (A, b) => {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+};
+
+const sumSquares = (values) => values.reduce((sum, v) => sum + v * v, 0);
+
+// Levenberg-Marquardt on the reprojection error, numeric Jacobian
+const refinePose = (initial, observed, camera, iterations = 30) => {
+  let params = [...initial];
+  let error = residuals(params, observed, camera);
+  let cost = sumSquares(error);
+  let lambda = 1e-3;
+  const steps = [1e-4, 1e-4, 1e-4, 1e-2, 1e-2, 1e-2];
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const J = steps.map((h, j) => {
+      const shifted = [...params];
+      shifted[j] += h;
+      return residuals(shifted, observed, camera).map((r, i) => (r - error[i]) / h);
+    });
+    const JtJ = J.map(a => J.map(b => a.reduce((sum, v, i) => sum + v * b[i], 0)));
+    const Jtr = J.map(a => a.reduce((sum, v, i) => sum + v * error[i], 0));
+
+    let improved = false;
+    for (let attempt = 0; attempt < 8 && !improved; attempt++) {
+      const A = JtJ.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) : v)));
+      const delta = solveLinear(A, Jtr.map(v => -v));
+      if (!delta) break;
+      const candidate = params.map((p, i) => p + delta[i]);
+      const candidateError = residuals(candidate, observed, camera);
+      const candidateCost = sumSquares(candidateError);
+      if (candidateCost < cost) {
+        const converged = cost - candidateCost < 1e-6 * cost;
+        params = candidate;
+        error = candidateError;
+        cost = candidateCost;
+        lambda = Math.max(lambda / 10, 1e-9);
+        improved = true;
+        if (converged) return { params, cost };
+      } else {
+        lambda *= 10;
+      }
+    }
+    if (!improved) break;
+  }
+  return { params, cost };
+};
+
+// { yaw, pitch, roll } in degrees, distanceMm and position (mm) of the nose tip, viewingAngle (degrees
+// between the face's forward direction and the camera), reprojectionErrorPx; or null.
+// Yaw is positive turning toward image right, pitch positive looking up, roll
+// positive clockwise in the image. Image right is the subject's left on an unmirrored camera.
+export const estimateHeadPose = (landmarks, width, height, options = {}) => {
+  const opts = { ...DEFAULT_HEAD_POSE_OPTIONS, ...options };
+  if (!landmarks || !width || !height) return null;
+  const points = FACE_MODEL.map(({ index }) => landmarks[index]);
+  if (points.some(p => !p)) return null;
+
+  const observed = points.map(p => [p.x * width, p.y * height]);
+  const camera = { f: width * opts.focalLengthRatio, cx: width / 2, cy: height / 2 };
+
+  // Start facing the camera, rolled like the eye line, at the distance the eye span implies
+  const [nose, , leftEye, rightEye] = observed;
+  const eyeSpan = Math.hypot(rightEye[0] - leftEye[0], rightEye[1] - leftEye[1]);
+  if (eyeSpan < 1) return null;
+  const z = (camera.f * MODEL_EYE_SPAN) / eyeSpan;
+  const roll0 = Math.atan2(rightEye[1] - leftEye[1], rightEye[0] - leftEye[0]);
+  const initial = [0, 0, roll0, ((nose[0] - camera.cx) * z) / camera.f, ((nose[1] - camera.cy) * z) / camera.f, z];
+
+  const { params, cost } = refinePose(initial, observed, camera);
+  const R = rodrigues(params.slice(0, 3));
+  const t = params.slice(3);
+  if (!(t[2] > 0) || params.some(v => !Number.isFinite(v))) return null;
+
+  // R = Ry(yaw) · Rx(pitch) · Rz(roll) in camera axes
+  const pitch = Math.asin(Math.max(-1, Math.min(1, -R[1][2])));
+  const yaw = Math.atan2(R[0][2], R[2][2]);
+  const roll = Math.atan2(R[1][0], R[1][1]);
+
+  // Face forward (model -z) against the direction back to the camera
+  const forward = [-R[0][2], -R[1][2], -R[2][2]];
+  const distance = Math.hypot(t[0], t[1], t[2]);
+  const cosView = -(forward[0] * t[0] + forward[1] * t[1] + forward[2] * t[2]) / distance;
+
+  return {
+    yaw: -toDegrees(yaw),
+    pitch: -toDegrees(pitch),
+    roll: toDegrees(roll),
+    distanceMm: distance,
+    position: { x: t[0], y: t[1], z: t[2] },
+    viewingAngle: toDegrees(Math.acos(Math.max(-1, Math.min(1, cosView)))),
+    reprojectionErrorPx: Math.sqrt(cost / FACE_MODEL.length)
+  };
+};
+
+// Area-based detectors report sqrt(major × minor); an eye viewed off-axis keeps
+// its major axis and loses cos(angle) of the minor one. The ellipse fit already
+// reports the major axis.
+export const correctForeshortening = (sizePx, method, viewingAngle) => {
+  if (sizePx == null || viewingAngle == null || method === 'ellipse') return sizePx;
+  const cos = Math.cos((Math.min(viewingAngle, 60) * Math.PI) / 180);
+  return sizePx / Math.sqrt(cos);
+};
+
+// Head speed between successive poses and which limits the latest one breaks.
+// Gaps over maxGapMs (or time going backwards) restart the speed estimate.
+export const createHeadMotionMonitor = (options = {}, maxGapMs = 500) => {
+  let opts = { ...DEFAULT_HEAD_POSE_OPTIONS, ...options };
+  let previous = null;
+
+  return {
+    update(pose, timestamp) {
+      if (!pose) {
+        previous = null;
+        return null;
+      }
+      let rotationSpeed = null;
+      let translationSpeed = null;
+      const dt = previous ? timestamp - previous.timestamp : 0;
+      if (previous && dt > 0 && dt <= maxGapMs) {
+        const turned = Math.hypot(pose.yaw - previous.pose.yaw, pose.pitch - previous.pose.pitch, pose.roll - previous.pose.roll);
+        rotationSpeed = turned / (dt / 1000);
+        const a = pose.position;
+        const b = previous.pose.position;
+        translationSpeed = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) / (dt / 1000);
+      }
+      previous = { pose, timestamp };
+
+      const exceeded = [];
+      if (pose.viewingAngle > opts.maxAngleDeg) exceeded.push('angle');
+      if (rotationSpeed !== null && rotationSpeed > opts.maxRotationSpeedDegS) exceeded.push('rotation');
+      if (translationSpeed !== null && translationSpeed > opts.maxTranslationSpeedMmS) exceeded.push('translation');
+      return { rotationSpeed, translationSpeed, exceeded };
+    },
+    configure(options) {
+      opts = { ...opts, ...options };
+    },
+    reset() {
+      previous = null;
+    }
+  };
+};
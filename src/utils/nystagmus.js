@@ -0,0 +1,208 @@
+// utils/nystagmus.js
+// Rhythmic eye-oscillation analysis of a recorded gaze trace: spectrum per
+// axis, dominant frequency, peak-to-peak amplitude, waveform type and
+// slow-phase velocity. Angles in degrees; directions in the subject's frame.
+import { combinedGaze } from './gaze';
+
+export const DEFAULT_NYSTAGMUS_OPTIONS = {
+  minFrequency: 0.5,       // Hz; slower drift isn't nystagmus
+  maxFrequency: 15,
+  minPeakFraction: 0.25,   // share of band power near the peak to call it rhythmic
+  minAmplitude: 0.5,       // deg peak-to-peak; below webcam landmark noise
+  jerkAsymmetry: 0.3,      // velocity-sign imbalance that separates jerk from pendular
+  axisRatio: 2             // amplitude ratio above which the oscillation is single-axis
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// In-place iterative radix-2 FFT; re/im lengths must be a power of two
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(angle * k);
+        const wi = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+// Uniformly resampled binocular gaze at the trace's median frame interval
+export const gazeTrace = (history) => {
+  const points = history
+    .map(entry => ({ t: entry.timestamp, gaze: combinedGaze(entry) }))
+    .filter(p => p.gaze)
+    .map(p => ({ t: p.t, horizontal: p.gaze.horizontal, vertical: p.gaze.vertical }));
+  if (points.length < 4) return null;
+
+  const dt = median(points.slice(1).map((p, i) => p.t - points[i].t));
+  if (!(dt > 0)) return null;
+
+  const samples = [];
+  let j = 0;
+  for (let t = points[0].t; t <= points[points.length - 1].t; t += dt) {
+    while (j < points.length - 2 && points[j + 1].t < t) j++;
+    const a = points[j];
+    const b = points[j + 1];
+    const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 0;
+    samples.push({
+      t,
+      horizontal: a.horizontal + (b.horizontal - a.horizontal) * f,
+      vertical: a.vertical + (b.vertical - a.vertical) * f
+    });
+  }
+
+  return { samples, sampleRate: 1000 / dt };
+};
+
+// Linear trend removed so slow head drift doesn't leak into the low bins
+const detrend = (values) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - xMean) * (y - yMean);
+    den += (x - xMean) ** 2;
+  });
+  const slope = den > 0 ? num / den : 0;
+  return values.map((y, x) => y - yMean - slope * (x - xMean));
+};
+
+// One-sided Hann-windowed power spectrum: [{ frequency, power }]
+export const powerSpectrum = (values, sampleRate) => {
+  const n = values.length;
+  const size = 2 ** Math.ceil(Math.log2(Math.max(2, n)));
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  values.forEach((v, i) => {
+    re[i] = v * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / Math.max(1, n - 1)));
+  });
+  fft(re, im);
+
+  return Array.from({ length: size / 2 + 1 }, (_, k) => ({
+    frequency: (k * sampleRate) / size,
+    power: (re[k] ** 2 + im[k] ** 2) / size
+  }));
+};
+
+// Central-difference velocity in deg/s
+const velocity = (values, sampleRate) => values.map((_, i) => {
+  const a = values[Math.max(0, i - 1)];
+  const b = values[Math.min(values.length - 1, i + 1)];
+  const span = Math.min(values.length - 1, i + 1) - Math.max(0, i - 1);
+  return span > 0 ? ((b - a) * sampleRate) / span : 0;
+});
+
+const analyzeAxis = (values, sampleRate, opts) => {
+  const signal = detrend(values);
+  const spectrum = powerSpectrum(signal, sampleRate);
+  const band = spectrum.filter(bin =>
+    bin.frequency >= opts.minFrequency && bin.frequency <= Math.min(opts.maxFrequency, sampleRate / 2)
+  );
+  if (band.length === 0) return { spectrum, rhythmic: false };
+
+  const peak = band.reduce((best, bin) => (bin.power > best.power ? bin : best), band[0]);
+  const resolution = spectrum[1].frequency;
+  const bandPower = band.reduce((sum, bin) => sum + bin.power, 0);
+  const peakPower = band
+    .filter(bin => Math.abs(bin.frequency - peak.frequency) <= Math.max(0.3, 1.5 * resolution))
+    .reduce((sum, bin) => sum + bin.power, 0);
+  const peakFraction = bandPower > 0 ? peakPower / bandPower : 0;
+
+  // Peak-to-peak over one-period windows, median across the trace
+  const period = Math.max(2, Math.round(sampleRate / peak.frequency));
+  const swings = [];
+  for (let start = 0; start + period <= signal.length; start += period) {
+    const cycle = signal.slice(start, start + period);
+    swings.push(Math.max(...cycle) - Math.min(...cycle));
+  }
+  const amplitude = swings.length ? median(swings) : Math.max(...signal) - Math.min(...signal);
+
+  // Jerk: slow drift one way for most of the cycle, a brief fast reset the other way.
+  // Pendular: symmetric, so velocity is positive about half the time.
+  const v = velocity(signal, sampleRate);
+  const moving = v.filter(x => x !== 0);
+  const positiveShare = moving.length ? moving.filter(x => x > 0).length / moving.length : 0.5;
+  const asymmetry = Math.abs(positiveShare - 0.5) * 2;
+  const slowSign = positiveShare >= 0.5 ? 1 : -1;
+  const slowPhase = v.filter(x => Math.sign(x) === slowSign);
+
+  return {
+    spectrum,
+    frequency: peak.frequency,
+    peakFraction,
+    amplitude,
+    asymmetry,
+    slowSign,
+    slowPhaseVelocity: slowPhase.length ? mean(slowPhase.map(Math.abs)) : null,
+    rhythmic: peakFraction >= opts.minPeakFraction && amplitude >= opts.minAmplitude
+  };
+};
+
+// Horizontal gaze is positive toward image right, which is the subject's left
+const beatDirection = (axis, slowSign) => {
+  const fastPositive = slowSign < 0;
+  if (axis === 'horizontal') return fastPositive ? 'left-beating' : 'right-beating';
+  return fastPositive ? 'up-beating' : 'down-beating';
+};
+
+export const analyzeNystagmus = (history, options = {}) => {
+  const opts = { ...DEFAULT_NYSTAGMUS_OPTIONS, ...options };
+  const trace = gazeTrace(history || []);
+  // A few cycles of the slowest frequency of interest are needed for a spectrum
+  if (!trace || trace.samples.length / trace.sampleRate < 2 / opts.minFrequency) return null;
+
+  const { samples, sampleRate } = trace;
+  const horizontal = analyzeAxis(samples.map(s => s.horizontal), sampleRate, opts);
+  const vertical = analyzeAxis(samples.map(s => s.vertical), sampleRate, opts);
+
+  const result = { trace, sampleRate, horizontal, vertical, detected: horizontal.rhythmic || vertical.rhythmic };
+  if (!result.detected) return result;
+
+  // The stronger rhythmic axis carries the oscillation; both strong means oblique
+  const main = !vertical.rhythmic || (horizontal.rhythmic && horizontal.amplitude >= vertical.amplitude)
+    ? 'horizontal'
+    : 'vertical';
+  const primary = result[main];
+  const other = result[main === 'horizontal' ? 'vertical' : 'horizontal'];
+  const oblique = other.rhythmic && primary.amplitude / other.amplitude < opts.axisRatio;
+  const type = primary.asymmetry >= opts.jerkAsymmetry ? 'jerk' : 'pendular';
+
+  return {
+    ...result,
+    frequency: primary.frequency,
+    amplitude: oblique ? Math.hypot(primary.amplitude, other.amplitude) : primary.amplitude,
+    axis: oblique ? 'oblique' : main,
+    type,
+    // Jerk nystagmus is named by its fast phase
+    direction: type === 'jerk' ? beatDirection(main, primary.slowSign) : null,
+    slowPhaseVelocity: primary.slowPhaseVelocity
+  };
+};
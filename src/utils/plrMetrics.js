@@ -0,0 +1,208 @@
+// utils/plrMetrics.js
+// Pupillary light reflex metrics from recorded history entries
+// ({ timestamp, left, right, leftConfidence, rightConfidence }) and the flash
+// events emitted by usePLRProtocol. Sizes are whatever unit the history holds
+// (mm by default), velocities are that unit per second, times are milliseconds.
+
+export const DEFAULT_PLR_ANALYSIS_OPTIONS = {
+  baselineWindowMs: 1000,   // pre-stimulus span averaged for the baseline
+  responseWindowMs: 5000,   // post-stimulus span searched for the response
+  minConfidence: 0,         // samples below this confidence are ignored
+  latencyFraction: 0.1,     // constriction onset = where speed falls to 10% of its peak
+  recoveryFraction: 0.75,   // T75 = time to regain 75% of the constriction
+  minBaselineSamples: 3,
+  minResponseSamples: 5
+};
+
+export const PLR_METRIC_KEYS = [
+  'baseline',
+  'minimum',
+  'amplitude',
+  'percentConstriction',
+  'latency',
+  'maxConstrictionVelocity',
+  'avgDilationVelocity',
+  't75'
+];
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Valid samples for one eye as { t, v }, in time order
+const extractTrace = (history, eye, minConfidence) => {
+  const confidenceKey = `${eye}Confidence`;
+  return history
+    .filter(h => h[eye] != null && !isNaN(h[eye]) &&
+      (minConfidence <= 0 || (h[confidenceKey] ?? 0) >= minConfidence))
+    .map(h => ({ t: h.timestamp, v: h[eye] }))
+    .sort((a, b) => a.t - b.t);
+};
+
+const medianInterval = (trace) => {
+  const intervals = trace.slice(1).map((p, i) => p.t - trace[i].t).sort((a, b) => a - b);
+  return intervals.length > 0 ? intervals[intervals.length >> 1] : 0;
+};
+
+// 3-point moving average keeps single-frame detection noise out of the derivative.
+// Samples beside a gap (dropout or blink) stay as measured: averaging across it
+// would bend the trace toward the far side and spike the velocity there.
+const smooth = (trace) => {
+  const maxStep = 2 * medianInterval(trace);
+  return trace.map((p, i) => {
+    const prev = trace[i - 1];
+    const next = trace[i + 1];
+    if (!prev || !next || p.t - prev.t > maxStep || next.t - p.t > maxStep) return p;
+    return { t: p.t, v: (prev.v + p.v + next.v) / 3 };
+  });
+};
+
+// Central-difference velocity in units per second
+const velocities = (trace) => trace.map((p, i) => {
+  const prev = trace[Math.max(0, i - 1)];
+  const next = trace[Math.min(trace.length - 1, i + 1)];
+  const dt = (next.t - prev.t) / 1000;
+  return { t: p.t, v: dt > 0 ? (next.v - prev.v) / dt : 0 };
+});
+
+// Linear-interpolated time at which the trace first crosses `level` going in `direction`
+const findCrossing = (trace, startIndex, level, direction) => {
+  for (let i = Math.max(1, startIndex); i < trace.length; i++) {
+    const a = trace[i - 1];
+    const b = trace[i];
+    const crossed = direction < 0 ? b.v <= level && a.v > level : b.v >= level && a.v < level;
+    if (crossed) {
+      const fraction = (level - a.v) / (b.v - a.v);
+      return a.t + fraction * (b.t - a.t);
+    }
+  }
+  return null;
+};
+
+export function computePLRResponse(trace, onset, windowEnd, options = {}) {
+  const opts = { ...DEFAULT_PLR_ANALYSIS_OPTIONS, ...options };
+
+  const baselineSamples = trace.filter(p => p.t >= onset - opts.baselineWindowMs && p.t < onset);
+  const response = trace.filter(p => p.t >= onset && p.t <= windowEnd);
+
+  if (baselineSamples.length < opts.minBaselineSamples || response.length < opts.minResponseSamples) {
+    return null;
+  }
+
+  const baseline = mean(baselineSamples.map(p => p.v));
+  const smoothed = smooth(response);
+
+  let minIndex = 0;
+  smoothed.forEach((p, i) => {
+    if (p.v < smoothed[minIndex].v) minIndex = i;
+  });
+  const minimum = smoothed[minIndex].v;
+  const minTime = smoothed[minIndex].t;
+  const amplitude = baseline - minimum;
+
+  if (amplitude <= 0) {
+    // No constriction: report the resting size but no response timings
+    return {
+      baseline,
+      minimum,
+      amplitude: 0,
+      percentConstriction: 0,
+      latency: null,
+      maxConstrictionVelocity: 0,
+      avgDilationVelocity: null,
+      t75: null,
+      samples: response.length
+    };
+  }
+
+  // Constriction speed (positive while the pupil shrinks) up to peak constriction
+  const speed = velocities(smoothed).slice(0, minIndex + 1).map(p => ({ t: p.t, v: -p.v }));
+  let peakIndex = 0;
+  speed.forEach((p, i) => {
+    if (p.v > speed[peakIndex].v) peakIndex = i;
+  });
+  const maxConstrictionVelocity = Math.max(0, speed[peakIndex].v);
+
+  // Walk back from the fastest point to where the constriction began
+  let latency = null;
+  if (maxConstrictionVelocity > 0) {
+    const level = opts.latencyFraction * maxConstrictionVelocity;
+    let i = peakIndex;
+    while (i > 0 && speed[i - 1].v > level) i--;
+    let onsetTime = speed[i].t;
+    if (i > 0) {
+      const a = speed[i - 1];
+      const b = speed[i];
+      onsetTime = a.t + ((level - a.v) / (b.v - a.v)) * (b.t - a.t);
+    }
+    latency = Math.max(0, onsetTime - onset);
+  }
+
+  const recoveryLevel = minimum + opts.recoveryFraction * amplitude;
+  const recoveryTime = findCrossing(smoothed, minIndex + 1, recoveryLevel, 1);
+  const t75 = recoveryTime !== null ? recoveryTime - minTime : null;
+
+  // Mean dilation slope from peak constriction to T75 (or the end of the window)
+  const dilationEnd = recoveryTime !== null
+    ? { t: recoveryTime, v: recoveryLevel }
+    : smoothed[smoothed.length - 1];
+  const dilationSeconds = (dilationEnd.t - minTime) / 1000;
+  const avgDilationVelocity = dilationSeconds > 0 ? (dilationEnd.v - minimum) / dilationSeconds : null;
+
+  return {
+    baseline,
+    minimum,
+    amplitude,
+    percentConstriction: (amplitude / baseline) * 100,
+    latency,
+    maxConstrictionVelocity,
+    avgDilationVelocity,
+    t75,
+    samples: response.length
+  };
+}
+
+const averageMetrics = (responses) => {
+  const valid = responses.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const summary = { trials: valid.length };
+  PLR_METRIC_KEYS.forEach(key => {
+    const values = valid.map(r => r[key]).filter(v => v != null);
+    summary[key] = values.length > 0 ? mean(values) : null;
+  });
+  return summary;
+};
+
+export function analyzePLR(history, events, options = {}) {
+  const opts = { ...DEFAULT_PLR_ANALYSIS_OPTIONS, ...options };
+  const stimuli = (events || [])
+    .filter(e => e.type === 'flash' && e.timestamp != null)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (!history || history.length === 0 || stimuli.length === 0) return null;
+
+  const traces = {
+    left: extractTrace(history, 'left', opts.minConfidence),
+    right: extractTrace(history, 'right', opts.minConfidence)
+  };
+
+  const trials = stimuli.map((stimulus, i) => {
+    // A response window never runs into the next flash
+    const nextOnset = stimuli[i + 1]?.timestamp ?? Infinity;
+    const windowEnd = Math.min(stimulus.timestamp + opts.responseWindowMs, nextOnset);
+
+    return {
+      trial: stimulus.trial ?? i + 1,
+      timestamp: stimulus.timestamp,
+      left: computePLRResponse(traces.left, stimulus.timestamp, windowEnd, opts),
+      right: computePLRResponse(traces.right, stimulus.timestamp, windowEnd, opts)
+    };
+  });
+
+  return {
+    trials,
+    summary: {
+      left: averageMetrics(trials.map(t => t.left)),
+      right: averageMetrics(trials.map(t => t.right))
+    }
+  };
+}
@@ -0,0 +1,146 @@
+// utils/plrMetrics.test.js
+import { describe, expect, it } from 'vitest';
+import { analyzePLR, computePLRResponse } from './plrMetrics';
+
+// A textbook light reflex sampled at 100 Hz around a flash at t = 0: flat at the
+// baseline until the latency, a half-cosine constriction (fastest halfway, at
+// amplitude·π / 2·duration), then exponential redilation, whose 75% point is τ·ln 4.
+const CURVE = {
+  baseline: 6,
+  amplitude: 2,
+  latencyMs: 250,
+  constrictionMs: 600,
+  recoveryTauMs: 500
+};
+const MIN_TIME = CURVE.latencyMs + CURVE.constrictionMs;
+const EXPECTED = {
+  minimum: CURVE.baseline - CURVE.amplitude,
+  maxConstrictionVelocity: (CURVE.amplitude * Math.PI) / (2 * CURVE.constrictionMs / 1000),
+  t75: CURVE.recoveryTauMs * Math.log(4)
+};
+
+const pupilSize = (t, { baseline, amplitude, latencyMs, constrictionMs, recoveryTauMs } = CURVE) => {
+  if (t < latencyMs) return baseline;
+  if (t < latencyMs + constrictionMs) {
+    const s = (t - latencyMs) / constrictionMs;
+    return baseline - amplitude * (1 - Math.cos(Math.PI * s)) / 2;
+  }
+  return baseline - amplitude * Math.exp(-(t - latencyMs - constrictionMs) / recoveryTauMs);
+};
+
+// History entries from `from` to `to` ms, both eyes following the curve
+const recordHistory = (from = -1000, to = 4000, flashAt = 0) => {
+  const history = [];
+  for (let t = from; t <= to; t += 10) {
+    const size = pupilSize(t - flashAt);
+    history.push({ timestamp: t, left: size, right: size, leftConfidence: 0.9, rightConfidence: 0.9 });
+  }
+  return history;
+};
+
+const trace = (history, eye = 'left') => history
+  .filter(h => h[eye] != null)
+  .map(h => ({ t: h.timestamp, v: h[eye] }));
+
+const flash = (timestamp = 0, trial = 1) => ({ type: 'flash', timestamp, trial, offset: timestamp + 200 });
+
+const expectCurveRecovered = (response, { t75Ms = 20, latencyMs = 30, velocity = 0.05 } = {}) => {
+  expect(response.baseline).toBeCloseTo(CURVE.baseline, 6);
+  expect(response.minimum).toBeCloseTo(EXPECTED.minimum, 2);
+  expect(response.amplitude).toBeCloseTo(CURVE.amplitude, 2);
+  expect(response.percentConstriction).toBeCloseTo((CURVE.amplitude / CURVE.baseline) * 100, 0);
+  expect(Math.abs(response.latency - CURVE.latencyMs)).toBeLessThanOrEqual(latencyMs);
+  expect(Math.abs(response.maxConstrictionVelocity - EXPECTED.maxConstrictionVelocity))
+    .toBeLessThanOrEqual(EXPECTED.maxConstrictionVelocity * velocity);
+  expect(Math.abs(response.t75 - EXPECTED.t75)).toBeLessThanOrEqual(t75Ms);
+};
+
+describe('computePLRResponse', () => {
+  it('recovers every metric of a known response', () => {
+    const response = computePLRResponse(trace(recordHistory()), 0, 5000);
+
+    expectCurveRecovered(response);
+    // 75% of the amplitude regained over T75
+    expect(response.avgDilationVelocity).toBeCloseTo((0.75 * CURVE.amplitude) / (EXPECTED.t75 / 1000), 1);
+    expect(response.samples).toBe(401);
+  });
+
+  it('leaves T75 null when the trace ends before the pupil recovers', () => {
+    const ended = recordHistory(-1000, MIN_TIME + 300);
+    const response = computePLRResponse(trace(ended), 0, 5000);
+
+    expect(response.amplitude).toBeCloseTo(CURVE.amplitude, 2);
+    expect(response.t75).toBeNull();
+    // Slope measured to the last sample instead
+    expect(response.avgDilationVelocity).toBeGreaterThan(0);
+  });
+
+  it('tolerates gaps in the response window', () => {
+    // Detection dropped out during the constriction and again during redilation
+    const history = recordHistory().map(h => (
+      (h.timestamp > 400 && h.timestamp < 480) || (h.timestamp > 1100 && h.timestamp < 1250)
+        ? { ...h, left: null, right: null }
+        : h
+    ));
+
+    expectCurveRecovered(computePLRResponse(trace(history), 0, 5000), { t75Ms: 40, latencyMs: 40, velocity: 0.1 });
+  });
+
+  it('reports no timings when the pupil does not constrict', () => {
+    const flat = recordHistory().map(h => ({ ...h, left: CURVE.baseline }));
+    const response = computePLRResponse(trace(flat), 0, 5000);
+
+    expect(response.amplitude).toBe(0);
+    expect(response.latency).toBeNull();
+    expect(response.t75).toBeNull();
+  });
+
+  it('needs enough baseline and response samples', () => {
+    expect(computePLRResponse(trace(recordHistory(-15, 4000)), 0, 5000)).toBeNull();
+    expect(computePLRResponse(trace(recordHistory(-1000, 30)), 0, 5000)).toBeNull();
+  });
+});
+
+describe('analyzePLR', () => {
+  it('returns null without a flash event', () => {
+    const history = recordHistory();
+
+    expect(analyzePLR(history, [])).toBeNull();
+    expect(analyzePLR(history, null)).toBeNull();
+    expect(analyzePLR(history, [{ type: 'target', timestamp: 0 }])).toBeNull();
+    expect(analyzePLR([], [flash()])).toBeNull();
+  });
+
+  it('measures each eye of a trial', () => {
+    const { trials, summary } = analyzePLR(recordHistory(), [flash()]);
+
+    expect(trials).toHaveLength(1);
+    expect(trials[0].trial).toBe(1);
+    expectCurveRecovered(trials[0].left);
+    expectCurveRecovered(trials[0].right);
+    expect(summary.left.trials).toBe(1);
+    expect(summary.left.t75).toBeCloseTo(trials[0].left.t75, 6);
+  });
+
+  it('ignores blink samples below the confidence floor', () => {
+    // A blink mid-constriction: the lid drives the reading down with low confidence
+    const history = recordHistory().map(h => (
+      h.timestamp >= 500 && h.timestamp < 600 ? { ...h, left: 1, leftConfidence: 0.1 } : h
+    ));
+
+    const { trials } = analyzePLR(history, [flash()], { minConfidence: 0.5 });
+    expectCurveRecovered(trials[0].left, { t75Ms: 40, latencyMs: 40, velocity: 0.1 });
+  });
+
+  it('stops each response window at the next flash', () => {
+    const history = [...recordHistory(-1000, 2990, 0), ...recordHistory(3000, 8000, 4000)];
+    const { trials, summary } = analyzePLR(history, [flash(4000, 2), flash(0, 1)]);
+
+    expect(trials.map(t => t.trial)).toEqual([1, 2]);
+    // The first window runs from its flash up to the second one (0–4000 ms)
+    expect(trials[0].left.samples).toBe(401);
+    expectCurveRecovered(trials[1].left);
+    expect(summary.left.trials).toBe(2);
+    expect(summary.left.amplitude).toBeCloseTo(CURVE.amplitude, 1);
+  });
+});
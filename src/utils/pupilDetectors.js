@@ -0,0 +1,586 @@
+// utils/pupilDetectors.js
+// OpenCV pupil detectors shared by the detection worker and the main-thread
+// fallback. Everything takes the `cv` instance explicitly so it runs wherever
+// OpenCV.js has been loaded.
+
+// MediaPipe iris landmarks (refineLandmarks: true)
+export const EYE_LANDMARKS = {
+  left: { indices: [468, 469, 470, 471, 472], center: 468 },
+  right: { indices: [473, 474, 475, 476, 477], center: 473 }
+};
+
+// Iris geometry and the pupil search region for one eye, in image pixels
+export const getEyeROI = (landmarks, eyeConfig, imageWidth, imageHeight) => {
+  const irisPoints = eyeConfig.indices.map(i => landmarks[i]);
+  if (irisPoints.some(p => !p)) return null;
+
+  const irisCenterX = irisPoints.reduce((sum, p) => sum + p.x, 0) / irisPoints.length * imageWidth;
+  const irisCenterY = irisPoints.reduce((sum, p) => sum + p.y, 0) / irisPoints.length * imageHeight;
+
+  // Calculate iris radius from landmarks for proper ROI sizing
+  const irisRadius = Math.max(...irisPoints.map(p =>
+    Math.sqrt(((p.x * imageWidth) - irisCenterX) ** 2 + ((p.y * imageHeight) - irisCenterY) ** 2)
+  ));
+
+  // ROI should be smaller and centered on iris - pupil is typically 15-40% of iris diameter
+  const roiSize = Math.max(20, Math.min(50, irisRadius * 1.2));
+
+  const x = Math.max(0, Math.floor(irisCenterX - roiSize / 2));
+  const y = Math.max(0, Math.floor(irisCenterY - roiSize / 2));
+  const width = Math.min(imageWidth - x, Math.floor(roiSize));
+  const height = Math.min(imageHeight - y, Math.floor(roiSize));
+
+  if (width <= 0 || height <= 0) return null;
+
+  return {
+    irisCenter: { x: irisCenterX, y: irisCenterY },
+    irisDiameter: irisRadius * 2,
+    roi: { x, y, width, height }
+  };
+};
+
+// Run every method on a grayscale ROI and keep the most confident result (ROI coordinates)
+export const detectPupilInROI = (cv, roi, width, height) => {
+  let bestResult = null;
+  let bestScore = 0;
+
+  for (const { detect } of PUPIL_METHODS) {
+    try {
+      const result = detect(cv, roi, width, height);
+      if (result && result.confidence > bestScore) {
+        bestScore = result.confidence;
+        bestResult = result;
+      }
+    } catch (err) {
+      console.warn('Pupil detection method failed:', err);
+    }
+  }
+
+  return bestResult;
+};
+
+// RGBA pixels of one eye ROI → pupil in full-frame coordinates
+export const analyzeEyeImage = (cv, imageData, roiRect) => {
+  let src, gray;
+
+  try {
+    src = cv.matFromImageData(imageData);
+    gray = new cv.Mat();
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+    const best = detectPupilInROI(cv, gray, gray.cols, gray.rows);
+    if (!best) return null;
+
+    return {
+      center: {
+        x: roiRect.x + best.cx,
+        y: roiRect.y + best.cy
+      },
+      size: best.diameter,
+      confidence: best.confidence,
+      circularity: best.circularity,
+      method: best.method,
+      ellipse: best.ellipse || null
+    };
+  } catch (error) {
+    console.error('[pupilDetectors] Error:', error);
+    return null;
+  } finally {
+    if (src) src.delete();
+    if (gray) gray.delete();
+  }
+};
+
+// Grey levels a pupil must sit below the rest of the ROI
+const MIN_PUPIL_CONTRAST = 30;
+// Below what the shape-fitting methods score on a clean pupil, so it only wins when they find nothing
+const MINVAL_MAX_CONFIDENCE = 0.5;
+
+// Method 1: Adaptive threshold focusing on darkest regions
+export const detectPupilByAdaptiveThreshold = (cv, roi, width, height) => {
+  const blurred = new cv.Mat();
+  const binary = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+
+  try {
+    // Light blur to reduce noise
+    cv.GaussianBlur(roi, blurred, new cv.Size(3, 3), 1);
+    
+    // Adaptive threshold to find dark regions (pupils)
+    cv.adaptiveThreshold(
+      blurred, binary, 255,
+      cv.ADAPTIVE_THRESH_GAUSSIAN_C,
+      cv.THRESH_BINARY_INV, // INV to make dark regions white
+      7, 3
+    );
+
+    // Find contours
+    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    let bestPupil = null;
+    let bestScore = 0;
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const area = cv.contourArea(contour);
+      
+      // Pupil should be smaller - typically 8-25 pixels diameter in this ROI
+      if (area < 15 || area > 400) continue;
+
+      const moments = cv.moments(contour);
+      if (moments.m00 === 0) continue;
+
+      const cx = moments.m10 / moments.m00;
+      const cy = moments.m01 / moments.m00;
+      
+      // Check circularity
+      const perimeter = cv.arcLength(contour, true);
+      const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+      
+      // Distance from ROI center (pupils are usually central in iris)
+      const centerDist = Math.sqrt((cx - width/2)**2 + (cy - height/2)**2);
+      const centerScore = Math.max(0, 1 - centerDist / (width/4));
+      
+      // Score based on circularity, area, and centrality
+      const score = circularity * 0.6 + centerScore * 0.4;
+      
+      if (score > bestScore && circularity > 0.4) {
+        bestScore = score;
+        const diameter = 2 * Math.sqrt(area / Math.PI);
+        
+        bestPupil = {
+          cx, cy, diameter,
+          confidence: score,
+          circularity: circularity,
+          method: 'adaptive'
+        };
+      }
+    }
+
+    return bestPupil;
+
+  } finally {
+    blurred.delete();
+    binary.delete();
+    contours.delete();
+    hierarchy.delete();
+  }
+};
+
+// Method 2: Otsu thresholding for automatic threshold selection
+export const detectPupilByOtsu = (cv, roi, width, height) => {
+  const blurred = new cv.Mat();
+  const binary = new cv.Mat();
+  const background = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+
+  try {
+    cv.GaussianBlur(roi, blurred, new cv.Size(3, 3), 1);
+    
+    // Otsu's method for automatic thresholding
+    cv.threshold(blurred, binary, 0, 255,
+      cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+
+    // Otsu splits any ROI in two, even a featureless closed lid; a pupil is far darker than the rest
+    cv.bitwise_not(binary, background);
+    if (cv.mean(blurred, background)[0] - cv.mean(blurred, binary)[0] < MIN_PUPIL_CONTRAST) return null;
+
+    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    let bestPupil = null;
+    let bestScore = 0;
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const area = cv.contourArea(contour);
+      
+      if (area < 15 || area > 400) continue;
+
+      const moments = cv.moments(contour);
+      if (moments.m00 === 0) continue;
+
+      const cx = moments.m10 / moments.m00;
+      const cy = moments.m01 / moments.m00;
+      
+      const perimeter = cv.arcLength(contour, true);
+      const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+      
+      const centerDist = Math.sqrt((cx - width/2)**2 + (cy - height/2)**2);
+      const centerScore = Math.max(0, 1 - centerDist / (width/4));
+      
+      const score = circularity * 0.7 + centerScore * 0.3;
+      
+      if (score > bestScore && circularity > 0.3) {
+        bestScore = score;
+        const diameter = 2 * Math.sqrt(area / Math.PI);
+        
+        bestPupil = {
+          cx, cy, diameter,
+          confidence: score * 0.9, // Slightly lower confidence for Otsu
+          circularity: circularity,
+          method: 'otsu'
+        };
+      }
+    }
+
+    return bestPupil;
+
+  } finally {
+    blurred.delete();
+    binary.delete();
+    background.delete();
+    contours.delete();
+    hierarchy.delete();
+  }
+};
+
+// Method 3: Find darkest region (pupil is typically the darkest part)
+export const detectPupilByMinValue = (cv, roi, width, height) => {
+  const blurred = new cv.Mat();
+
+  try {
+    cv.GaussianBlur(roi, blurred, new cv.Size(5, 5), 1.5);
+
+    // Find minimum value location (darkest point)
+    const minMaxLoc = cv.minMaxLoc(blurred);
+    const darkestX = minMaxLoc.minLoc.x;
+    const darkestY = minMaxLoc.minLoc.y;
+    const darkestValue = minMaxLoc.minVal;
+
+    // Estimate pupil size based on darkness gradient, on the blurred image so
+    // single noisy pixels can't pass for an edge
+    let radius = null;
+    const centerValue = blurred.ucharAt(darkestY, darkestX);
+    
+    // Expand outward until brightness increases significantly
+    for (let r = 1; r < 15; r++) {
+      let avgBrightness = 0;
+      let count = 0;
+      
+      // Sample around circle at radius r
+      for (let angle = 0; angle < 2 * Math.PI; angle += Math.PI / 8) {
+        const x = Math.round(darkestX + r * Math.cos(angle));
+        const y = Math.round(darkestY + r * Math.sin(angle));
+        
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          avgBrightness += blurred.ucharAt(y, x);
+          count++;
+        }
+      }
+      
+      if (count > 0) {
+        avgBrightness /= count;
+        
+        // If brightness increases significantly, we've found the pupil edge
+        if (avgBrightness > centerValue + 25) {
+          radius = r;
+          break;
+        }
+      }
+    }
+
+    // No edge within reach: a uniform patch such as a closed lid, not a pupil
+    if (radius === null) return null;
+
+    const diameter = radius * 2;
+    // Higher confidence for darker pupils, capped so a fitted shape wins over this whole-pixel radius guess
+    const confidence = Math.min(MINVAL_MAX_CONFIDENCE, (255 - darkestValue) / 100);
+
+    return {
+      cx: darkestX,
+      cy: darkestY,
+      diameter: diameter,
+      confidence: confidence,
+      circularity: 0.8, // Assume reasonable circularity
+      method: 'minval'
+    };
+
+  } catch (error) {
+    return null;
+  } finally {
+    blurred.delete();
+  }
+};
+
+// Method 4: Contrast-based detection
+export const detectPupilByContrastThreshold = (cv, roi, width, height) => {
+  try {
+    // Calculate mean intensity
+    const mean = cv.mean(roi);
+    const avgIntensity = mean[0];
+    
+    // Use threshold well below average to catch dark pupils
+    const threshold = Math.max(20, avgIntensity * 0.4);
+
+    const binary = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+
+    cv.threshold(roi, binary, threshold, 255, cv.THRESH_BINARY_INV);
+
+    cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    let bestPupil = null;
+    let bestScore = 0;
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const area = cv.contourArea(contour);
+      
+      if (area < 15 || area > 400) continue;
+
+      const moments = cv.moments(contour);
+      if (moments.m00 === 0) continue;
+
+      const cx = moments.m10 / moments.m00;
+      const cy = moments.m01 / moments.m00;
+      
+      const perimeter = cv.arcLength(contour, true);
+      const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+      
+      const centerDist = Math.sqrt((cx - width/2)**2 + (cy - height/2)**2);
+      const centerScore = Math.max(0, 1 - centerDist / (width/4));
+      
+      const score = circularity * 0.6 + centerScore * 0.4;
+      
+      if (score > bestScore && circularity > 0.3) {
+        bestScore = score;
+        const diameter = 2 * Math.sqrt(area / Math.PI);
+        
+        bestPupil = {
+          cx, cy, diameter,
+          confidence: score,
+          circularity: circularity,
+          method: 'contrast'
+        };
+      }
+    }
+
+    binary.delete();
+    contours.delete();
+    hierarchy.delete();
+
+    return bestPupil;
+
+  } catch (error) {
+    return null;
+  }
+};
+
+// Method 5: Ellipse fit to sub-pixel edge points cast along radial rays
+const ELLIPSE_RAY_COUNT = 36;
+const ELLIPSE_RAY_STEP = 0.5;        // px between samples along a ray
+const ELLIPSE_MIN_GRADIENT = 6;      // grey levels per px for a dark→bright edge
+const ELLIPSE_INLIER_TOLERANCE = 1;  // px from the ellipse
+const ELLIPSE_RANSAC_ITERATIONS = 60;
+
+// Bilinear sample of a continuous 8-bit Mat's data; caller keeps (x, y) inside the image
+const sampleBilinear = (pixels, stride, x, y) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const i = y0 * stride + x0;
+  const top = pixels[i] + (pixels[i + 1] - pixels[i]) * fx;
+  const bottom = pixels[i + stride] + (pixels[i + stride + 1] - pixels[i + stride]) * fx;
+  return top + (bottom - top) * fy;
+};
+
+// First dark→bright gradient peak along each ray from the seed, refined with a parabola
+const findRadialEdges = (pixels, width, height, seed) => {
+  const points = [];
+  const maxRadius = Math.max(width, height);
+
+  for (let ray = 0; ray < ELLIPSE_RAY_COUNT; ray++) {
+    const theta = (2 * Math.PI * ray) / ELLIPSE_RAY_COUNT;
+    const dx = Math.cos(theta);
+    const dy = Math.sin(theta);
+
+    const profile = [];
+    for (let r = 0; r < maxRadius; r += ELLIPSE_RAY_STEP) {
+      const x = seed.x + r * dx;
+      const y = seed.y + r * dy;
+      if (x < 0 || y < 0 || x >= width - 1 || y >= height - 1) break;
+      profile.push(sampleBilinear(pixels, width, x, y));
+    }
+
+    const gradient = profile.map((_, k) =>
+      k === 0 || k === profile.length - 1 ? 0 : (profile[k + 1] - profile[k - 1]) / (2 * ELLIPSE_RAY_STEP)
+    );
+
+    // Skip the first pixel so the seed's own noise isn't taken as an edge
+    for (let k = Math.ceil(1 / ELLIPSE_RAY_STEP); k < gradient.length - 1; k++) {
+      const g = gradient[k];
+      if (g < ELLIPSE_MIN_GRADIENT || g < gradient[k - 1] || g <= gradient[k + 1]) continue;
+
+      // A corneal glint inside the pupil rises and falls again within a few pixels
+      const beyond = profile.slice(k + 1, k + 1 + Math.ceil(3 / ELLIPSE_RAY_STEP));
+      if (beyond.length && Math.min(...beyond) < profile[k]) continue;
+
+      const curvature = gradient[k - 1] - 2 * g + gradient[k + 1];
+      const offset = curvature < 0 ? 0.5 * (gradient[k - 1] - gradient[k + 1]) / curvature : 0;
+      const r = (k + offset) * ELLIPSE_RAY_STEP;
+      points.push({ x: seed.x + r * dx, y: seed.y + r * dy });
+      break;
+    }
+  }
+
+  return points;
+};
+
+// cv.fitEllipse on a point list → { cx, cy, a, b, angle } with a ≥ b as semi-axes
+const fitEllipseToPoints = (cv, points) => {
+  const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+  try {
+    const rect = cv.fitEllipse(mat);
+    const { width, height } = rect.size;
+    if (!(width > 0) || !(height > 0)) return null;
+
+    // Report the major axis direction in [0, 180) degrees
+    const angle = ((width >= height ? rect.angle : rect.angle + 90) % 180 + 180) % 180;
+    return {
+      cx: rect.center.x,
+      cy: rect.center.y,
+      a: Math.max(width, height) / 2,
+      b: Math.min(width, height) / 2,
+      angle
+    };
+  } finally {
+    mat.delete();
+  }
+};
+
+// Distance from the point to the ellipse along the line through its centre
+const ellipseResidual = (ellipse, point) => {
+  const rad = (ellipse.angle * Math.PI) / 180;
+  const dx = point.x - ellipse.cx;
+  const dy = point.y - ellipse.cy;
+  const u = dx * Math.cos(rad) + dy * Math.sin(rad);
+  const v = -dx * Math.sin(rad) + dy * Math.cos(rad);
+  const r = Math.sqrt((u / ellipse.a) ** 2 + (v / ellipse.b) ** 2);
+  if (r === 0) return Math.min(ellipse.a, ellipse.b);
+  return Math.abs(1 - 1 / r) * Math.sqrt(u * u + v * v);
+};
+
+const scoreEllipse = (ellipse, points) => {
+  const inliers = [];
+  let residualSum = 0;
+  points.forEach(point => {
+    const residual = ellipseResidual(ellipse, point);
+    if (residual <= ELLIPSE_INLIER_TOLERANCE) {
+      inliers.push(point);
+      residualSum += residual;
+    }
+  });
+  return { inliers, meanResidual: inliers.length ? residualSum / inliers.length : Infinity };
+};
+
+// Fixed-seed LCG so the same frame always gives the same fit
+const createRandom = (seed = 1) => () => {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 4294967296;
+};
+
+// RANSAC over 5-point samples, then a least-squares refit on the consensus set
+const fitEllipseRANSAC = (cv, points) => {
+  const random = createRandom(points.length);
+  let best = null;
+
+  for (let i = 0; i < ELLIPSE_RANSAC_ITERATIONS; i++) {
+    const sample = new Set();
+    while (sample.size < 5) sample.add(Math.floor(random() * points.length));
+
+    const ellipse = fitEllipseToPoints(cv, [...sample].map(index => points[index]));
+    if (!ellipse) continue;
+
+    const score = scoreEllipse(ellipse, points);
+    if (!best ||
+        score.inliers.length > best.inliers.length ||
+        (score.inliers.length === best.inliers.length && score.meanResidual < best.meanResidual)) {
+      best = score;
+    }
+  }
+
+  if (!best || best.inliers.length < 5) return null;
+
+  const ellipse = fitEllipseToPoints(cv, best.inliers);
+  if (!ellipse) return null;
+  return { ellipse, ...scoreEllipse(ellipse, points) };
+};
+
+export const detectPupilByEllipseFit = (cv, roi, width, height) => {
+  const blurred = new cv.Mat();
+
+  try {
+    cv.GaussianBlur(roi, blurred, new cv.Size(5, 5), 1.5);
+    const pixels = blurred.data;
+
+    // Start from the darkest point, then recast from the fitted centre so rays cross the edge squarely
+    const { minLoc } = cv.minMaxLoc(blurred);
+    let seed = { x: minLoc.x, y: minLoc.y };
+    let fit = null;
+
+    for (let pass = 0; pass < 2; pass++) {
+      const points = findRadialEdges(pixels, width, height, seed);
+      if (points.length < ELLIPSE_RAY_COUNT / 3) break;
+
+      const candidate = fitEllipseRANSAC(cv, points);
+      if (!candidate) break;
+
+      fit = { ...candidate, edgePoints: points.length };
+      seed = { x: candidate.ellipse.cx, y: candidate.ellipse.cy };
+      if (seed.x < 0 || seed.y < 0 || seed.x >= width - 1 || seed.y >= height - 1) break;
+    }
+
+    if (!fit) return null;
+
+    const { ellipse, inliers, meanResidual, edgePoints } = fit;
+    const majorAxis = ellipse.a * 2;
+    const minorAxis = ellipse.b * 2;
+    const inlierRatio = inliers.length / edgePoints;
+
+    if (inliers.length < 8 || inlierRatio < 0.5) return null;
+    if (majorAxis < 3 || majorAxis > Math.max(width, height)) return null;
+    if (minorAxis / majorAxis < 0.4) return null;
+    if (ellipse.cx < 0 || ellipse.cy < 0 || ellipse.cx >= width || ellipse.cy >= height) return null;
+
+    const fitQuality = inlierRatio * (1 - 0.5 * meanResidual / ELLIPSE_INLIER_TOLERANCE);
+    const coverage = edgePoints / ELLIPSE_RAY_COUNT;
+    const centerDist = Math.sqrt((ellipse.cx - width/2)**2 + (ellipse.cy - height/2)**2);
+    const centerScore = Math.max(0, 1 - centerDist / (width/2));
+
+    return {
+      cx: ellipse.cx,
+      cy: ellipse.cy,
+      // Off-axis gaze only foreshortens the minor axis, so the major axis is the pupil diameter
+      diameter: majorAxis,
+      confidence: (fitQuality * 0.7 + centerScore * 0.3) * coverage,
+      circularity: minorAxis / majorAxis,
+      method: 'ellipse',
+      ellipse: {
+        majorAxis,
+        minorAxis,
+        angle: ellipse.angle,
+        fitQuality,
+        inliers: inliers.length,
+        edgePoints
+      }
+    };
+
+  } catch (error) {
+    return null;
+  } finally {
+    blurred.delete();
+  }
+};
+
+// Every method detectPupilInROI chooses between, keyed by the `method` its results carry
+export const PUPIL_METHODS = [
+  { key: 'adaptive', label: 'Adaptive threshold', detect: detectPupilByAdaptiveThreshold },
+  { key: 'otsu', label: 'Otsu threshold', detect: detectPupilByOtsu },
+  { key: 'minval', label: 'Darkest point', detect: detectPupilByMinValue },
+  { key: 'contrast', label: 'Contrast threshold', detect: detectPupilByContrastThreshold },
+  { key: 'ellipse', label: 'Ellipse fit', detect: detectPupilByEllipseFit }
+];
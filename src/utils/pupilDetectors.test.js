@@ -0,0 +1,131 @@
+// @vitest-environment node
+// utils/pupilDetectors.test.js
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { loadOpenCVNode } from '../../scripts/benchmark-detection.js';
+import { renderSyntheticEye } from './syntheticEye.js';
+import {
+  PUPIL_METHODS,
+  analyzeEyeImage,
+  detectPupilByMinValue,
+  detectPupilByOtsu,
+  detectPupilInROI
+} from './pupilDetectors.js';
+
+// Worst diameter and centre error (px) each method may make on a clean round pupil.
+// minval only measures the dark core's edge along four rays, so it runs coarse.
+const TOLERANCE = {
+  adaptive: { diameter: 1.5, center: 0.5 },
+  otsu: { diameter: 1.5, center: 0.5 },
+  minval: { diameter: 4.5, center: 4 },
+  contrast: { diameter: 2.5, center: 0.5 },
+  ellipse: { diameter: 1, center: 0.5 }
+};
+
+// An eye ROI sized the way getEyeROI sizes it for an iris 2.5× the pupil
+const renderEye = ({ radius = 6, noise = 4, eyelid = 0 } = {}) => {
+  const irisRadius = radius / 0.4;
+  const size = Math.floor(Math.max(20, Math.min(50, irisRadius * 1.2)));
+  return renderSyntheticEye({
+    width: size,
+    height: size,
+    pupil: { cx: size / 2 + 0.2, cy: size / 2 - 0.9, radius },
+    irisRadius,
+    eyelid,
+    noise
+  });
+};
+
+describe('pupil detectors', () => {
+  let cv;
+  const mats = [];
+
+  const toGray = (eye) => {
+    const src = cv.matFromImageData(eye);
+    const gray = new cv.Mat();
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+    src.delete();
+    mats.push(gray);
+    return gray;
+  };
+
+  beforeAll(async () => {
+    ({ cv } = await loadOpenCVNode());
+  });
+
+  afterAll(() => mats.forEach(mat => mat.delete()));
+
+  describe.each(PUPIL_METHODS.map(method => [method.key, method]))('%s', (key, { detect }) => {
+    it.each([6, 8])('measures a %i px radius pupil', (radius) => {
+      const eye = renderEye({ radius });
+      const result = detect(cv, toGray(eye), eye.width, eye.height);
+
+      expect(result).not.toBeNull();
+      expect(result.method).toBe(key);
+      expect(Math.abs(result.diameter - eye.truth.majorAxis)).toBeLessThanOrEqual(TOLERANCE[key].diameter);
+      expect(Math.hypot(result.cx - eye.truth.cx, result.cy - eye.truth.cy)).toBeLessThanOrEqual(TOLERANCE[key].center);
+      expect(result.confidence).toBeGreaterThan(0);
+    });
+
+    it('finds nothing in a closed eye', () => {
+      const eye = renderEye({ eyelid: 1 });
+      expect(eye.truth).toBeNull();
+      expect(detect(cv, toGray(eye), eye.width, eye.height)).toBeNull();
+    });
+  });
+
+  it('picks the most confident method', () => {
+    const eye = renderEye();
+    const gray = toGray(eye);
+    const best = detectPupilInROI(cv, gray, eye.width, eye.height);
+    const confidences = PUPIL_METHODS
+      .map(({ detect }) => detect(cv, gray, eye.width, eye.height))
+      .filter(Boolean)
+      .map(result => result.confidence);
+
+    expect(best.confidence).toBe(Math.max(...confidences));
+    expect(Math.abs(best.diameter - eye.truth.majorAxis)).toBeLessThanOrEqual(1);
+  });
+
+  it('returns nothing for a closed eye when combined', () => {
+    const eye = renderEye({ eyelid: 1 });
+    expect(detectPupilInROI(cv, toGray(eye), eye.width, eye.height)).toBeNull();
+  });
+
+  it('reports the pupil in frame coordinates', () => {
+    const eye = renderEye();
+    const result = analyzeEyeImage(cv, eye, { x: 100, y: 40, width: eye.width, height: eye.height });
+
+    expect(result.center.x).toBeCloseTo(100 + eye.truth.cx, 0);
+    expect(result.center.y).toBeCloseTo(40 + eye.truth.cy, 0);
+    expect(result.size).toBeCloseTo(eye.truth.majorAxis, 0);
+  });
+
+  // What decides the "best" pick in every recording
+  describe('selection on production-size ROIs', () => {
+    it.each([3, 4, 5, 6, 8, 10])('prefers a fitted shape over minval for a %i px radius pupil', (radius) => {
+      const eye = renderEye({ radius });
+      const gray = toGray(eye);
+      const best = detectPupilInROI(cv, gray, eye.width, eye.height);
+      const minval = detectPupilByMinValue(cv, gray, eye.width, eye.height);
+
+      expect(best.method).not.toBe('minval');
+      expect(Math.abs(best.diameter - eye.truth.majorAxis)).toBeLessThanOrEqual(1);
+      expect(minval.confidence).toBeLessThanOrEqual(0.5);
+      expect(minval.confidence).toBeLessThan(best.confidence);
+    });
+
+    it.each([0, 10])('minval finds no edge in a closed eye (noise %i)', (noise) => {
+      const eye = renderEye({ eyelid: 1, noise });
+      expect(detectPupilByMinValue(cv, toGray(eye), eye.width, eye.height)).toBeNull();
+    });
+
+    it.each([24, 30])('otsu does not split the noise of a %i px closed eye', (size) => {
+      [1, 2, 3, 4, 5, 6].forEach(seed => {
+        const eye = renderSyntheticEye({
+          width: size, height: size, pupil: { cx: size / 2, cy: size / 2, radius: 6 }, irisRadius: 15, eyelid: 1, noise: 10, seed
+        });
+        expect(detectPupilByOtsu(cv, toGray(eye), size, size)).toBeNull();
+      });
+    });
+  });
+});
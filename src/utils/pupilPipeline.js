@@ -0,0 +1,109 @@
+// utils/pupilPipeline.js
+// Everything between a face's landmarks and a recorded pupil sample except
+// reading the pixels: blink gating, the detector ROIs, then the viewing-angle
+// correction, calibration and filtering of each detection. No React or DOM, so
+// the detection hook and headless tools share it.
+import { getMmPerPixel, pxToMm } from './calibration.js';
+import { EYE_LANDMARKS, getEyeROI } from './pupilDetectors.js';
+import { createBlinkDetector, eyeAspectRatio } from './blinks.js';
+import { createFilterPipeline } from './filterPipeline.js';
+import { estimateGaze } from './gaze.js';
+import { correctForeshortening, createHeadMotionMonitor } from './headPose.js';
+
+// Per-face state: each eye's channel pipelines and blink detector, plus the
+// face's head-motion monitor
+export const createFaceState = (headPoseOptions) => ({
+  filters: { left: null, right: null },
+  blinks: { left: createBlinkDetector(), right: createBlinkDetector() },
+  motion: createHeadMotionMonitor(headPoseOptions)
+});
+
+export const resetFilters = (face) => {
+  face.filters = { left: null, right: null };
+};
+
+// Blink state and pupil search region for each requested eye → { rois, blinks }
+export function prepareEyes(face, landmarks, eyeType, width, height) {
+  const eyesToProcess = eyeType === 'both' ? ['left', 'right'] : [eyeType];
+  const rois = {};
+  const blinks = {};
+
+  eyesToProcess.forEach(eye => {
+    if (!EYE_LANDMARKS[eye]) return;
+
+    // A closed eye has no pupil to measure: skip it and drop the filter state
+    // so the lid-covered frames aren't smeared into the first ones after
+    const blink = face.blinks[eye].update(eyeAspectRatio(landmarks, eye, width, height));
+    blinks[eye] = blink;
+    if (blink.isBlinking) {
+      face.filters[eye] = null;
+      return;
+    }
+
+    const geometry = getEyeROI(landmarks, EYE_LANDMARKS[eye], width, height);
+    if (geometry) rois[eye] = geometry;
+  });
+
+  return { rois, blinks };
+}
+
+// One eye's detection (analyzeEyeImage output) → the filtered sample the app records,
+// or null when nothing usable was found. context: { landmarks, width, height, irisDiameter,
+// irisDiameterMm, filterConfig, pose, poseOptions, sampleTime }
+export function measureEye(face, eye, detected, context) {
+  if (!detected || !(detected.size > 0)) return null;
+  const { landmarks, width, height, irisDiameter, irisDiameterMm, filterConfig, pose, poseOptions, sampleTime } = context;
+
+  // Undo the shrinkage of a pupil seen at an angle
+  const measuredSize = detected.size;
+  const size = poseOptions?.correctForeshortening && pose
+    ? correctForeshortening(detected.size, detected.method, pose.viewingAngle)
+    : detected.size;
+
+  // Scale from this frame's iris so leaning in/out doesn't change the reading
+  const mmPerPx = getMmPerPixel(irisDiameter, irisDiameterMm);
+  const rawSizeMm = pxToMm(size, mmPerPx);
+
+  if (!face.filters[eye]) {
+    face.filters[eye] = {
+      size: createFilterPipeline(filterConfig),
+      sizeMm: createFilterPipeline(filterConfig),
+      x: createFilterPipeline(filterConfig),
+      y: createFilterPipeline(filterConfig),
+      // Millimetres go through the pipeline in pixel-equivalent units so one
+      // set of parameters suits both traces
+      mmScale: mmPerPx
+    };
+  }
+
+  const channels = face.filters[eye];
+  const filteredSize = channels.size.update(size, sampleTime);
+  const filteredX = channels.x.update(detected.center.x, sampleTime);
+  const filteredY = channels.y.update(detected.center.y, sampleTime);
+  if (rawSizeMm !== null && !channels.mmScale) channels.mmScale = mmPerPx;
+  const filteredSizeMm = rawSizeMm !== null
+    ? channels.sizeMm.update(rawSizeMm / channels.mmScale, sampleTime) * channels.mmScale
+    : null;
+
+  const center = { x: filteredX, y: filteredY };
+
+  return {
+    center,
+    size: filteredSize,
+    sizePx: filteredSize,
+    sizeMm: filteredSizeMm,
+    rawSize: size,
+    rawSizeMm,
+    // Size as detected, before the viewing-angle correction
+    measuredSize,
+    irisDiameter,
+    mmPerPx,
+    rawCenter: detected.center,
+    confidence: detected.confidence,
+    circularity: detected.circularity,
+    method: detected.method || 'threshold',
+    // Axes in px, major-axis angle in degrees; only set when the ellipse fit won
+    ellipse: detected.ellipse || null,
+    gaze: estimateGaze(landmarks, center, eye, width, height, mmPerPx, pose)
+  };
+}
@@ -0,0 +1,65 @@
+// @vitest-environment node
+// utils/pupilPipeline.test.js
+import { beforeAll, describe, expect, it } from 'vitest';
+import { loadOpenCVNode } from '../../scripts/benchmark-detection.js';
+import { renderSyntheticEye } from './syntheticEye.js';
+import { analyzeEyeImage } from './pupilDetectors.js';
+import { createFaceState, measureEye } from './pupilPipeline.js';
+
+const IRIS_DIAMETER_PX = 30;
+const IRIS_DIAMETER_MM = 11.7;
+
+const context = (overrides = {}) => ({
+  landmarks: [],
+  width: 640,
+  height: 480,
+  irisDiameter: IRIS_DIAMETER_PX,
+  irisDiameterMm: IRIS_DIAMETER_MM,
+  // No stages, so the samples come out as measured
+  filterConfig: [],
+  pose: null,
+  poseOptions: null,
+  sampleTime: 0,
+  ...overrides
+});
+
+describe('pupil pipeline', () => {
+  let cv;
+
+  beforeAll(async () => {
+    ({ cv } = await loadOpenCVNode());
+  });
+
+  it('turns a rendered eye into a calibrated sample', () => {
+    const eye = renderSyntheticEye({ width: 20, height: 20, pupil: { cx: 9.5, cy: 9.5, radius: 6 }, irisRadius: 15, noise: 4 });
+    const roi = { x: 200, y: 120, width: eye.width, height: eye.height };
+    const sample = measureEye(createFaceState(), 'left', analyzeEyeImage(cv, eye, roi), context());
+
+    const mmPerPx = IRIS_DIAMETER_MM / IRIS_DIAMETER_PX;
+    expect(sample.mmPerPx).toBeCloseTo(mmPerPx, 6);
+    expect(Math.abs(sample.sizePx - 12)).toBeLessThanOrEqual(1);
+    expect(Math.abs(sample.sizeMm - 12 * mmPerPx)).toBeLessThanOrEqual(mmPerPx);
+    expect(sample.center.x).toBeCloseTo(209.5, 0);
+    expect(sample.center.y).toBeCloseTo(129.5, 0);
+    expect(sample.confidence).toBeGreaterThan(0);
+  });
+
+  it('drops a closed eye', () => {
+    const eye = renderSyntheticEye({ width: 20, height: 20, pupil: { cx: 9.5, cy: 9.5, radius: 6 }, irisRadius: 15, eyelid: 1 });
+    const detected = analyzeEyeImage(cv, eye, { x: 0, y: 0, width: eye.width, height: eye.height });
+
+    expect(detected).toBeNull();
+    expect(measureEye(createFaceState(), 'left', detected, context())).toBeNull();
+  });
+
+  it('enlarges a pupil seen off-axis when correcting foreshortening', () => {
+    const detected = { center: { x: 10, y: 10 }, size: 12, confidence: 0.9, circularity: 1, method: 'contrast' };
+    const pose = { viewingAngle: 30 };
+    const straight = measureEye(createFaceState(), 'left', detected, context({ pose }));
+    const corrected = measureEye(createFaceState(), 'left', detected, context({ pose, poseOptions: { correctForeshortening: true } }));
+
+    expect(straight.rawSize).toBe(12);
+    expect(corrected.measuredSize).toBe(12);
+    expect(corrected.rawSize).toBeGreaterThan(12);
+  });
+});
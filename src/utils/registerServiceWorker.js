@@ -0,0 +1,11 @@
+// utils/registerServiceWorker.js
+// The service worker only exists in production builds (see vite.config.js)
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
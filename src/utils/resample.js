@@ -0,0 +1,157 @@
+// utils/resample.js
+// Puts irregularly timed history onto a uniform time grid. Every column is
+// resampled on its own, so one eye's blink doesn't blank the other; a grid point
+// whose surrounding samples are further apart than maxGapMs stays null.
+
+export const RESAMPLE_METHODS = [
+  { key: 'linear', label: 'Linear' },
+  { key: 'spline', label: 'Cubic spline' },
+  { key: 'nearest', label: 'Nearest' }
+];
+
+export const RESAMPLE_RATE_PRESETS = [30, 60, 120];
+
+export const DEFAULT_RESAMPLE_OPTIONS = {
+  method: 'linear',
+  rate: 60,          // Hz
+  maxGapMs: 100      // bridges a dropped frame or two, not a blink
+};
+
+// Per-frame bookkeeping that has no meaning between frames
+const FRAME_KEYS = ['timestamp', 'mediaTime', 'presentedFrames'];
+// Numeric labels rather than measurements: never interpolated
+const CATEGORICAL_KEYS = ['faceId'];
+
+// Second derivatives of the natural cubic spline through points (Thomas algorithm)
+const splineSecondDerivatives = (points) => {
+  const n = points.length;
+  const m = new Array(n).fill(0);
+  if (n < 3) return m;
+
+  const c = new Array(n).fill(0);
+  const d = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    const h0 = points[i].t - points[i - 1].t;
+    const h1 = points[i + 1].t - points[i].t;
+    const rhs = 6 * ((points[i + 1].v - points[i].v) / h1 - (points[i].v - points[i - 1].v) / h0);
+    const diag = 2 * (h0 + h1) - h0 * c[i - 1];
+    c[i] = h1 / diag;
+    d[i] = (rhs - h0 * d[i - 1]) / diag;
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    m[i] = d[i] - c[i] * m[i + 1];
+  }
+  return m;
+};
+
+// Runs of points with no gap over maxGapMs; splines are fitted per run
+const splitRuns = (points, maxGapMs) => {
+  const runs = [];
+  let run = [];
+  points.forEach((point, i) => {
+    if (i > 0 && point.t - points[i - 1].t > maxGapMs) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(point);
+  });
+  if (run.length) runs.push(run);
+  return runs;
+};
+
+// Values of one column at each grid time
+const resampleSeries = (points, grid, { method, maxGapMs }) => {
+  const values = new Array(grid.length).fill(null);
+  if (points.length === 0) return values;
+
+  // Strings and flags (method names, blink states) take the nearest sample
+  const interpolation = typeof points[0].v === 'number' ? method : 'nearest';
+
+  // Spline coefficients per run, indexed by the run's first point
+  const splineRuns = [];
+  if (interpolation === 'spline') {
+    splitRuns(points, maxGapMs).forEach(run => splineRuns.push({ run, m: splineSecondDerivatives(run) }));
+  }
+
+  let k = 0; // points[k] is the last point at or before the grid time
+  let runIndex = 0;
+  let runStart = 0;
+  grid.forEach((t, g) => {
+    while (k + 1 < points.length && points[k + 1].t <= t) k++;
+    const before = points[k];
+    if (before.t > t) return;
+
+    if (before.t === t) {
+      values[g] = before.v;
+      return;
+    }
+    const after = points[k + 1];
+    if (!after || after.t - before.t > maxGapMs) return;
+
+    const span = after.t - before.t;
+    const u = (t - before.t) / span;
+    if (interpolation === 'nearest') {
+      values[g] = u < 0.5 ? before.v : after.v;
+    } else if (interpolation === 'spline') {
+      while (runStart + splineRuns[runIndex].run.length <= k) {
+        runStart += splineRuns[runIndex].run.length;
+        runIndex++;
+      }
+      const { m } = splineRuns[runIndex];
+      const i = k - runStart;
+      const a = 1 - u;
+      values[g] = a * before.v + u * after.v +
+        ((a ** 3 - a) * m[i] + (u ** 3 - u) * m[i + 1]) * (span * span) / 6;
+    } else {
+      values[g] = before.v + (after.v - before.v) * u;
+    }
+  });
+  return values;
+};
+
+export const resampleHistory = (history, options = {}) => {
+  const opts = { ...DEFAULT_RESAMPLE_OPTIONS, ...options };
+  if (!history || history.length < 2 || !(opts.rate > 0)) return history || [];
+
+  const start = history[0].timestamp;
+  const end = history[history.length - 1].timestamp;
+  const step = 1000 / opts.rate;
+  const grid = [];
+  for (let t = start; t <= end + 1e-9; t += step) grid.push(t);
+
+  const keys = new Set();
+  history.forEach(entry => Object.keys(entry).forEach(key => keys.add(key)));
+  FRAME_KEYS.forEach(key => keys.delete(key));
+
+  const columns = {};
+  keys.forEach(key => {
+    const points = [];
+    history.forEach(entry => {
+      if (entry[key] != null) points.push({ t: entry.timestamp, v: entry[key] });
+    });
+    columns[key] = resampleSeries(points, grid, CATEGORICAL_KEYS.includes(key) ? { ...opts, method: 'nearest' } : opts);
+  });
+
+  return grid.map((timestamp, g) => {
+    const entry = { timestamp, mediaTime: null, presentedFrames: null };
+    keys.forEach(key => {
+      entry[key] = columns[key][g];
+    });
+    return entry;
+  });
+};
+
+// Copy of a session on the uniform grid, noting how it was produced
+export const resampleSession = (session, options = {}) => {
+  const opts = { ...DEFAULT_RESAMPLE_OPTIONS, ...options };
+  const history = resampleHistory(session.history, opts);
+  return {
+    ...session,
+    metadata: {
+      ...session.metadata,
+      sampleCount: history.length,
+      resampling: { method: opts.method, rate: opts.rate, maxGapMs: opts.maxGapMs, originalSampleCount: session.history.length }
+    },
+    history
+  };
+};
@@ -0,0 +1,84 @@
+// utils/session.js
+// A session is { metadata, events, history }: the recorded samples, the stimulus
+// and marker events on the same clock, and what's needed to interpret them.
+export const SESSION_FORMAT = 'crazyeyes-session';
+// v2: history entries carry face, frame, head pose, ellipse, gaze and blink columns
+export const SESSION_FORMAT_VERSION = 2;
+
+const eyeFields = (eye, data, blink, gaze = data?.gaze) => ({
+  // Calibrated millimetres are the primary size; pixel values are kept alongside
+  [eye]: data?.sizeMm || null,
+  [`${eye}Px`]: data?.sizePx || null,
+  [`${eye}RawPx`]: data?.rawSize || null,
+  [`${eye}RawMm`]: data?.rawSizeMm || null,
+  [`${eye}X`]: data?.center?.x ?? null,
+  [`${eye}Y`]: data?.center?.y ?? null,
+  [`${eye}Confidence`]: data?.confidence || null,
+  [`${eye}Circularity`]: data?.circularity ?? null,
+  [`${eye}Method`]: data?.method || null,
+  // Raw ellipse-fit shape, present only on samples where that method won
+  [`${eye}MinorPx`]: data?.ellipse?.minorAxis ?? null,
+  [`${eye}Angle`]: data?.ellipse?.angle ?? null,
+  [`${eye}FitQuality`]: data?.ellipse?.fitQuality ?? null,
+  // Gaze angles in degrees (see utils/gaze.js)
+  [`${eye}GazeX`]: gaze?.horizontal ?? null,
+  [`${eye}GazeY`]: gaze?.vertical ?? null,
+  // Blink samples keep the eye's EAR but no size
+  [`${eye}Blink`]: blink ? blink.isBlinking : null,
+  [`${eye}Ear`]: blink?.ear ?? null
+});
+
+export function createHistoryEntry(timestamp, data) {
+  return {
+    timestamp,
+    // Tracked face the sample came from (see utils/faceTracker.js)
+    faceId: data?.faceId ?? null,
+    // Source frame: media time (s) and the video element's presented-frame counter
+    mediaTime: data?.frame?.mediaTime ?? null,
+    presentedFrames: data?.frame?.presentedFrames ?? null,
+    // Head pose (see utils/headPose.js); headMotion marks samples past the motion limits
+    headYaw: data?.headPose?.yaw ?? null,
+    headPitch: data?.headPose?.pitch ?? null,
+    headRoll: data?.headPose?.roll ?? null,
+    headDistanceMm: data?.headPose?.distanceMm ?? null,
+    viewingAngle: data?.headPose?.viewingAngle ?? null,
+    headMotion: data?.headPose?.exceeded ? data.headPose.exceeded.length > 0 : null,
+    ...eyeFields('left', data?.left, data?.blinks?.left, data?.gaze?.left ?? data?.left?.gaze),
+    ...eyeFields('right', data?.right, data?.blinks?.right, data?.gaze?.right ?? data?.right?.gaze)
+  };
+}
+
+// A history entry from an older format, with the columns it predates set to null
+export const upgradeHistoryEntry = (entry) => ({ ...createHistoryEntry(entry.timestamp, null), ...entry });
+
+// A history saved as `version` brought up to the current format (v1 data carried no version)
+export const upgradeHistory = (history, version = 1) => (
+  version === SESSION_FORMAT_VERSION ? history : history.map(upgradeHistoryEntry)
+);
+
+export function getDeviceInfo(cameraLabel = null) {
+  return {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    screen: { width: window.screen.width, height: window.screen.height },
+    camera: cameraLabel
+  };
+}
+
+export function createSession({ history, events = [], metadata = {} }) {
+  const startedAt = metadata.startedAt ?? history[0]?.timestamp ?? null;
+  const endedAt = metadata.endedAt ?? history[history.length - 1]?.timestamp ?? null;
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_FORMAT_VERSION,
+    metadata: {
+      ...metadata,
+      startedAt,
+      endedAt,
+      sampleCount: history.length
+    },
+    events,
+    history
+  };
+}
@@ -0,0 +1,111 @@
+// utils/sessionExport.js
+import { SESSION_FORMAT, SESSION_FORMAT_VERSION, upgradeHistory } from './session';
+import { annotationLabelsBySample } from './annotations';
+
+// Column name → history entry key, per eye
+const EYE_COLUMNS = [
+  ['mm', ''],
+  ['px', 'Px'],
+  ['raw_px', 'RawPx'],
+  ['raw_mm', 'RawMm'],
+  ['x', 'X'],
+  ['y', 'Y'],
+  ['confidence', 'Confidence'],
+  ['circularity', 'Circularity'],
+  ['method', 'Method'],
+  ['ellipse_minor_px', 'MinorPx'],
+  ['ellipse_angle', 'Angle'],
+  ['ellipse_fit', 'FitQuality'],
+  ['gaze_x_deg', 'GazeX'],
+  ['gaze_y_deg', 'GazeY'],
+  ['blink', 'Blink'],
+  ['ear', 'Ear']
+];
+
+const escapeCSV = (value) => {
+  if (value == null) return '';
+  const text = typeof value === 'number' ? String(Number(value.toFixed(6))) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function sessionToCSV(session) {
+  const { history } = session;
+  const start = history[0]?.timestamp ?? 0;
+  const annotations = annotationLabelsBySample(history, session.events || []);
+
+  const columns = [
+    ['timestamp_ms', h => h.timestamp],
+    ['elapsed_s', h => (h.timestamp - start) / 1000],
+    ['media_time_s', h => h.mediaTime],
+    ['presented_frames', h => h.presentedFrames],
+    ['face_id', h => h.faceId],
+    ['head_yaw_deg', h => h.headYaw],
+    ['head_pitch_deg', h => h.headPitch],
+    ['head_roll_deg', h => h.headRoll],
+    ['head_distance_mm', h => h.headDistanceMm],
+    ['viewing_angle_deg', h => h.viewingAngle],
+    ['head_motion', h => h.headMotion],
+    ...['left', 'right'].flatMap(eye =>
+      EYE_COLUMNS.map(([name, suffix]) => [`${eye}_${name}`, h => h[`${eye}${suffix}`]])
+    ),
+    // User markers, on the sample they were stamped at (full list in the JSON events)
+    ['annotation', (h, i) => annotations.get(i)]
+  ];
+
+  const rows = history.map((h, i) => columns.map(([, get]) => escapeCSV(get(h, i))).join(','));
+  return [columns.map(([name]) => name).join(','), ...rows].join('\n');
+}
+
+export function sessionToJSON(session) {
+  return JSON.stringify({ ...session, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+export function parseSessionJSON(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a valid JSON file: ${err.message}`);
+  }
+
+  if (parsed?.format !== SESSION_FORMAT) {
+    throw new Error('File is not a pupil tracker session export');
+  }
+  if (parsed.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Session format v${parsed.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(parsed.history)) {
+    throw new Error('Session file has no sample history');
+  }
+
+  // Older files are brought up to the current shape, so review code sees one format
+  return {
+    format: parsed.format,
+    version: SESSION_FORMAT_VERSION,
+    metadata: parsed.metadata || {},
+    events: Array.isArray(parsed.events) ? parsed.events : [],
+    history: upgradeHistory(parsed.history, parsed.version)
+  };
+}
+
+export function sessionFilename(session, extension) {
+  const started = session.metadata?.startedAt;
+  const stamp = (started ? new Date(started) : new Date()).toISOString().replace(/[:.]/g, '-');
+  const subject = session.metadata?.subjectId
+    ? `${session.metadata.subjectId.replace(/[^\w-]+/g, '_')}-`
+    : '';
+  return `pupil-session-${subject}${stamp}.${extension}`;
+}
+
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers start the download after click() returns; revoking now can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,67 @@
+// utils/sessionExport.test.js
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { SESSION_FORMAT, SESSION_FORMAT_VERSION, createSession } from './session';
+import { downloadFile, parseSessionJSON, sessionToJSON } from './sessionExport';
+
+// A v1 export: sizes and positions only, from before the later columns existed
+const V1_FILE = JSON.stringify({
+  format: SESSION_FORMAT,
+  version: 1,
+  metadata: { startedAt: 1000, endedAt: 1100 },
+  events: [{ type: 'flash', timestamp: 1050 }],
+  history: [
+    { timestamp: 1000, left: 4.2, leftPx: 21, leftX: 100, leftY: 80, leftConfidence: 0.9, leftMethod: 'ellipse', right: null },
+    { timestamp: 1100, left: 4.1, leftPx: 20.5, leftX: 101, leftY: 80, leftConfidence: 0.8, leftMethod: 'otsu', right: null }
+  ]
+});
+
+describe('parseSessionJSON', () => {
+  it('round-trips a current session', () => {
+    const session = createSession({ history: [{ timestamp: 1, left: 4 }], events: [], metadata: { startedAt: 1 } });
+    const parsed = parseSessionJSON(sessionToJSON(session));
+
+    expect(parsed.version).toBe(SESSION_FORMAT_VERSION);
+    expect(parsed.history).toEqual(session.history);
+  });
+
+  it('upgrades an older file to the current columns', () => {
+    const parsed = parseSessionJSON(V1_FILE);
+
+    expect(parsed.version).toBe(SESSION_FORMAT_VERSION);
+    expect(parsed.events).toHaveLength(1);
+    expect(parsed.history[0]).toMatchObject({ timestamp: 1000, left: 4.2, leftPx: 21, leftMethod: 'ellipse' });
+    expect(parsed.history[0].headYaw).toBeNull();
+    expect(parsed.history[0].leftGazeX).toBeNull();
+    expect(parsed.history[0].faceId).toBeNull();
+  });
+
+  it('rejects newer versions and other files', () => {
+    expect(() => parseSessionJSON(JSON.stringify({ format: SESSION_FORMAT, version: SESSION_FORMAT_VERSION + 1, history: [] })))
+      .toThrow(/newer than this app supports/);
+    expect(() => parseSessionJSON(JSON.stringify({ format: 'other', history: [] }))).toThrow(/not a pupil tracker session/);
+    expect(() => parseSessionJSON('{')).toThrow(/Not a valid JSON file/);
+  });
+});
+
+describe('downloadFile', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('keeps the object URL alive until the download has started', () => {
+    vi.useFakeTimers();
+    URL.createObjectURL = vi.fn(() => 'blob:session');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    downloadFile('{}', 'session.json', 'application/json');
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:session');
+    click.mockRestore();
+  });
+});
@@ -0,0 +1,164 @@
+// utils/sessionStore.js
+// IndexedDB persistence for recorded sessions. Summaries and sample data live in
+// separate stores so the session list loads without pulling every history array.
+import { SESSION_FORMAT_VERSION, createSession, upgradeHistory } from './session';
+
+const DB_NAME = 'pupil-tracker';
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'sessions';
+const DATA_STORE = 'sessionData';
+
+let dbPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+});
+
+export const openSessionDB = () => {
+  if (dbPromise) return dbPromise;
+  if (!window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+        const store = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('startedAt', 'startedAt');
+        store.createIndex('subjectId', 'subjectId');
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+const toSummary = (session, extra = {}) => {
+  const { metadata } = session;
+  return {
+    name: metadata.name || `Session ${new Date(metadata.startedAt ?? Date.now()).toLocaleString()}`,
+    subjectId: metadata.subjectId || '',
+    notes: metadata.notes || '',
+    startedAt: metadata.startedAt ?? null,
+    endedAt: metadata.endedAt ?? null,
+    sampleCount: session.history.length,
+    eventCount: session.events.length,
+    ...extra
+  };
+};
+
+export async function saveSession(session) {
+  const db = await openSessionDB();
+  const savedAt = Date.now();
+  const summary = toSummary(session, { createdAt: savedAt, updatedAt: savedAt });
+
+  const tx = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  const id = await promisifyRequest(tx.objectStore(SUMMARY_STORE).add(summary));
+  tx.objectStore(DATA_STORE).put({
+    id,
+    version: SESSION_FORMAT_VERSION,
+    metadata: session.metadata,
+    events: session.events,
+    history: session.history
+  });
+  await transactionDone(tx);
+
+  return { ...summary, id };
+}
+
+export async function listSessions() {
+  const db = await openSessionDB();
+  const tx = db.transaction(SUMMARY_STORE, 'readonly');
+  const summaries = await promisifyRequest(tx.objectStore(SUMMARY_STORE).getAll());
+  return summaries.sort((a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0));
+}
+
+export async function loadSession(id) {
+  const db = await openSessionDB();
+  const tx = db.transaction([SUMMARY_STORE, DATA_STORE], 'readonly');
+  const [summary, data] = await Promise.all([
+    promisifyRequest(tx.objectStore(SUMMARY_STORE).get(id)),
+    promisifyRequest(tx.objectStore(DATA_STORE).get(id))
+  ]);
+
+  if (!summary || !data) {
+    throw new Error(`Session ${id} not found`);
+  }
+
+  // Name/subject/notes edits are made on the summary, which wins over the stored metadata.
+  // Records saved by older builds are upgraded the same way an imported file is.
+  return createSession({
+    history: upgradeHistory(data.history, data.version),
+    events: data.events,
+    metadata: {
+      ...data.metadata,
+      name: summary.name,
+      subjectId: summary.subjectId,
+      notes: summary.notes,
+      storedId: id
+    }
+  });
+}
+
+export async function updateSession(id, changes) {
+  const db = await openSessionDB();
+  const tx = db.transaction(SUMMARY_STORE, 'readwrite');
+  const store = tx.objectStore(SUMMARY_STORE);
+  const existing = await promisifyRequest(store.get(id));
+  if (!existing) {
+    throw new Error(`Session ${id} not found`);
+  }
+
+  const updated = { ...existing, ...changes, id, updatedAt: Date.now() };
+  store.put(updated);
+  await transactionDone(tx);
+  return updated;
+}
+
+// Replaces a stored session's events, e.g. after its annotations were edited
+export async function updateSessionEvents(id, events) {
+  const db = await openSessionDB();
+  const tx = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  const summaries = tx.objectStore(SUMMARY_STORE);
+  const data = tx.objectStore(DATA_STORE);
+  const [summary, stored] = await Promise.all([
+    promisifyRequest(summaries.get(id)),
+    promisifyRequest(data.get(id))
+  ]);
+  if (!summary || !stored) {
+    throw new Error(`Session ${id} not found`);
+  }
+
+  const updated = { ...summary, eventCount: events.length, updatedAt: Date.now() };
+  summaries.put(updated);
+  data.put({ ...stored, events });
+  await transactionDone(tx);
+  return updated;
+}
+
+export async function deleteSession(id) {
+  const db = await openSessionDB();
+  const tx = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+  tx.objectStore(SUMMARY_STORE).delete(id);
+  tx.objectStore(DATA_STORE).delete(id);
+  await transactionDone(tx);
+}
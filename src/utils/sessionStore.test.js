@@ -0,0 +1,103 @@
+// utils/sessionStore.test.js
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { SESSION_FORMAT_VERSION, createSession } from './session';
+import { loadSession, saveSession } from './sessionStore';
+
+// Just enough of IndexedDB for the store: requests and transactions settle on later ticks
+const request = (tx, run) => {
+  const req = {};
+  tx.pending += 1;
+  setTimeout(() => {
+    req.result = run();
+    req.onsuccess?.();
+    tx.pending -= 1;
+    setTimeout(() => {
+      if (tx.pending === 0 && !tx.done) {
+        tx.done = true;
+        tx.oncomplete?.();
+      }
+    });
+  });
+  return req;
+};
+
+const createFakeIndexedDB = () => {
+  const stores = new Map();
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, { keyPath, autoIncrement = false }) => {
+      stores.set(name, { keyPath, autoIncrement, nextKey: 1, records: new Map() });
+      return { createIndex: () => {} };
+    },
+    transaction: () => {
+      const tx = { pending: 0, done: false };
+      tx.objectStore = (name) => {
+        const store = stores.get(name);
+        const put = (value) => {
+          const key = value[store.keyPath] ?? store.nextKey++;
+          store.records.set(key, { ...value, [store.keyPath]: key });
+          return key;
+        };
+        return {
+          add: (value) => request(tx, () => put(value)),
+          put: (value) => request(tx, () => put(value)),
+          get: (key) => request(tx, () => store.records.get(key)),
+          getAll: () => request(tx, () => [...store.records.values()]),
+          delete: (key) => request(tx, () => store.records.delete(key))
+        };
+      };
+      return tx;
+    }
+  };
+
+  return {
+    stores,
+    open: () => {
+      const req = {};
+      setTimeout(() => {
+        req.result = db;
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+};
+
+describe('sessionStore', () => {
+  let fakeDB;
+
+  beforeAll(() => {
+    fakeDB = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', fakeDB);
+  });
+
+  it('stores the format version with the sample data', async () => {
+    const session = createSession({ history: [{ timestamp: 1, left: 4 }], metadata: { startedAt: 1 } });
+    const { id } = await saveSession(session);
+
+    expect(fakeDB.stores.get('sessionData').records.get(id).version).toBe(SESSION_FORMAT_VERSION);
+
+    const loaded = await loadSession(id);
+    expect(loaded.history).toEqual(session.history);
+  });
+
+  it('upgrades sessions saved before the format was versioned', async () => {
+    const { id } = await saveSession(createSession({ history: [], metadata: { name: 'Old session' } }));
+    // What an older build left behind: no version, and only the v1 columns
+    fakeDB.stores.get('sessionData').records.set(id, {
+      id,
+      metadata: { startedAt: 1000 },
+      events: [],
+      history: [{ timestamp: 1000, left: 4.2, leftPx: 21, leftMethod: 'ellipse', right: null }]
+    });
+
+    const loaded = await loadSession(id);
+
+    expect(loaded.version).toBe(SESSION_FORMAT_VERSION);
+    expect(loaded.metadata.name).toBe('Old session');
+    expect(loaded.history[0]).toMatchObject({ timestamp: 1000, left: 4.2, leftPx: 21, leftMethod: 'ellipse' });
+    expect(loaded.history[0].headYaw).toBeNull();
+    expect(loaded.history[0].faceId).toBeNull();
+  });
+});
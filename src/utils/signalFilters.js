@@ -0,0 +1,168 @@
+// utils/signalFilters.js
+// Causal single-channel filters for the live pipeline. Each stage has
+// update(value, timestampMs) → filtered value and reset(); window-based stages
+// only look at the samples seen so far, so they add no future lookahead.
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Trailing window of the last `size` samples
+class Window {
+  constructor(size) {
+    this.size = Math.max(1, Math.round(size));
+    this.values = [];
+  }
+
+  push(value) {
+    this.values.push(value);
+    if (this.values.length > this.size) this.values.shift();
+    return this.values;
+  }
+
+  clear() {
+    this.values = [];
+  }
+}
+
+// Casiez et al. 2012: cutoff rises with speed, so slow drift is smoothed hard
+// and fast changes (constriction onset) pass with little lag
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0.05, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.x = null;
+    this.dx = 0;
+    this.lastTime = null;
+  }
+
+  update(value, timestamp = null) {
+    if (this.x === null) {
+      this.x = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    const elapsed = timestamp != null && this.lastTime != null ? (timestamp - this.lastTime) / 1000 : 0;
+    const dt = elapsed > 0 ? elapsed : 1 / 30;
+    this.lastTime = timestamp;
+
+    const alpha = (cutoff) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+
+    const rawDx = (value - this.x) / dt;
+    this.dx += alpha(this.dCutoff) * (rawDx - this.dx);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+    this.x += alpha(cutoff) * (value - this.x);
+    return this.x;
+  }
+}
+
+export class MedianFilter {
+  constructor({ window = 5 } = {}) {
+    this.window = new Window(window);
+  }
+
+  reset() {
+    this.window.clear();
+  }
+
+  update(value) {
+    return median(this.window.push(value));
+  }
+}
+
+// Replaces a sample with the window median when it sits more than `threshold`
+// robust standard deviations (1.4826 × MAD) away from it
+export class HampelFilter {
+  constructor({ window = 7, threshold = 3 } = {}) {
+    this.window = new Window(window);
+    this.threshold = threshold;
+  }
+
+  reset() {
+    this.window.clear();
+  }
+
+  update(value) {
+    const values = this.window.push(value);
+    if (values.length < 3) return value;
+
+    const center = median(values);
+    const sigma = 1.4826 * median(values.map(v => Math.abs(v - center)));
+    if (sigma > 0 && Math.abs(value - center) > this.threshold * sigma) {
+      // Keep the outlier out of later windows too
+      values[values.length - 1] = center;
+      return center;
+    }
+    return value;
+  }
+}
+
+// Solve A x = b for a small dense system by Gaussian elimination
+const solve = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+};
+
+// Weights that evaluate the least-squares polynomial of `order` through the
+// last `length` samples at the newest one
+export const savitzkyGolayWeights = (length, order) => {
+  const degree = Math.min(order, length - 1);
+  const positions = Array.from({ length }, (_, i) => i - (length - 1));
+
+  // Normal equations AᵀA c = e0, then w = A c
+  const ata = Array.from({ length: degree + 1 }, (_, r) =>
+    Array.from({ length: degree + 1 }, (_, c) =>
+      positions.reduce((sum, t) => sum + t ** (r + c), 0)
+    )
+  );
+  const e0 = Array.from({ length: degree + 1 }, (_, i) => (i === 0 ? 1 : 0));
+  const coefficients = solve(ata, e0);
+
+  return positions.map(t => coefficients.reduce((sum, c, p) => sum + c * t ** p, 0));
+};
+
+// Endpoint Savitzky-Golay: keeps peak shape better than a moving average, at
+// the cost of more noise than the centred (offline) form
+export class SavitzkyGolayFilter {
+  constructor({ window = 7, order = 2 } = {}) {
+    this.window = new Window(window);
+    this.order = Math.max(0, Math.round(order));
+    this.weights = new Map();
+  }
+
+  reset() {
+    this.window.clear();
+  }
+
+  update(value) {
+    const values = this.window.push(value);
+    const length = values.length;
+    if (!this.weights.has(length)) {
+      this.weights.set(length, savitzkyGolayWeights(length, this.order));
+    }
+    const weights = this.weights.get(length);
+    return values.reduce((sum, v, i) => sum + v * weights[i], 0);
+  }
+}
@@ -0,0 +1,222 @@
+// utils/signalQuality.js
+// Live signal quality: rolling tracking rate, confidence and detector-method
+// switching over the last few seconds, lighting from the frame's luminance
+// histogram, and the operator prompts and recording gate derived from them.
+import { EYELID_LANDMARKS } from './blinks';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  minTrackingRate: 0.8,        // fraction of open-eye frames with a pupil
+  minConfidence: 0.5,
+  maxMethodSwitchRate: 3,      // detector changes per second, per eye
+  blockRecording: false
+};
+
+export const QUALITY_WINDOW_MS = 3000;
+// Fewer frames than this in the window is no basis for a verdict
+export const MIN_QUALITY_FRAMES = 10;
+
+export const HISTOGRAM_BINS = 32;
+
+const LIGHTING_LIMITS = {
+  tooDarkMean: 60,
+  tooBrightMean: 210,
+  lowContrast: 40,             // p95 - p5 luminance
+  saturated: 0.05,             // whole-frame fraction at 250+
+  eyeGlare: 0.04               // eye-region fraction at 245+
+};
+
+const FACE_LIMITS = {
+  minWidth: 0.2,               // face box width as a fraction of the frame
+  maxWidth: 0.75,
+  maxOffset: 0.2               // face centre from frame centre
+};
+
+// Rolling per-frame record. update() takes { faceFound, eyes: { left?, right? } } where
+// each eye is { tracked, blinking, confidence, circularity, method }.
+export const createQualityMonitor = (windowMs = QUALITY_WINDOW_MS) => {
+  let frames = [];
+  const lastMethod = { left: null, right: null };
+
+  return {
+    update(frame, timestamp) {
+      const switches = {};
+      Object.entries(frame.eyes || {}).forEach(([eye, result]) => {
+        if (!result.tracked || !result.method) return;
+        switches[eye] = lastMethod[eye] !== null && lastMethod[eye] !== result.method;
+        lastMethod[eye] = result.method;
+      });
+      // Time going backwards (a file seek) starts over
+      if (frames.length && timestamp < frames[frames.length - 1].timestamp) frames = [];
+      frames.push({ ...frame, switches, timestamp });
+      while (frames.length && frames[0].timestamp < timestamp - windowMs) frames.shift();
+    },
+    summary() {
+      if (frames.length === 0) return null;
+      let faceFrames = 0;
+      let eyeFrames = 0;
+      let trackedFrames = 0;
+      let switchCount = 0;
+      const confidences = [];
+      const circularities = [];
+      frames.forEach(frame => {
+        if (!frame.faceFound) return;
+        faceFrames++;
+        Object.entries(frame.eyes || {}).forEach(([eye, result]) => {
+          // A closed eye can't be tracked; it neither helps nor hurts the rate
+          if (result.blinking) return;
+          eyeFrames++;
+          if (!result.tracked) return;
+          trackedFrames++;
+          if (result.confidence != null) confidences.push(result.confidence);
+          if (result.circularity != null) circularities.push(result.circularity);
+          if (frame.switches[eye]) switchCount++;
+        });
+      });
+      const eyeCount = Math.max(1, ...frames.map(f => Object.keys(f.eyes || {}).length));
+      const seconds = Math.max((frames[frames.length - 1].timestamp - frames[0].timestamp) / 1000, 1e-3);
+      const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+      return {
+        frames: frames.length,
+        faceRate: faceFrames / frames.length,
+        trackingRate: eyeFrames > 0 ? trackedFrames / eyeFrames : 0,
+        meanConfidence: mean(confidences),
+        meanCircularity: mean(circularities),
+        methodSwitchRate: switchCount / eyeCount / seconds
+      };
+    },
+    reset() {
+      frames = [];
+      lastMethod.left = null;
+      lastMethod.right = null;
+    }
+  };
+};
+
+// Per-eye quality record for one frame from detectPupil results (or landmark-only
+// positions, whose eyes sit under gaze); null results mean nothing was found
+export const qualityFrameEyes = (results, eyeMode = 'both') => {
+  const eyes = eyeMode === 'both' ? ['left', 'right'] : [eyeMode];
+  return Object.fromEntries(eyes.map(eye => {
+    const result = results?.[eye];
+    return [eye, {
+      tracked: !!(result || results?.gaze?.[eye]),
+      blinking: !!results?.blinks?.[eye]?.isBlinking,
+      confidence: result?.confidence ?? null,
+      circularity: result?.circularity ?? null,
+      method: result?.method ?? null
+    }];
+  }));
+};
+
+const luminance = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+// Luminance statistics of RGBA pixels: histogram (HISTOGRAM_BINS bins, fractions),
+// mean, 5th/95th percentiles and the clipped fractions at either end
+export const analyzeLuminance = (data) => {
+  const counts = new Array(256).fill(0);
+  const pixels = data.length / 4;
+  if (pixels === 0) return null;
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const y = Math.round(luminance(data, i));
+    counts[y]++;
+    sum += y;
+  }
+
+  const percentile = (p) => {
+    let seen = 0;
+    for (let v = 0; v < 256; v++) {
+      seen += counts[v];
+      if (seen >= p * pixels) return v;
+    }
+    return 255;
+  };
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  counts.forEach((count, v) => {
+    histogram[Math.floor((v * HISTOGRAM_BINS) / 256)] += count / pixels;
+  });
+
+  return {
+    histogram,
+    mean: sum / pixels,
+    p5: percentile(0.05),
+    p95: percentile(0.95),
+    darkFraction: counts.slice(0, 30).reduce((a, b) => a + b, 0) / pixels,
+    saturatedFraction: counts.slice(250).reduce((a, b) => a + b, 0) / pixels
+  };
+};
+
+// Fraction of near-white pixels; a catchlight is a few pixels, a lens reflection many
+export const glareFraction = (data) => {
+  const pixels = data.length / 4;
+  if (pixels === 0) return 0;
+  let bright = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (luminance(data, i) >= 245) bright++;
+  }
+  return bright / pixels;
+};
+
+// Normalized region around one eye, wide enough to take in a spectacle lens
+export const eyeRegion = (landmarks, eye) => {
+  const [corner1, , , corner2] = EYELID_LANDMARKS[eye].map(i => landmarks[i]);
+  if (!corner1 || !corner2) return null;
+  const span = Math.hypot(corner2.x - corner1.x, corner2.y - corner1.y);
+  const cx = (corner1.x + corner2.x) / 2;
+  const cy = (corner1.y + corner2.y) / 2;
+  return { x: cx - span, y: cy - span * 0.6, width: span * 2, height: span * 1.2 };
+};
+
+// Prompts for the operator, most serious first: [{ level: 'error' | 'warning', message }]
+export const qualityPrompts = ({ summary, lighting, face }, options = DEFAULT_QUALITY_OPTIONS) => {
+  const prompts = [];
+  const add = (level, message) => prompts.push({ level, message });
+
+  if (!summary || summary.faceRate < 0.5) {
+    add('error', 'No face detected: position the subject in front of the camera');
+  }
+  if (lighting) {
+    if (lighting.mean < LIGHTING_LIMITS.tooDarkMean) add('error', 'Too dark: add light in front of the subject');
+    else if (lighting.mean > LIGHTING_LIMITS.tooBrightMean || lighting.saturatedFraction > LIGHTING_LIMITS.saturated) {
+      add('warning', 'Overexposed: reduce the light or the camera exposure');
+    } else if (lighting.p95 - lighting.p5 < LIGHTING_LIMITS.lowContrast) {
+      add('warning', 'Low contrast: light the face more evenly');
+    }
+    if (lighting.eyeGlare != null && lighting.eyeGlare > LIGHTING_LIMITS.eyeGlare) {
+      add('warning', 'Glasses glare detected: tilt the glasses or move the light');
+    }
+  }
+  if (face) {
+    if (face.width < FACE_LIMITS.minWidth) add('warning', 'Move closer to the camera');
+    else if (face.width > FACE_LIMITS.maxWidth) add('warning', 'Move back from the camera');
+    const offset = Math.hypot(face.x + face.width / 2 - 0.5, face.y + face.height / 2 - 0.5);
+    if (offset > FACE_LIMITS.maxOffset) add('warning', 'Face not centered in the frame');
+  }
+  if (summary && summary.faceRate >= 0.5) {
+    if (summary.trackingRate < options.minTrackingRate) {
+      add('error', `Pupil found in only ${(summary.trackingRate * 100).toFixed(0)}% of frames`);
+    }
+    if (summary.meanConfidence !== null && summary.meanConfidence < options.minConfidence) {
+      add('warning', 'Low detection confidence: improve lighting or zoom in on the eyes');
+    }
+    if (summary.methodSwitchRate > options.maxMethodSwitchRate) {
+      add('warning', 'Unstable detection: detectors keep switching, hold still and check focus');
+    }
+  }
+  return prompts.sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+};
+
+// Whether a recording may start; reasons lists what failed
+export const assessQuality = (summary, options = DEFAULT_QUALITY_OPTIONS) => {
+  const reasons = [];
+  if (!summary || summary.frames < MIN_QUALITY_FRAMES) {
+    reasons.push('not enough frames yet');
+  } else {
+    if (summary.trackingRate < options.minTrackingRate) reasons.push('tracking rate');
+    // Landmark-only tracking (nystagmus mode) has no confidence to judge
+    if (summary.meanConfidence !== null && summary.meanConfidence < options.minConfidence) reasons.push('confidence');
+    if (summary.methodSwitchRate > options.maxMethodSwitchRate) reasons.push('method switching');
+  }
+  return { acceptable: reasons.length === 0, reasons };
+};
@@ -0,0 +1,69 @@
+// workers/pupilDetection.worker.js
+// Runs the OpenCV pupil detectors off the main thread. Receives eye ROIs as
+// transferred ImageBitmaps and answers with the same per-eye results the
+// main-thread path produces.
+import { analyzeEyeImage } from '../utils/pupilDetectors';
+import { loadOpenCV } from '../utils/dependencyLoader';
+
+let cv = null;
+let canvas = null;
+let ctx = null;
+
+const getContext = (width, height) => {
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  } else if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return ctx;
+};
+
+const detect = ({ id, eyes }) => {
+  const start = performance.now();
+  const results = {};
+
+  Object.entries(eyes).forEach(([eye, { bitmap, roi }]) => {
+    try {
+      const context = getContext(roi.width, roi.height);
+      context.drawImage(bitmap, 0, 0);
+      const imageData = context.getImageData(0, 0, roi.width, roi.height);
+      results[eye] = analyzeEyeImage(cv, imageData, roi);
+    } finally {
+      bitmap.close();
+    }
+  });
+
+  self.postMessage({ type: 'result', id, results, workerMs: performance.now() - start });
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    try {
+      ({ cv } = await loadOpenCV({
+        ...message.options,
+        onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+      }));
+      self.postMessage({ type: 'ready' });
+    } catch (err) {
+      self.postMessage({ type: 'error', name: err.name, message: err.message });
+    }
+    return;
+  }
+
+  if (message.type === 'detect') {
+    if (!cv) {
+      Object.values(message.eyes).forEach(({ bitmap }) => bitmap.close());
+      self.postMessage({ type: 'result', id: message.id, results: null, workerMs: 0 });
+      return;
+    }
+    try {
+      detect(message);
+    } catch (err) {
+      self.postMessage({ type: 'result', id: message.id, results: null, error: err.message });
+    }
+  }
+};
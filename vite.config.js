@@ -1,9 +1,100 @@
 // vite.config.js
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Runtime assets served from our own origin so the app works on networks that
+// block CDNs and, via the service worker, with no network at all
+const VENDOR_ASSETS = [
+  { from: 'node_modules/@techstark/opencv-js/dist/opencv.js', to: 'vendor/opencv/opencv.js' },
+  { from: 'node_modules/@mediapipe/face_mesh', to: 'vendor/face_mesh', include: /\.(js|wasm|data|binarypb)$/ }
+];
+
+// Public files the installed app needs offline
+const PUBLIC_PRECACHE = [
+  'icons/site.webmanifest',
+  'icons/favicon.ico',
+  'icons/favicon-96x96.png',
+  'icons/apple-touch-icon.png',
+  'icons/pwa-192x192.png',
+  'icons/pwa-512x512.png'
+];
+
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream'
+};
+
+const listVendorFiles = (root) => VENDOR_ASSETS.flatMap(({ from, to, include }) => {
+  const source = path.resolve(root, from);
+  if (!fs.statSync(source).isDirectory()) return [{ source, fileName: to }];
+  return fs.readdirSync(source)
+    .filter(name => !include || include.test(name))
+    .map(name => ({ source: path.join(source, name), fileName: `${to}/${name}` }));
+});
+
+function localVendorAssets() {
+  let config;
+  let vendorFiles = [];
+
+  return {
+    name: 'local-vendor-assets',
+
+    configResolved(resolved) {
+      config = resolved;
+      vendorFiles = listVendorFiles(resolved.root);
+    },
+
+    // Dev server: serve vendor files straight out of node_modules
+    configureServer(server) {
+      const byUrl = new Map(vendorFiles.map(f => [`${config.base}${f.fileName}`, f.source]));
+      server.middlewares.use((req, res, next) => {
+        const file = byUrl.get(req.url.split('?')[0]);
+        if (!file) return next();
+        res.setHeader('Content-Type', MIME_TYPES[path.extname(file)] || 'application/octet-stream');
+        fs.createReadStream(file).pipe(res);
+      });
+    },
+
+    // Build: copy vendor files and emit the service worker with its precache list
+    generateBundle(_, bundle) {
+      const bundleFiles = Object.keys(bundle).filter(name => !name.endsWith('.map'));
+      const vendorSources = vendorFiles.map(({ source, fileName }) => {
+        const contents = fs.readFileSync(source);
+        this.emitFile({ type: 'asset', fileName, source: contents });
+        return contents;
+      });
+
+      const files = [...bundleFiles, ...vendorFiles.map(f => f.fileName), ...PUBLIC_PRECACHE];
+      const urls = [config.base, ...files.map(name => `${config.base}${name}`)];
+
+      // Vendor and public files keep their names across upgrades, so the version
+      // covers what every precached file contains, not just the URL list
+      const hash = crypto.createHash('sha1').update(urls.join('\n'));
+      bundleFiles.forEach(name => {
+        const output = bundle[name];
+        hash.update(output.type === 'chunk' ? output.code : output.source);
+      });
+      vendorSources.forEach(contents => hash.update(contents));
+      PUBLIC_PRECACHE.forEach(name => hash.update(fs.readFileSync(path.join(config.publicDir, name))));
+      const version = hash.digest('hex').slice(0, 12);
+
+      const template = fs.readFileSync(path.resolve(config.root, 'src/serviceWorker.js'), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE_VERSION = '${version}';\nconst PRECACHE_URLS = ${JSON.stringify(urls)};\n\n${template}`
+      });
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localVendorAssets()],
   server: {
     port: 3000,
     open: true
@@ -13,7 +104,11 @@ export default defineConfig({
     minify: 'terser',
     sourcemap: true
   },
-  optimizeDeps: {
-    include: ['opencv.js']
+  // Tests sit next to the code; OpenCV suites switch themselves to the node environment
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: ['src/test/setup.js'],
+    testTimeout: 30000
   }
-});
\ No newline at end of file
+});